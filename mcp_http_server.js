@@ -1,184 +1,248 @@
 // mcp_http_server.js
 import express from 'express';
 import bodyParser from 'body-parser';
-import { Server as MCPServer } from '@modelcontextprotocol/sdk/server/index.js';
 import cors from 'cors'; // Import CORS for cross-origin requests
-import { InMemoryTransport } from './inMemoryTransport.js';
-import { handleLogin, handleGetCvOverview, handleGetCvFields, handleGetFieldVersions, handleGetMedia, handleTriggerBackendAction} from './mcp_core.js'; // Import shared tools
+import { randomUUID } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { createMcpServer } from './utils/mcpServer.js'; // Tools come from the shared registry in utils/tools.js
+import { createAuthMiddleware, getEnabledStrategies, protectedResourceMetadataHandler } from './utils/auth.js';
+import { createCallerRateLimit, createIpRateLimit } from './utils/rateLimiter.js';
+import { createRestRouter, getRestTools } from './utils/restApi.js';
+import { buildOpenApiDocument } from './utils/openApi.js';
+import { MAX_IMPORT_SIZE } from './utils/importTools.js';
+import { MAX_UPLOAD_SIZE } from './utils/mediaTools.js';
+import { describeConfig, getConfig } from './utils/config.js';
+import { configureLogger, createLogger } from './utils/logger.js';
+import { startMockBackendIfRequested } from './utils/mockBackend.js';
+
+const log = createLogger('http');
+
+// With --mock-backend (or DROSTE_CV_MOCK_BACKEND=1) the backend is the built-in mock; it has to be
+// running before the configuration picks up its URL.
+try {
+    await startMockBackendIfRequested();
+} catch (error) {
+    log.critical('Could not start the mock backend', { error: error.message });
+    process.exit(1);
+}
 
-const app = express();
-app.use(bodyParser.json());
-
-// Define your tools with their schemas
-const APP_TOOLS = [
-  {
-    name: "loginToMcp",
-    description: "Logs the current session into the MCP server to enable access to protected tools.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        email: { type: "string", description: "User's email address." },
-        password: { type: "string", description: "User's password." }
-      },
-      required: ["email", "password"]
-    }
-  },
-  {
-    name: "getCvOverview",
-    description: "Fetches an overview of the user's CVs and their fields.",
-    inputSchema: {
-      type: "object",
-      properties: {}, // No specific input args needed beyond authentication
-      required: []
-    }
-  },
-  {
-        name: "getCvFields",
-        description: "Fetches all fields for a specific CV by CV ID.",
-        inputSchema: {
-          type: "object",
-          properties: {
-            cvId: { type: "string", description: "The CV ID to get fields for." }
-          },
-          required: ["cvId"]
-        }
-      },
-      {
-        name: "getFieldVersions",
-        description: "Fetches all versions for a specific field by field ID.",
-        inputSchema: {
-          type: "object",
-          properties: {
-            fieldId: { type: "string", description: "The field ID to get versions for." }
-          },
-          required: ["fieldId"]
-        }
-      },
-      
-  {
-  name: "getMedia",
-  description: "Gets a secure time-limited URL for media files stored in the system.",
-  inputSchema: {
-    type: "object",
-    properties: {
-      key: { 
-        type: "string", 
-        description: "The media key from field details (e.g., 'uploads/user-id/file-id.png')" 
-      }
-    },
-    required: ["key"]
-  }
-},
-  {
-    name: "triggerBackendAction",
-    description: "Triggers a generic action on the backend server.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        actionName: { type: "string", description: "The name of the action to perform." },
-        payload: { type: "object", description: "Data payload for the action.", additionalProperties: true } // Allow any object for payload
-      },
-      required: ["actionName"]
-    }
-  }
-];
+// Fail before accepting connections if the configuration is invalid. Callers bring their own
+// credentials, so unlike the stdio server no API key is needed here.
+let config;
+try {
+    config = getConfig();
+} catch (error) {
+    log.critical('Configuration error', { error: error.message });
+    process.exit(1);
+}
+configureLogger(config.log);
+log.info('Configuration loaded', describeConfig(config));
 
-app.use(cors());
+const MCP_ENDPOINT = '/mcp';
 
-const mcpServer = new MCPServer({
-    tools: APP_TOOLS,
-});
+// Room for the largest payload a tool accepts (uploadMedia, importCv) sent as base64, which grows it
+// by a third, plus the rest of the request.
+const MAX_BODY_SIZE = Math.ceil(Math.max(MAX_UPLOAD_SIZE, MAX_IMPORT_SIZE) * 4 / 3) + 64 * 1024;
 
-const inMemoryTransport = new InMemoryTransport();
+const app = express();
 
-// HTTP Auth Middleware
+// Browsers send an Origin header; only allow-listed origins may call the server. Refusing the
+// others outright (instead of only withholding CORS headers) also guards against DNS rebinding.
 app.use((req, res, next) => {
-    const authHeader = req.headers.authorization;
-    let sessionToken = null;
-    let currentUser = null;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-        sessionToken = authHeader.substring(7);
-        // Example: Basic token validation
-        if (sessionToken === "VALID_TOKEN_123") {
-            currentUser = { id: 'user123', name: 'Alice', roles: ['user'] };
-        } else if (sessionToken === "ADMIN_TOKEN_789") {
-            currentUser = { id: 'admin456', name: 'AdminBob', roles: ['admin', 'user'] };
-        }
+    const origin = req.headers.origin;
+    if (origin && !config.corsOrigins.includes(origin)) {
+        log.warning('Request from a disallowed origin refused', { origin });
+        return res.status(403).json({ error: `Origin ${origin} is not allowed` });
     }
-    // req.mcpContextData will be an object like { sessionToken, currentUser }
-    req.mcpContextData = { sessionToken, currentUser };
     next();
 });
 
+app.use(cors({
+    origin: config.corsOrigins,
+    // Browser-based clients must be able to read the session header and send it back.
+    exposedHeaders: ['Mcp-Session-Id', 'WWW-Authenticate', 'Retry-After'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Mcp-Session-Id', 'Last-Event-ID'],
+}));
+
+// Counted before authentication so that failed attempts are throttled too.
+app.use(createIpRateLimit());
+app.use(bodyParser.json({ limit: MAX_BODY_SIZE }));
+
+const PORT = process.env.PORT || 3001;
+// The canonical URL of the MCP endpoint, used as the OAuth resource identifier.
+const MCP_SERVER_URL = process.env.MCP_SERVER_URL || `http://localhost:${PORT}${MCP_ENDPOINT}`;
+
+// Active MCP sessions, keyed by the Mcp-Session-Id header. Each session gets its own server + transport,
+// plus server-side state that holds the backend token after `loginToMcp`.
+const sessions = new Map();
+
+// Tool handlers forward the caller's own backend credentials, resolved by the auth middleware.
+function buildContext(state, extra) {
+    return {
+        transport: 'http',
+        session: state,
+        accessToken: extra.authInfo?.extra?.backendToken,
+        currentUser: extra.authInfo?.extra?.currentUser,
+        // Only OAuth tokens are limited to the scopes they were granted (utils/authorization.js).
+        scopes: extra.authInfo?.extra?.strategy === 'oauth' ? extra.authInfo.scopes : undefined
+    };
+}
+
+const authStrategies = getEnabledStrategies();
+const authenticate = createAuthMiddleware({
+    strategies: authStrategies,
+    resourceUrl: MCP_SERVER_URL,
+    getSessionState: (sessionId) => sessions.get(sessionId)?.state
+});
+const rateLimit = createCallerRateLimit();
+
+if (authStrategies.includes('oauth')) {
+    app.get('/.well-known/oauth-protected-resource', protectedResourceMetadataHandler({ resourceUrl: MCP_SERVER_URL }));
+}
+
 app.get('/mcp/capabilities', (req, res) => {
     try {
-        const capabilities = mcpServer.getCapabilities();
+        const capabilities = createMcpServer({ transport: 'http' }).getCapabilities();
         res.json(capabilities);
     } catch (error) {
-        console.error("Error getting capabilities:", error);
+        log.error('Error getting capabilities', { error });
         res.status(500).json({ error: 'Failed to get capabilities' });
     }
 });
 
-app.post('/', async (req, res) => {
-    const mcpRequestPayload = req.body;
+function sendJsonRpcError(res, status, message, code = -32000) {
+    res.status(status).json({
+        jsonrpc: "2.0",
+        error: { code, message },
+        id: null
+    });
+}
 
-    if (!mcpRequestPayload || !mcpRequestPayload.method) {
-        return res.status(400).json({ error: "Invalid MCP request payload. 'method' is required." });
-    }
+// Client-to-server messages. An `initialize` request without a session ID opens a new session.
+app.post(MCP_ENDPOINT, authenticate, rateLimit, async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
 
     try {
-        // This is the plain JavaScript object for your custom context data
-        const customContextData = req.mcpContextData; // e.g., { sessionToken, currentUser }
-
-        let actualPayload = { ...mcpRequestPayload };
-
-        // For methods that accept a context (like callTool, and potentially listTools)
-        // we pass the context data as a plain object under the 'context' key.
-        // The MCP Server will make this available to the tool handlers.
-        // Tool handlers often expect custom data under `context.custom`.
-        if (mcpRequestPayload.method === 'callTool' && mcpRequestPayload.params) {
-            actualPayload.params = {
-                ...mcpRequestPayload.params,
-                context: { custom: customContextData }, // Pass as plain object
-            };
-        } else if (mcpRequestPayload.method === 'listTools' && mcpRequestPayload.params) {
-            // If your listTools implementation or server uses context for filtering
-            actualPayload.params = {
-                ...mcpRequestPayload.params,
-                context: { custom: customContextData }, // Pass as plain object
+        let transport;
+
+        if (sessionId && sessions.has(sessionId)) {
+            transport = sessions.get(sessionId).transport;
+        } else if (!sessionId && isInitializeRequest(req.body)) {
+            const state = {};
+            const server = createMcpServer({
+                transport: 'http',
+                getContext: (request, extra) => buildContext(state, extra)
+            });
+            transport = new StreamableHTTPServerTransport({
+                sessionIdGenerator: () => randomUUID(),
+                onsessioninitialized: (newSessionId) => {
+                    log.info('MCP session initialized', { sessionId: newSessionId });
+                    sessions.set(newSessionId, { transport, server, state });
+                }
+            });
+            transport.onclose = () => {
+                if (transport.sessionId) {
+                    log.info('MCP session closed', { sessionId: transport.sessionId });
+                    sessions.delete(transport.sessionId);
+                }
             };
+            await server.connect(transport);
+        } else if (sessionId) {
+            return sendJsonRpcError(res, 404, 'Session not found');
+        } else {
+            return sendJsonRpcError(res, 400, 'Bad Request: No valid session ID provided');
         }
-        // For other MCP methods, they might not use a 'context' param, or the SDK handles it differently.
 
-        console.log("HTTP Wrapper: Sending to InMemoryTransport:", actualPayload);
-        const mcpResponse = await inMemoryTransport.sendRequestToMCP(actualPayload);
-        res.json(mcpResponse);
+        await transport.handleRequest(req, res, req.body);
     } catch (error) {
-        console.error("Error processing MCP request via HTTP:", error);
-        res.status(500).json({
-            jsonrpc: "2.0",
-            id: mcpRequestPayload.id || null,
-            error: { code: -32000, message: error.message || 'Internal Server Error' }
-        });
+        log.error('Error processing MCP request via HTTP', { error });
+        if (!res.headersSent) {
+            sendJsonRpcError(res, 500, error.message || 'Internal Server Error');
+        }
     }
 });
 
-const PORT = process.env.PORT || 3001;
+// GET opens the SSE stream for server-to-client messages; DELETE ends the session.
+async function handleSessionRequest(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    if (!sessionId) {
+        return sendJsonRpcError(res, 400, 'Bad Request: Mcp-Session-Id header is required');
+    }
+    const session = sessions.get(sessionId);
+    if (!session) {
+        return sendJsonRpcError(res, 404, 'Session not found');
+    }
 
-async function startHttpServer() {
     try {
-        await mcpServer.connect(inMemoryTransport);
-        console.log('MCP Server (for HTTP) connected via InMemoryTransport.');
-        console.log('MCP Server capabilities:', JSON.stringify(mcpServer.getCapabilities(), null, 2));
-
-        app.listen(PORT, () => {
-            console.log(`HTTP wrapper for MCP server listening on http://localhost:${PORT}`);
-        });
+        await session.transport.handleRequest(req, res);
     } catch (error) {
-        console.error("Failed to start MCP HTTP server:", error);
-        process.exit(1);
+        log.error('Error handling MCP session request', { method: req.method, sessionId, error });
+        if (!res.headersSent) {
+            sendJsonRpcError(res, 500, error.message || 'Internal Server Error');
+        }
     }
 }
 
-startHttpServer();
\ No newline at end of file
+app.get(MCP_ENDPOINT, authenticate, rateLimit, handleSessionRequest);
+app.delete(MCP_ENDPOINT, authenticate, rateLimit, handleSessionRequest);
+
+// The tools as plain HTTP endpoints under /mcp/tools (utils/restApi.js). Each request authenticates on
+// its own, so there are no sessions and no loginToMcp.
+const restAuthStrategies = authStrategies.filter(name => name !== 'session');
+app.use(MCP_ENDPOINT, createRestRouter({
+    authenticate: createAuthMiddleware({
+        strategies: restAuthStrategies,
+        resourceUrl: MCP_SERVER_URL,
+        getSessionState: () => undefined
+    }),
+    rateLimit,
+    getContext: (req) => buildContext(undefined, { authInfo: req.auth })
+}));
+
+// Generated from the tool registry, so it cannot drift from the endpoints above.
+const openApiDocument = buildOpenApiDocument(getRestTools(), { serverUrl: MCP_SERVER_URL, authStrategies: restAuthStrategies });
+app.get('/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+});
+
+// Errors raised before a route could answer, mostly from parsing the body (malformed JSON, a body
+// over MAX_BODY_SIZE), get a JSON answer in the endpoint's own format instead of Express's HTML page.
+app.use((error, req, res, next) => {
+    if (res.headersSent) {
+        return next(error);
+    }
+    const status = error.status || error.statusCode || 500;
+    if (status >= 500) {
+        log.error('Unhandled error in HTTP request', { method: req.method, path: req.path, error });
+    }
+    const [type, message] = {
+        'entity.parse.failed': ['invalid_request', 'The request body is not valid JSON'],
+        'entity.too.large': ['too_large', `The request body is larger than ${MAX_BODY_SIZE} bytes`]
+    }[error.type] || (status < 500 ? ['invalid_request', error.message] : ['internal_error', 'Internal Server Error']);
+
+    if (req.path === MCP_ENDPOINT) {
+        return sendJsonRpcError(res, status, message, error.type === 'entity.parse.failed' ? -32700 : -32000);
+    }
+    res.status(status).json({ error: { type, message } });
+});
+
+function startHttpServer() {
+    const httpServer = app.listen(PORT, () => {
+        log.info('MCP Streamable HTTP server listening', { url: `http://localhost:${PORT}${MCP_ENDPOINT}` });
+    });
+    httpServer.on('error', (error) => {
+        log.critical('Failed to start MCP HTTP server', { error });
+        process.exit(1);
+    });
+
+    process.on('SIGINT', async () => {
+        log.info('Shutting down MCP HTTP server');
+        for (const { transport } of sessions.values()) {
+            await transport.close();
+        }
+        httpServer.close(() => process.exit(0));
+    });
+}
+
+startHttpServer();
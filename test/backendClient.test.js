@@ -0,0 +1,73 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { BackendUnavailableError, backendRequest } from '../utils/backendClient.js';
+
+const CONTEXT = { accessToken: 'test-key' };
+
+// Answers /status/<code> with that status and never answers /hang; counts the requests per path.
+const requests = new Map();
+let server;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const key = `${req.method} ${req.url}`;
+        requests.set(key, (requests.get(key) || 0) + 1);
+        const status = req.url.match(/^\/status\/(\d+)$/)?.[1];
+        if (status) {
+            res.writeHead(Number(status), { 'Content-Type': 'application/json' }).end('{"message":"failed"}');
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    // Must be set before the configuration is first loaded.
+    process.env.DROSTE_CV_LOG_LEVEL = 'error';
+    process.env.DROSTE_CV_CACHE = 'off';
+    process.env.DROSTE_CV_MAX_ATTEMPTS = '2';
+    process.env.DROSTE_CV_BACKEND_URL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+async function failure(path, options) {
+    requests.clear();
+    const error = await backendRequest(path, options, CONTEXT).then(() => assert.fail('expected a failure'), error => error);
+    assert.ok(error instanceof BackendUnavailableError, error.message);
+    return { error, attempts: requests.get(`${options.method || 'GET'} ${path}`) };
+}
+
+describe('backendRequest', () => {
+    it('retries a 504 of an idempotent request and reports it as retryable', async () => {
+        const { error, attempts } = await failure('/status/504', {});
+        assert.equal(attempts, 2);
+        assert.equal(error.toJSON().retryable, true);
+    });
+
+    it('neither retries nor reports as retryable a 504 of a write', async () => {
+        const { error, attempts } = await failure('/status/504', { method: 'POST', body: {} });
+        assert.equal(attempts, 1);
+        assert.equal(error.toJSON().retryable, false);
+        assert.match(error.hint, /may have applied it/);
+    });
+
+    it('retries a 503 of a write, which the backend did not process', async () => {
+        const { error, attempts } = await failure('/status/503', { method: 'POST', body: {} });
+        assert.equal(attempts, 2);
+        assert.equal(error.retryable, true);
+    });
+
+    it('reports a timed-out write as not retryable', async () => {
+        const { error, attempts } = await failure('/hang', { method: 'POST', body: {}, timeoutMs: 50 });
+        assert.equal(attempts, 1);
+        assert.equal(error.retryable, false);
+        assert.match(error.message, /did not respond within 50ms/);
+    });
+
+    it('reports a timed-out read as retryable after retrying it', async () => {
+        const { error, attempts } = await failure('/hang', { timeoutMs: 50 });
+        assert.equal(attempts, 2);
+        assert.equal(error.retryable, true);
+    });
+});
@@ -0,0 +1,145 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { ToolCancelledError, ToolTimeoutError, createCallSignal, raceWithSignal } from '../utils/cancellation.js';
+import { backendRequest } from '../utils/backendClient.js';
+import { executeToolCall } from '../utils/tools.js';
+
+const CONTEXT = { accessToken: 'test-key' };
+
+// Never answers; records each request and whether its connection was closed before an answer.
+const requests = [];
+let server;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const request = { url: req.url, closed: false };
+        requests.push(request);
+        res.on('close', () => { request.closed = true; });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    // Must be set before the configuration is first loaded.
+    process.env.DROSTE_CV_LOG_LEVEL = 'error';
+    process.env.DROSTE_CV_CACHE = 'off';
+    process.env.DROSTE_CV_TOOL_TIMEOUT_MS = '200';
+    process.env.DROSTE_CV_BACKEND_URL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+function testTool(handler, overrides = {}) {
+    return { name: 'testTool', inputSchema: { type: 'object', properties: {} }, requiredRoles: [], handler, ...overrides };
+}
+
+// Resolves once `predicate` holds, checking every few milliseconds.
+async function waitFor(predicate) {
+    while (!predicate()) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+describe('createCallSignal', () => {
+    it('aborts with a ToolTimeoutError once the timeout passes', async () => {
+        const call = createCallSignal('slowTool', { timeoutMs: 20 });
+        await waitFor(() => call.signal.aborted);
+        assert.ok(call.signal.reason instanceof ToolTimeoutError);
+        assert.equal(call.signal.reason.timeoutMs, 20);
+        call.dispose();
+    });
+
+    it('aborts with a ToolCancelledError carrying the reason when the caller cancels', () => {
+        const caller = new AbortController();
+        const call = createCallSignal('slowTool', { timeoutMs: 1000, signal: caller.signal });
+        caller.abort('client went away');
+        assert.ok(call.signal.reason instanceof ToolCancelledError);
+        assert.equal(call.signal.reason.message, 'slowTool was cancelled: client went away');
+        call.dispose();
+    });
+
+    it('is aborted from the start when the caller already cancelled', () => {
+        const call = createCallSignal('slowTool', { timeoutMs: 1000, signal: AbortSignal.abort() });
+        assert.ok(call.signal.reason instanceof ToolCancelledError);
+        call.dispose();
+    });
+
+    it('no longer aborts once disposed', async () => {
+        const caller = new AbortController();
+        const call = createCallSignal('slowTool', { timeoutMs: 20, signal: caller.signal });
+        call.dispose();
+        caller.abort();
+        await new Promise(resolve => setTimeout(resolve, 40));
+        assert.equal(call.signal.aborted, false);
+    });
+});
+
+describe('raceWithSignal', () => {
+    it('settles like the promise while the signal is not aborted', async () => {
+        const controller = new AbortController();
+        assert.equal(await raceWithSignal(Promise.resolve('done'), controller.signal), 'done');
+        await assert.rejects(raceWithSignal(Promise.reject(new Error('failed')), controller.signal), /failed/);
+    });
+
+    it('rejects with the abort reason without waiting for the promise', async () => {
+        const controller = new AbortController();
+        const pending = raceWithSignal(new Promise(() => {}), controller.signal);
+        controller.abort(new ToolCancelledError('slowTool'));
+        await assert.rejects(pending, ToolCancelledError);
+        await assert.rejects(raceWithSignal(Promise.resolve('done'), controller.signal), ToolCancelledError);
+    });
+});
+
+describe('executeToolCall', () => {
+    it('ends a call that ignores its signal with a timeout error result', async () => {
+        const { result, failure } = await executeToolCall(testTool(() => new Promise(() => {})), 'testTool', {}, CONTEXT, { transport: 'http' });
+        assert.ok(failure instanceof ToolTimeoutError);
+        assert.equal(result.isError, true);
+        assert.equal(JSON.parse(result.content[1].text).error.type, 'timeout');
+    });
+
+    it('prefers the tool\'s own timeout over the configured one', async () => {
+        const startedAt = Date.now();
+        const { failure } = await executeToolCall(testTool(() => new Promise(() => {}), { timeoutMs: 20 }), 'testTool', {}, CONTEXT, { transport: 'http' });
+        assert.ok(failure instanceof ToolTimeoutError);
+        assert.equal(failure.timeoutMs, 20);
+        assert.ok(Date.now() - startedAt < 200);
+    });
+
+    it('ends a call the caller cancels with a cancelled error result', async () => {
+        const caller = new AbortController();
+        const tool = testTool(() => {
+            setTimeout(() => caller.abort('stop'), 10);
+            return new Promise(() => {});
+        });
+        const { result, failure } = await executeToolCall(tool, 'testTool', {}, CONTEXT, { transport: 'http', signal: caller.signal });
+        assert.ok(failure instanceof ToolCancelledError);
+        assert.equal(JSON.parse(result.content[1].text).error.type, 'cancelled');
+    });
+
+    it('drops progress reported after the call has ended', async () => {
+        const progress = [];
+        let report;
+        const tool = testTool((args, context) => {
+            report = context.reportProgress;
+            report(1, 2);
+            return new Promise(() => {});
+        }, { timeoutMs: 20 });
+        await executeToolCall(tool, 'testTool', {}, { ...CONTEXT, reportProgress: (done, total) => progress.push([done, total]) }, { transport: 'http' });
+        report(2, 2);
+        assert.deepEqual(progress, [[1, 2]]);
+    });
+
+    it('aborts the backend requests of a cancelled call', { timeout: 5000 }, async () => {
+        const caller = new AbortController();
+        const tool = testTool((args, context) => backendRequest('/api/cvs', {}, context));
+        const call = executeToolCall(tool, 'testTool', {}, CONTEXT, { transport: 'http', signal: caller.signal });
+        await waitFor(() => requests.some(request => request.url === '/api/cvs'));
+        caller.abort();
+        const { failure } = await call;
+        assert.ok(failure instanceof ToolCancelledError);
+        await waitFor(() => requests.find(request => request.url === '/api/cvs').closed);
+        assert.equal(requests.length, 1);
+    });
+});
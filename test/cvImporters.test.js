@@ -0,0 +1,165 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeDate, parseCsv, parseImport } from '../utils/cvImporters.js';
+import { validateFieldData } from '../utils/fieldTypes.js';
+import { buildZip } from './helpers/zip.js';
+
+const JSON_RESUME = {
+    basics: { name: 'Ada Lovelace', label: 'Analytical Engineer' },
+    work: [
+        { name: 'Acme', position: 'Engineer', startDate: '2019-03', endDate: '2021-06-30', summary: 'Built things.', highlights: ['Shipped X'] },
+        { name: 'Initech', position: 'Lead', startDate: '2021-07' }
+    ],
+    education: [{ institution: 'TU Hamburg', studyType: 'MSc', area: 'Computer Science', startDate: '2014', endDate: '2016' }],
+    skills: [{ name: 'Python', level: 'Master' }, { name: 'Go' }],
+    certificates: [{ name: 'CKA', issuer: 'CNCF', date: '2022-05-01', url: 'https://example.com/cka' }]
+};
+
+const MARKDOWN_RESUME = `# Ada Lovelace
+
+## Experience
+
+### Senior Engineer — Acme Logistics
+Mar 2020 – Present · Hamburg
+Led the tracking team.
+
+### Engineer at Initech
+2016 - 2020
+Maintained TPS reports.
+
+## Education
+MSc Computer Science, TU Hamburg
+2014 – 2016
+
+## Skills
+- Python (expert, 8 yrs)
+- Go, Kubernetes; SQL
+
+## Certifications
+- AWS Certified Developer — Amazon — 2021-05-01
+
+## Hobbies
+Chess
+`;
+
+function summarize(fields) {
+    return fields.map(({ name, fieldType }) => `${fieldType}: ${name}`);
+}
+
+describe('normalizeDate', () => {
+    for (const [input, expected] of [
+        ['2020-03-15', '2020-03-15'],
+        ['2020-03', '2020-03-01'],
+        ['2020', '2020-01-01'],
+        ['Mar 2020', '2020-03-01'],
+        ['September 2020', '2020-09-01'],
+        ['3/2020', '2020-03-01'],
+        ['Present', undefined],
+        ['', undefined]
+    ]) {
+        it(`maps ${JSON.stringify(input)} to ${expected}`, () => {
+            assert.equal(normalizeDate(input), expected);
+        });
+    }
+});
+
+describe('parseCsv', () => {
+    it('handles quotes, escaped quotes, embedded newlines, CRLF and a BOM', () => {
+        assert.deepEqual(parseCsv('﻿a,b\r\n"x, y","say ""hi""\nagain"\r\n\r\n'), [
+            ['a', 'b'],
+            ['x, y', 'say "hi"\nagain']
+        ]);
+    });
+});
+
+describe('parseImport', () => {
+    it('maps a JSON Resume to valid fields', () => {
+        const { title, fields } = parseImport('json-resume', Buffer.from(JSON.stringify(JSON_RESUME)));
+        assert.equal(title, 'Analytical Engineer');
+        assert.deepEqual(summarize(fields), [
+            'job: Engineer at Acme',
+            'job: Lead at Initech',
+            'education: MSc — TU Hamburg',
+            'skill: Python',
+            'skill: Go',
+            'certification: CKA'
+        ]);
+        assert.deepEqual(fields[0].data, {
+            title: 'Engineer',
+            company: 'Acme',
+            start_date: '2019-03-01',
+            end_date: '2021-06-30',
+            description: 'Built things.\n- Shipped X'
+        });
+        assert.equal(fields[1].data.current, true);
+        assert.equal(fields[3].data.level, 'expert');
+        for (const field of fields) {
+            assert.deepEqual(validateFieldData(field.fieldType, field.data), [], field.name);
+        }
+    });
+
+    it('maps a Markdown resume by its section headings', () => {
+        const { title, fields } = parseImport('markdown', MARKDOWN_RESUME);
+        assert.equal(title, 'Ada Lovelace');
+        assert.deepEqual(summarize(fields), [
+            'job: Senior Engineer at Acme Logistics',
+            'job: Engineer at Initech',
+            'education: MSc Computer Science — TU Hamburg',
+            'skill: Python',
+            'skill: Go',
+            'skill: Kubernetes',
+            'skill: SQL',
+            'certification: AWS Certified Developer'
+        ]);
+        assert.deepEqual(fields[0].data, {
+            title: 'Senior Engineer',
+            company: 'Acme Logistics',
+            location: 'Hamburg',
+            start_date: '2020-03-01',
+            current: true,
+            description: 'Led the tracking team.'
+        });
+        assert.equal(fields[1].data.end_date, '2020-01-01');
+        assert.deepEqual(fields[3].data, { name: 'Python', level: 'expert', years: 8 });
+        assert.deepEqual(fields[7].data, { name: 'AWS Certified Developer', issuer: 'Amazon', issue_date: '2021-05-01' });
+    });
+
+    it('splits plain-text sections into entries at blank lines', () => {
+        const text = 'EXPERIENCE\nEngineer, Acme\n2019-01 to 2020-06\n\nIntern | Initech\n06/2018 - 12/2018\nFiled reports.\n\nSkills:\nPython · Go\n';
+        const { title, fields } = parseImport('text', text);
+        assert.equal(title, undefined);
+        assert.deepEqual(summarize(fields), ['job: Engineer at Acme', 'job: Intern at Initech', 'skill: Python', 'skill: Go']);
+        assert.deepEqual(fields[1].data, { title: 'Intern', company: 'Initech', start_date: '2018-06-01', end_date: '2018-12-01', description: 'Filed reports.' });
+    });
+
+    it('maps a single LinkedIn CSV, skipping notes before the header', () => {
+        const csv = 'Notes:\n"This file lists your positions"\n\nCompany Name,Title,Description,Location,Started On,Finished On\n' +
+            'Acme,Engineer,"Built things, mostly",Hamburg,Mar 2020,\n';
+        const { fields } = parseImport('linkedin', csv);
+        assert.deepEqual(fields, [{
+            name: 'Engineer at Acme',
+            fieldType: 'job',
+            data: { title: 'Engineer', company: 'Acme', location: 'Hamburg', start_date: '2020-03-01', current: true, description: 'Built things, mostly' }
+        }]);
+    });
+
+    it('maps the LinkedIn export ZIP and ignores the files it does not use', () => {
+        const zip = buildZip([
+            { name: 'Basic_LinkedInDataExport/Profile.csv', content: Buffer.from('First Name,Last Name\nAda,Lovelace\n') },
+            { name: 'Basic_LinkedInDataExport/Skills.csv', content: Buffer.from('Name\nPython\nGo\n') },
+            { name: 'Basic_LinkedInDataExport/Certifications.csv', content: Buffer.from('Name,Url,Authority,Started On,Finished On,License Number\nCKA,,CNCF,May 2022,May 2025,LF-123\n') }
+        ]);
+        const { title, fields } = parseImport('linkedin', zip);
+        assert.equal(title, 'LinkedIn import');
+        assert.deepEqual(summarize(fields), ['skill: Python', 'skill: Go', 'certification: CKA']);
+        assert.deepEqual(fields[2].data, { name: 'CKA', issuer: 'CNCF', issue_date: '2022-05-01', expiry_date: '2025-05-01', credential_id: 'LF-123' });
+    });
+
+    it('rejects CSV files that are not part of a LinkedIn export', () => {
+        assert.throws(() => parseImport('linkedin', 'Foo,Bar\n1,2\n'), /Unrecognised LinkedIn CSV/);
+    });
+
+    it('rejects unknown formats', () => {
+        assert.throws(() => parseImport('docx', ''), /Unsupported import format 'docx'/);
+    });
+});
@@ -0,0 +1,91 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { loadCvOverview } from '../utils/cvOverview.js';
+
+const CONTEXT = { accessToken: 'test-key' };
+const CV_COUNT = 10;
+
+// A backend with CV_COUNT CVs of two fields each, every field with five versions. It answers after a
+// short delay so requests overlap, and records how many were in flight at once. The fields of cv-3
+// and the versions of field cv-5-a fail.
+let server;
+let inFlight = 0;
+let maxInFlight = 0;
+
+function route(url) {
+    if (url === '/api/cvs') {
+        return { status: 200, body: { data: Array.from({ length: CV_COUNT }, (_, index) => ({ id: `cv-${index}`, title: `CV ${index}` })) } };
+    }
+    let match;
+    if ((match = url.match(/^\/api\/cvs\/(cv-\d+)\/fields$/))) {
+        if (match[1] === 'cv-3') return { status: 500, body: { message: 'fields exploded' } };
+        return { status: 200, body: { fields: ['a', 'b'].map(suffix => ({ id: `${match[1]}-${suffix}`, name: suffix })) } };
+    }
+    if ((match = url.match(/^\/api\/fields\/([^/]+)\/versions$/))) {
+        if (match[1] === 'cv-5-a') return { status: 404, body: { message: 'no versions' } };
+        return {
+            status: 200,
+            body: [1, 2, 3, 4, 5].map(number => ({ id: `${match[1]}-v${number}`, version_number: number, created_at: `2024-01-0${number}T00:00:00Z` })).reverse()
+        };
+    }
+    return { status: 404, body: { message: 'unknown' } };
+}
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        setTimeout(() => {
+            inFlight--;
+            const { status, body } = route(req.url);
+            res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+        }, 10);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    // Must be set before the configuration is first loaded.
+    process.env.DROSTE_CV_LOG_LEVEL = 'error';
+    process.env.DROSTE_CV_CACHE = 'off';
+    process.env.DROSTE_CV_MAX_ATTEMPTS = '1';
+    process.env.DROSTE_CV_BACKEND_URL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+});
+
+describe('loadCvOverview', () => {
+    it('returns just the CV records at depth cvs', async () => {
+        const { cvs, failures } = await loadCvOverview(CONTEXT, { depth: 'cvs' });
+        assert.equal(cvs.length, CV_COUNT);
+        assert.equal(cvs[0].fields, undefined);
+        assert.equal(failures, 0);
+    });
+
+    it('fetches fields in parallel, at most four requests at a time, and keeps the CV order', async () => {
+        maxInFlight = 0;
+        const { cvs, failures } = await loadCvOverview(CONTEXT, { depth: 'fields' });
+        assert.equal(maxInFlight, 4);
+        assert.deepEqual(cvs.map(cv => cv.id), Array.from({ length: CV_COUNT }, (_, index) => `cv-${index}`));
+        assert.deepEqual(cvs[0].fields.map(field => field.id), ['cv-0-a', 'cv-0-b']);
+        assert.match(cvs[3].error_fetching_fields, /fields exploded/);
+        assert.equal(cvs[3].fields, undefined);
+        assert.equal(failures, 1);
+    });
+
+    it('adds the newest versions of each field and reports the ones it could not fetch', async () => {
+        maxInFlight = 0;
+        const { cvs, failures } = await loadCvOverview(CONTEXT, { depth: 'versions', versionsPerField: 2 });
+        assert.equal(maxInFlight, 4);
+        assert.deepEqual(cvs[0].fields[0].versions.map(version => version.id), ['cv-0-a-v5', 'cv-0-a-v4']);
+        assert.match(cvs[5].fields[0].error_fetching_versions, /no versions/);
+        assert.equal(cvs[5].fields[1].versions.length, 2);
+        assert.equal(failures, 2);
+    });
+
+    it('reports progress once per CV, ending at the total', async () => {
+        const progress = [];
+        await loadCvOverview(CONTEXT, { depth: 'fields', onProgress: (done, total) => progress.push([done, total]) });
+        assert.deepEqual(progress, Array.from({ length: CV_COUNT + 1 }, (_, done) => [done, CV_COUNT]));
+    });
+});
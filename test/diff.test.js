@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffValues, diffWords, formatWordDiff } from '../utils/diff.js';
+
+// Applies a word diff to get the text back: `before` from deletes, `after` from inserts.
+function side(ops, skip) {
+    return ops.filter(({ op }) => op !== skip).map(({ text }) => text).join('');
+}
+
+describe('diffWords', () => {
+    it('keeps the unchanged words and marks the replaced ones', () => {
+        const ops = diffWords('Led five engineers', 'Led ten engineers');
+        assert.equal(formatWordDiff(ops), 'Led [-five-]{+ten+} engineers');
+    });
+
+    it('rebuilds both texts, whitespace included', () => {
+        const before = 'Built  services\nin Java and Go.';
+        const after = 'Built services\nin Go, Kotlin and Java.';
+        const ops = diffWords(before, after);
+        assert.equal(side(ops, 'insert'), before);
+        assert.equal(side(ops, 'delete'), after);
+    });
+
+    it('replaces the whole text when the texts are too long to compare word by word', () => {
+        const before = 'a '.repeat(600);
+        const after = 'b '.repeat(600);
+        assert.deepEqual(diffWords(before, after), [{ op: 'delete', text: before }, { op: 'insert', text: after }]);
+    });
+});
+
+describe('diffValues', () => {
+    it('finds nothing between equal values', () => {
+        assert.deepEqual(diffValues({ a: [1, { b: 'x' }] }, { a: [1, { b: 'x' }] }), []);
+    });
+
+    it('lists added, removed and modified properties by path', () => {
+        const changes = diffValues(
+            { title: 'Engineer', location: 'Hamburg', skills: ['Go'] },
+            { title: 'Lead', skills: ['Go', 'Rust'], current: true }
+        );
+        assert.deepEqual(changes, [
+            { path: 'title', change: 'modified', before: 'Engineer', after: 'Lead' },
+            { path: 'location', change: 'removed', before: 'Hamburg' },
+            { path: 'skills[1]', change: 'added', after: 'Rust' },
+            { path: 'current', change: 'added', after: true }
+        ]);
+    });
+
+    it('adds a word diff to changed text', () => {
+        const [change] = diffValues({ description: 'Led five engineers' }, { description: 'Led ten engineers' });
+        assert.equal(change.path, 'description');
+        assert.equal(formatWordDiff(change.words), 'Led [-five-]{+ten+} engineers');
+    });
+
+    it('compares values of different types as a whole', () => {
+        assert.deepEqual(diffValues({ level: 3 }, { level: '3' }), [{ path: 'level', change: 'modified', before: 3, after: '3' }]);
+        assert.deepEqual(diffValues('old', { name: 'new' }), [{ path: '(value)', change: 'modified', before: 'old', after: { name: 'new' } }]);
+    });
+});
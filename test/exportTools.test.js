@@ -0,0 +1,55 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockBackend } from '../utils/mockBackend.js';
+import { AuthorizationError, SCOPES } from '../utils/authorization.js';
+import { EXPORT_TOOLS } from '../utils/exportTools.js';
+import { readResource } from '../utils/resources.js';
+
+const exportCv = EXPORT_TOOLS.find(tool => tool.name === 'exportCv').handler;
+const DEMO = { accessToken: 'mock-api-key' };
+const READ_ONLY = { ...DEMO, scopes: [SCOPES.read] };
+
+let mock;
+
+before(async () => {
+    // Must be set before the configuration is first loaded.
+    process.env.DROSTE_CV_LOG_LEVEL = 'error';
+    mock = await startMockBackend();
+    process.env.DROSTE_CV_BACKEND_URL = mock.url;
+});
+
+after(async () => {
+    await mock.close();
+});
+
+describe('exportCv', () => {
+    it('needs the write scope to store the export as media', async () => {
+        await assert.rejects(
+            exportCv({ cvId: 'cv-backend', format: 'markdown', delivery: 'media' }, READ_ONLY),
+            error => error instanceof AuthorizationError && /cv:write/.test(error.message)
+        );
+        const { structuredContent } = await exportCv({ cvId: 'cv-backend', format: 'markdown', delivery: 'media' }, DEMO);
+        assert.ok(structuredContent.mediaKey);
+    });
+
+    it('returns an embedded export that can be read again through its resource URI', async () => {
+        for (const [format, template] of [['markdown'], ['html', 'modern'], ['pdf']]) {
+            const result = await exportCv({ cvId: 'cv-backend', format, template }, READ_ONLY);
+            const embedded = result.content.find(block => block.type === 'resource').resource;
+            const [read] = await readResource(embedded.uri, READ_ONLY);
+            assert.equal(read.mimeType, embedded.mimeType);
+            if (format === 'pdf') {
+                assert.ok(read.blob.length > 0);
+            } else {
+                assert.equal(read.text, embedded.text);
+            }
+        }
+        assert.equal((await exportCv({ cvId: 'cv-backend', format: 'html', template: 'modern' }, DEMO)).structuredContent.uri,
+            'cv://cv-backend/export/html?template=modern');
+    });
+
+    it('does not serve unknown export formats or templates', async () => {
+        await assert.rejects(readResource('cv://cv-backend/export/docx', DEMO), /Unknown resource URI/);
+        await assert.rejects(readResource('cv://cv-backend/export/markdown?template=modern', DEMO), /Unknown resource URI/);
+    });
+});
@@ -0,0 +1,49 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockBackend } from '../utils/mockBackend.js';
+import { addFieldVersion } from '../utils/backendApi.js';
+import { FIELD_VERSION_TOOLS } from '../utils/fieldVersionTools.js';
+import { validateAgainstSchema } from '../utils/schemaValidation.js';
+
+const diffTool = FIELD_VERSION_TOOLS.find(tool => tool.name === 'diffFieldVersions');
+const restoreTool = FIELD_VERSION_TOOLS.find(tool => tool.name === 'restoreFieldVersion');
+const DEMO = { accessToken: 'mock-api-key' };
+
+let mock;
+
+before(async () => {
+    // Must be set before the configuration is first loaded.
+    process.env.DROSTE_CV_LOG_LEVEL = 'error';
+    process.env.DROSTE_CV_CACHE = 'off';
+    mock = await startMockBackend();
+    process.env.DROSTE_CV_BACKEND_URL = mock.url;
+});
+
+after(async () => {
+    await mock.close();
+});
+
+describe('diffFieldVersions', () => {
+    it('reports a rename next to the data changes, and restoring undoes both', async () => {
+        const { id: renamedId } = await addFieldVersion('field-skill-postgres', { name: 'Postgres', data: { name: 'Postgres', level: 'expert', years: 6 } }, DEMO);
+        const { structuredContent: diff } = await diffTool.handler({ fieldId: 'field-skill-postgres', fromVersionId: 'field-skill-postgres-v1' }, DEMO);
+        assert.equal(diff.to.id, renamedId);
+        assert.deepEqual(diff.changes.map(({ path, change, before, after }) => ({ path, change, before, after })), [
+            { path: '(name)', change: 'modified', before: 'PostgreSQL', after: 'Postgres' },
+            { path: 'name', change: 'modified', before: 'PostgreSQL', after: 'Postgres' },
+            { path: 'level', change: 'modified', before: 'advanced', after: 'expert' }
+        ]);
+
+        await restoreTool.handler({ fieldId: 'field-skill-postgres' }, DEMO);
+        const { structuredContent: undone } = await diffTool.handler({ fieldId: 'field-skill-postgres', fromVersionId: 'field-skill-postgres-v1' }, DEMO);
+        assert.equal(undone.changeCount, 0);
+    });
+
+    it('only accepts version IDs that match the ID pattern', () => {
+        assert.deepEqual(validateAgainstSchema(diffTool.inputSchema, { fieldId: 'f-1', fromVersionId: 'v-1', toVersionId: 'v_2' }), []);
+        for (const versionId of ['../v1', 'v 1', '']) {
+            const issues = validateAgainstSchema(diffTool.inputSchema, { fieldId: 'f-1', fromVersionId: versionId });
+            assert.equal(issues[0].path, 'fromVersionId');
+        }
+    });
+});
@@ -0,0 +1,42 @@
+// test/helpers/zip.js
+// ZIP archives built in memory for the zipReader and LinkedIn import tests.
+import zlib from 'zlib';
+
+// Builds an archive from { name, content, method?, declaredSize? } entries. `declaredSize`
+// overrides the uncompressed size written to the central directory.
+export function buildZip(entries) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const { name, content = Buffer.alloc(0), method = 8, declaredSize = content.length } of entries) {
+        const nameBuffer = Buffer.from(name);
+        const data = method === 8 ? zlib.deflateRawSync(content) : content;
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(declaredSize, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        locals.push(local, nameBuffer, data);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(declaredSize, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, nameBuffer);
+
+        offset += local.length + nameBuffer.length + data.length;
+    }
+    const centralDirectory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, centralDirectory, end]);
+}
@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractRequirements, matchFieldsToJob } from '../utils/jobMatcher.js';
+
+function names(requirements, kind) {
+    return requirements.filter(requirement => requirement.kind === kind).map(requirement => requirement.name);
+}
+
+const FIELDS = [
+    {
+        id: 'job-1',
+        name: 'Backend Engineer at Acme',
+        field_type: 'job',
+        data: { title: 'Backend Engineer', company: 'Acme', start_date: '2018-01-01', end_date: '2024-01-01', description: 'Built Node.js services on Postgres.' }
+    },
+    { id: 'skill-1', name: 'Node.js', field_type: 'skill', data: { name: 'Node.js' } },
+    { id: 'cert-1', name: 'Kubernetes Administrator', field_type: 'certification', data: { name: 'Certified Kubernetes Administrator' } }
+];
+
+describe('extractRequirements', () => {
+    it('does not read "Node.js" as JavaScript', () => {
+        const requirements = extractRequirements('We build services with Node.js.');
+        assert.deepEqual(names(requirements, 'skill'), ['Node.js']);
+    });
+
+    it('still finds JavaScript under its own names', () => {
+        const requirements = extractRequirements('Strong JS and ES6 skills');
+        assert.deepEqual(names(requirements, 'skill'), ['JavaScript']);
+    });
+
+    it('keeps terms that contain a dot whole', () => {
+        assert.deepEqual(names(extractRequirements('Experience with ASP.NET'), 'skill'), ['.NET']);
+        assert.deepEqual(names(extractRequirements('Angular.js or React'), 'skill'), ['React', 'Angular']);
+    });
+
+    it('reads years of a skill without the word "experience"', () => {
+        const [experience] = extractRequirements('5+ years of Node.js').filter(requirement => requirement.kind === 'experience');
+        assert.equal(experience.years, 5);
+        assert.equal(experience.skill, 'Node.js');
+        assert.equal(experience.postingWording, '5+ years of Node.js');
+    });
+
+    it('reads the skill of years of experience anywhere in the clause', () => {
+        const [experience] = extractRequirements('5 years experience, ideally with Python').filter(requirement => requirement.kind === 'experience');
+        assert.equal(experience.name, '5+ years of Python experience');
+    });
+
+    it('reads years of experience without a skill', () => {
+        const [experience] = extractRequirements('At least 3 years of professional experience.').filter(requirement => requirement.kind === 'experience');
+        assert.equal(experience.name, '3+ years of experience');
+        assert.equal(experience.skill, undefined);
+    });
+
+    it('ignores years that are not a requirement', () => {
+        const requirements = extractRequirements('Founded 20 years ago, we now use Python.');
+        assert.deepEqual(names(requirements, 'experience'), []);
+        assert.deepEqual(names(requirements, 'skill'), ['Python']);
+    });
+
+    it('counts a certification in a skill\'s name only as a certification', () => {
+        const generic = extractRequirements('AWS certification');
+        assert.deepEqual(names(generic, 'certification'), ['AWS']);
+        assert.deepEqual(names(generic, 'skill'), []);
+
+        const known = extractRequirements('AWS Certified Solutions Architect');
+        assert.deepEqual(names(known, 'certification'), ['AWS Certified Solutions Architect']);
+        assert.deepEqual(names(known, 'skill'), []);
+    });
+
+    it('marks requirements under a "Nice to have" heading as preferred', () => {
+        const requirements = extractRequirements('Requirements:\nPython\nNice to have:\nDocker');
+        const importance = Object.fromEntries(requirements.map(requirement => [requirement.name, requirement.importance]));
+        assert.deepEqual(importance, { Python: 'required', Docker: 'preferred' });
+    });
+});
+
+describe('matchFieldsToJob', () => {
+    const now = new Date('2025-01-01');
+
+    it('finds no JavaScript evidence in a Node.js CV', () => {
+        const result = matchFieldsToJob(FIELDS, 'Node.js\nJavaScript', { now });
+        assert.deepEqual(result.matched.map(requirement => requirement.name), ['Node.js']);
+        assert.deepEqual(result.missing.map(requirement => requirement.name), ['JavaScript']);
+    });
+
+    it('scores years of a skill from the jobs that mention it', () => {
+        const result = matchFieldsToJob(FIELDS, '5+ years of Node.js', { now });
+        const experience = result.matched.find(requirement => requirement.kind === 'experience');
+        assert.equal(experience.yearsRequired, 5);
+        assert.equal(experience.yearsFound, 6);
+        assert.equal(result.score, 100);
+    });
+
+    it('matches certifications by synonym and suggests the posting\'s wording', () => {
+        const result = matchFieldsToJob(FIELDS, 'CKA', { now });
+        assert.equal(result.matched[0].evidence[0].match, 'synonym');
+        assert.match(result.suggestions[0].suggestion, /posting's wording 'CKA'/);
+    });
+
+    it('has no score without requirements', () => {
+        assert.equal(matchFieldsToJob(FIELDS, 'We are a friendly team.', { now }).score, null);
+    });
+});
@@ -0,0 +1,168 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { startMockBackend } from '../utils/mockBackend.js';
+import { getCvFields } from '../utils/backendApi.js';
+import { downloadMedia, extensionFor, mimeTypeFromName, sniffMimeType } from '../utils/media.js';
+import { MEDIA_TOOLS } from '../utils/mediaTools.js';
+
+const getMediaTool = MEDIA_TOOLS.find(tool => tool.name === 'getMedia').handler;
+const uploadMediaTool = MEDIA_TOOLS.find(tool => tool.name === 'uploadMedia').handler;
+const DEMO = { accessToken: 'mock-api-key' };
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+const PDF = Buffer.from('%PDF-1.4\n%%EOF\n');
+
+let mock;
+let proxy;
+// Bytes the endless download below got to send before the client hung up.
+let streamedBytes = 0;
+
+// Forwards to the mock backend, except for media keys under "endless/": their secure URL points at
+// a download without a Content-Length that never ends.
+function startProxy(target) {
+    const server = http.createServer(async (req, res) => {
+        const base = `http://127.0.0.1:${server.address().port}`;
+        if (req.url.startsWith('/api/media/secure-url?key=endless%2F')) {
+            return res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ url: `${base}/endless` }));
+        }
+        if (req.url === '/endless') {
+            streamedBytes = 0;
+            res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+            const chunk = Buffer.alloc(64 * 1024);
+            const timer = setInterval(() => {
+                streamedBytes += chunk.length;
+                res.write(chunk);
+            }, 5);
+            return res.on('close', () => clearInterval(timer));
+        }
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        const response = await fetch(`${target}${req.url}`, {
+            method: req.method,
+            headers: { 'Content-Type': 'application/json', Authorization: req.headers.authorization || '' },
+            body: chunks.length > 0 ? Buffer.concat(chunks) : undefined
+        });
+        res.writeHead(response.status, { 'Content-Type': response.headers.get('content-type') || 'application/json' })
+            .end(Buffer.from(await response.arrayBuffer()));
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+before(async () => {
+    // Must be set before the configuration is first loaded.
+    process.env.DROSTE_CV_LOG_LEVEL = 'error';
+    process.env.DROSTE_CV_CACHE = 'off';
+    mock = await startMockBackend();
+    proxy = await startProxy(mock.url);
+    process.env.DROSTE_CV_BACKEND_URL = `http://127.0.0.1:${proxy.address().port}`;
+});
+
+after(async () => {
+    proxy.closeAllConnections();
+    await new Promise(resolve => proxy.close(resolve));
+    await mock.close();
+});
+
+describe('media types', () => {
+    it('recognises uploads by their content', () => {
+        assert.equal(sniffMimeType(PNG), 'image/png');
+        assert.equal(sniffMimeType(PDF), 'application/pdf');
+        assert.equal(sniffMimeType(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), 'image/jpeg');
+        assert.equal(sniffMimeType(Buffer.from('GIF89a')), 'image/gif');
+        assert.equal(sniffMimeType(Buffer.from('RIFF\0\0\0\0WEBPVP8 ')), 'image/webp');
+        assert.equal(sniffMimeType(Buffer.from('RIFF\0\0\0\0WAVEfmt ')), null);
+        assert.equal(sniffMimeType(Buffer.from('<svg></svg>')), null);
+        assert.equal(sniffMimeType(Buffer.alloc(0)), null);
+    });
+
+    it('maps file names to types and types to extensions', () => {
+        assert.equal(mimeTypeFromName('Scan.JPEG'), 'image/jpeg');
+        assert.equal(mimeTypeFromName('notes.txt'), null);
+        assert.equal(mimeTypeFromName('no-extension'), null);
+        assert.equal(extensionFor('image/jpeg'), 'jpg');
+        assert.equal(extensionFor('text/plain'), undefined);
+    });
+});
+
+describe('downloadMedia', () => {
+    it('downloads through the secure URL and takes the type from the content', async () => {
+        const { url, mimeType, data } = await downloadMedia('uploads/user-demo/profile.png', DEMO, { maxBytes: 1024 });
+        assert.match(url, /\/media\/uploads\/user-demo\/profile\.png\?expires=\d+&signature=[0-9a-f]{64}$/);
+        assert.equal(mimeType, 'image/png');
+        assert.deepEqual(data, PNG);
+    });
+
+    it('refuses a file larger than maxBytes', async () => {
+        await assert.rejects(downloadMedia('uploads/user-demo/profile.png', DEMO, { maxBytes: 10 }), /larger than 10 bytes/);
+    });
+
+    it('stops a download without a length as soon as it passes maxBytes', async () => {
+        await assert.rejects(downloadMedia('endless/file', DEMO, { maxBytes: 256 * 1024 }), /larger than 262144 bytes/);
+        // Give the server a moment to notice the closed connection, then check it stopped sending.
+        await new Promise(resolve => setTimeout(resolve, 100));
+        const sent = streamedBytes;
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.equal(streamedBytes, sent);
+        assert.ok(sent < 4 * 1024 * 1024, `sent ${sent} bytes`);
+    });
+
+    it('stops when the call is cancelled', async () => {
+        const controller = new AbortController();
+        const download = downloadMedia('endless/file', { ...DEMO, signal: controller.signal }, { maxBytes: 1024 * 1024 * 1024 });
+        setTimeout(() => controller.abort(new Error('cancelled by the client')), 50);
+        await assert.rejects(download, /cancelled by the client/);
+    });
+
+    it('does not hand out links to media of other users', async () => {
+        await assert.rejects(downloadMedia('uploads/user-admin/secret.png', DEMO, { maxBytes: 1024 }), /not found/i);
+    });
+});
+
+describe('media tools', () => {
+    it('getMedia returns only the secure URL unless asked for the content', async () => {
+        const { content, structuredContent } = await getMediaTool({ key: 'uploads/user-demo/profile.png' }, DEMO);
+        assert.equal(content.length, 1);
+        assert.equal(content[0].text, structuredContent.url);
+        assert.match(structuredContent.url, /signature=/);
+    });
+
+    it('getMedia returns images as image content and other files as media:// resources', async () => {
+        const image = await getMediaTool({ key: 'uploads/user-demo/profile.png', inline: true }, DEMO);
+        assert.deepEqual(image.content[1], { type: 'image', data: PNG.toString('base64'), mimeType: 'image/png' });
+
+        const pdf = await getMediaTool({ key: 'uploads/user-demo/aws-certificate.pdf', inline: true }, DEMO);
+        assert.equal(pdf.content[1].type, 'resource');
+        assert.equal(pdf.content[1].resource.uri, 'media://uploads/user-demo/aws-certificate.pdf');
+        assert.equal(pdf.structuredContent.mimeType, 'application/pdf');
+    });
+
+    it('uploadMedia checks the content against the declared type and file name', async () => {
+        await assert.rejects(uploadMediaTool({ data: PNG.toString('base64'), mimeType: 'application/pdf' }, DEMO), /File content is image\/png, not application\/pdf/);
+        await assert.rejects(uploadMediaTool({ data: PNG.toString('base64'), filename: 'scan.pdf' }, DEMO), /does not match the name scan\.pdf/);
+        await assert.rejects(uploadMediaTool({ data: Buffer.from('plain text').toString('base64') }, DEMO), /Unsupported file type/);
+        await assert.rejects(uploadMediaTool({ filePath: '/etc/hostname' }, { ...DEMO, transport: 'http' }), /only supported by the local stdio server/);
+    });
+
+    it('uploadMedia stores the file and attaches it to a certification', async () => {
+        const { structuredContent } = await uploadMediaTool({
+            data: PDF.toString('base64'),
+            attachTo: { cvId: 'cv-backend', fieldId: 'field-cert-aws' }
+        }, DEMO);
+        assert.match(structuredContent.key, /^uploads\/user-demo\/file-\d+-upload\.pdf$/);
+        const { versionId, ...attachedTo } = structuredContent.attachedTo;
+        assert.deepEqual(attachedTo, { cvId: 'cv-backend', fieldId: 'field-cert-aws', property: 'media_key' });
+        const field = (await getCvFields('cv-backend', DEMO)).find(candidate => candidate.id === 'field-cert-aws');
+        assert.equal(field.current_version.id, versionId);
+        assert.equal(field.data.media_key, structuredContent.key);
+        assert.equal(field.data.issuer, 'Amazon Web Services');
+        const { data } = await downloadMedia(structuredContent.key, DEMO, { maxBytes: 1024 });
+        assert.deepEqual(data, PDF);
+    });
+
+    it('uploadMedia refuses to attach to fields that cannot hold media before uploading', async () => {
+        await assert.rejects(
+            uploadMediaTool({ data: PNG.toString('base64'), attachTo: { cvId: 'cv-backend', fieldId: 'field-skill-python' } }, DEMO),
+            /Fields of type skill cannot hold media/
+        );
+    });
+});
@@ -0,0 +1,194 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockBackend } from '../utils/mockBackend.js';
+
+const DEMO = 'mock-api-key';
+const ADMIN = 'mock-admin-key';
+
+let mock;
+
+before(async () => {
+    process.env.DROSTE_CV_LOG_LEVEL = 'error';
+    mock = await startMockBackend();
+});
+
+after(async () => {
+    await mock.close();
+});
+
+async function call(method, path, { token = DEMO, body, headers = {} } = {}) {
+    const response = await fetch(`${mock.url}${path}`, {
+        method,
+        headers: {
+            ...(token && { Authorization: `Bearer ${token}` }),
+            ...(body !== undefined && { 'Content-Type': 'application/json' }),
+            ...headers
+        },
+        ...(body !== undefined && { body: JSON.stringify(body) })
+    });
+    const text = await response.text();
+    let json;
+    try {
+        json = text ? JSON.parse(text) : undefined;
+    } catch {
+        json = undefined;
+    }
+    return { status: response.status, headers: response.headers, json, text };
+}
+
+describe('mock backend', () => {
+    describe('authentication', () => {
+        it('needs a known API key or a token from logging in', async () => {
+            assert.equal((await call('GET', '/api/cvs', { token: null })).status, 401);
+            assert.equal((await call('GET', '/api/cvs', { token: 'unknown' })).status, 401);
+            assert.equal((await call('POST', '/api/auth/login', { token: null, body: { email: 'demo@example.com', password: 'wrong' } })).status, 401);
+
+            const login = await call('POST', '/api/auth/login', { token: null, body: { email: 'demo@example.com', password: 'demo' } });
+            assert.equal(login.json.user.id, 'user-demo');
+            const me = await call('GET', '/api/auth/me', { token: login.json.accessToken });
+            assert.deepEqual(me.json, { id: 'user-demo', email: 'demo@example.com', name: 'Dana Demo', roles: ['user'] });
+        });
+
+        it('only shows a CV to its owner, and to administrators', async () => {
+            assert.deepEqual((await call('GET', '/api/cvs')).json.map(cv => cv.id), ['cv-backend', 'cv-data']);
+            assert.deepEqual((await call('GET', '/api/cvs', { token: ADMIN })).json.map(cv => cv.id), ['cv-admin']);
+            assert.equal((await call('GET', '/api/cvs/cv-admin/fields')).status, 404);
+            assert.equal((await call('GET', '/api/cvs/cv-backend/fields', { token: ADMIN })).status, 200);
+        });
+    });
+
+    describe('ETags', () => {
+        it('answers 304 until the resource changes', async () => {
+            const first = await call('GET', '/api/cvs/cv-data/fields');
+            const etag = first.headers.get('etag');
+            assert.ok(etag);
+            const unchanged = await call('GET', '/api/cvs/cv-data/fields', { headers: { 'If-None-Match': etag } });
+            assert.equal(unchanged.status, 304);
+            assert.equal(unchanged.text, '');
+
+            await call('POST', '/api/fields/field-data-skill-spark/versions', { body: { data: { name: 'Apache Spark', level: 'expert' } } });
+            const changed = await call('GET', '/api/cvs/cv-data/fields', { headers: { 'If-None-Match': etag } });
+            assert.equal(changed.status, 200);
+            assert.notEqual(changed.headers.get('etag'), etag);
+        });
+    });
+
+    describe('field versions', () => {
+        it('makes a new version current, keeps the old ones and records restores', async () => {
+            const before = (await call('GET', '/api/fields/field-job-mercedes/versions')).json;
+            const renamed = await call('POST', '/api/fields/field-job-mercedes/versions', {
+                body: { name: 'Mercedes', data: { ...before[0].data, title: 'Staff Engineer' } }
+            });
+            assert.equal(renamed.status, 201);
+            assert.equal(renamed.json.version_number, before[0].version_number + 1);
+
+            const restored = await call('POST', '/api/fields/field-job-mercedes/versions', {
+                body: { name: before[0].name, data: before[0].data, restored_from_version_id: before[0].id }
+            });
+            const versions = (await call('GET', '/api/fields/field-job-mercedes/versions')).json;
+            assert.equal(versions.length, before.length + 2);
+            assert.deepEqual(versions.map(version => version.is_current), [true, ...versions.slice(1).map(() => false)]);
+            assert.equal(versions[0].id, restored.json.id);
+            assert.equal(versions[0].restored_from_version_id, before[0].id);
+            assert.equal(versions[1].name, 'Mercedes');
+
+            const field = (await call('GET', '/api/cvs/cv-backend/fields')).json.find(candidate => candidate.id === 'field-job-mercedes');
+            assert.equal(field.name, before[0].name);
+            assert.deepEqual(field.data, before[0].data);
+            assert.equal(field.current_version.id, restored.json.id);
+        });
+
+        it('keeps the name of the previous version when none is given', async () => {
+            const { json } = await call('POST', '/api/fields/field-skill-node/versions', { body: { data: { name: 'Node.js', level: 'expert' } } });
+            assert.equal(json.name, 'Node.js');
+        });
+
+        it('rejects data that does not match the field type', async () => {
+            const { status, json } = await call('POST', '/api/fields/field-skill-node/versions', { body: { data: { title: 'Not a skill' } } });
+            assert.equal(status, 422);
+            assert.ok(json.error);
+        });
+    });
+
+    describe('media', () => {
+        it('hands out signed links that work without credentials', async () => {
+            const { json } = await call('GET', '/api/media/secure-url?key=uploads/user-demo/profile.png');
+            const url = new URL(json.url);
+            assert.equal(url.origin, mock.url);
+            assert.ok(Date.parse(json.expires_at) > Date.now());
+
+            const download = await fetch(url);
+            assert.equal(download.status, 200);
+            assert.equal(download.headers.get('content-type'), 'image/png');
+            assert.deepEqual([...Buffer.from(await download.arrayBuffer()).subarray(1, 4)], [...Buffer.from('PNG')]);
+        });
+
+        it('refuses links whose signature, expiry or key was changed', async () => {
+            const { json } = await call('GET', '/api/media/secure-url?key=uploads/user-demo/profile.png');
+            const url = new URL(json.url);
+            const tampered = new URL(url);
+            tampered.searchParams.set('signature', '0'.repeat(64));
+            assert.equal((await fetch(tampered)).status, 403);
+            const extended = new URL(url);
+            extended.searchParams.set('expires', String(Date.now() + 24 * 60 * 60 * 1000));
+            assert.equal((await fetch(extended)).status, 403);
+            const otherFile = new URL(url.toString().replace('profile.png', 'aws-certificate.pdf'));
+            assert.equal((await fetch(otherFile)).status, 403);
+        });
+
+        it('only links to media of the caller, and to any for administrators', async () => {
+            const { json: upload } = await call('POST', '/api/media', { token: ADMIN, body: { filename: 'logo of mine.png', content_type: 'image/png', data: 'aGVsbG8=' } });
+            assert.match(upload.key, /^uploads\/user-admin\/file-\d+-logo-of-mine\.png$/);
+            assert.equal(upload.size, 5);
+            assert.equal((await call('GET', `/api/media/secure-url?key=${upload.key}`)).status, 404);
+            assert.equal((await call('GET', '/api/media/secure-url?key=uploads/user-demo/profile.png', { token: ADMIN })).status, 200);
+        });
+    });
+
+    describe('actions', () => {
+        it('are for administrators only', async () => {
+            assert.equal((await call('POST', '/action/reindexSearch', { body: {} })).status, 403);
+            assert.deepEqual((await call('POST', '/action/reindexSearch', { token: ADMIN, body: {} })).json, { indexed: 3 });
+        });
+
+        it('only runs known actions', async () => {
+            for (const name of ['dropDatabase', 'constructor', 'hasOwnProperty']) {
+                assert.equal((await call('POST', `/action/${name}`, { token: ADMIN, body: {} })).status, 404, name);
+            }
+        });
+
+        it('validate their payload', async () => {
+            const { status, json } = await call('POST', '/action/archiveCv', { token: ADMIN, body: {} });
+            assert.equal(status, 422);
+            assert.equal(json.error, 'cvId is required');
+        });
+
+        it('duplicate, archive and purge as the real backend does', async () => {
+            const { json: copy } = await call('POST', '/action/duplicateCv', { token: ADMIN, body: { cvId: 'cv-admin' } });
+            assert.equal(copy.title, 'Copy of Engineering Manager');
+            const copiedFields = (await call('GET', `/api/cvs/${copy.id}/fields`, { token: ADMIN })).json;
+            assert.equal(copiedFields.length, 2);
+
+            await call('POST', '/action/archiveCv', { token: ADMIN, body: { cvId: copy.id } });
+            assert.deepEqual((await call('GET', '/api/cvs', { token: ADMIN })).json.map(cv => cv.id), ['cv-admin']);
+
+            const { json: purged } = await call('POST', '/action/purgeFieldHistory', { token: ADMIN, body: { fieldId: 'field-job-acme', keepLatest: 1 } });
+            assert.deepEqual(purged, { fieldId: 'field-job-acme', purged: 1, kept: 1 });
+            assert.equal((await call('GET', '/api/fields/field-job-acme/versions')).json.length, 1);
+        });
+    });
+
+    describe('search', () => {
+        it('searches the caller\'s CVs by field name and content', async () => {
+            const { json } = await call('POST', '/api/search/cvs', { body: { query: 'kafka', fieldType: 'job' } });
+            assert.deepEqual(json.map(cv => cv.cvId).sort(), ['cv-backend', 'cv-data']);
+            assert.ok(json.every(cv => cv.ownerId === undefined && cv.matches.every(match => match.fieldType === 'job')));
+        });
+
+        it('searches every CV, with owners, only for administrators', async () => {
+            assert.equal((await call('POST', '/api/admin/search/cvs', { body: { query: 'go' } })).status, 403);
+            const { json } = await call('POST', '/api/admin/search/cvs', { token: ADMIN, body: { query: 'postgresql' } });
+            assert.deepEqual(json.map(cv => [cv.cvId, cv.ownerId]), [['cv-backend', 'user-demo']]);
+        });
+    });
+});
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildOpenApiDocument } from '../utils/openApi.js';
+import { getRestTools } from '../utils/restApi.js';
+
+const TOOLS = [
+    {
+        name: 'getThing',
+        description: 'Gets a thing. Returns it with its parts.',
+        inputSchema: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
+        outputSchema: { type: 'object', properties: { id: { type: 'string' } } },
+        annotations: { readOnlyHint: true },
+        requiredScopes: ['cv:read']
+    },
+    {
+        name: 'resetThings',
+        description: 'Resets every thing',
+        inputSchema: { type: 'object', properties: {} },
+        requiredRoles: ['admin']
+    }
+];
+
+const OPTIONS = { serverUrl: 'https://cv.example.com/mcp', authStrategies: ['apiKey'] };
+
+// Every "$ref" in the document, as JSON pointers.
+function collectRefs(value, refs = []) {
+    if (value && typeof value === 'object') {
+        for (const [key, child] of Object.entries(value)) {
+            if (key === '$ref') refs.push(child);
+            else collectRefs(child, refs);
+        }
+    }
+    return refs;
+}
+
+function resolve(document, ref) {
+    return ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], document);
+}
+
+describe('buildOpenApiDocument', () => {
+    it('has one POST operation per tool next to the tool list', () => {
+        const document = buildOpenApiDocument(TOOLS, OPTIONS);
+        assert.equal(document.openapi, '3.1.0');
+        assert.deepEqual(document.servers, [{ url: OPTIONS.serverUrl }]);
+        assert.deepEqual(Object.keys(document.paths), ['/tools', '/tools/getThing', '/tools/resetThings']);
+        assert.equal(document.paths['/tools'].get.operationId, 'listTools');
+    });
+
+    it('describes a tool with its schemas, access rules and error responses', () => {
+        const operation = buildOpenApiDocument(TOOLS, OPTIONS).paths['/tools/getThing'].post;
+        assert.equal(operation.summary, 'Gets a thing.');
+        assert.equal(operation.requestBody.required, true);
+        assert.deepEqual(operation.requestBody.content['application/json'].schema, TOOLS[0].inputSchema);
+        assert.deepEqual(operation.responses[200].content['application/json'].schema, TOOLS[0].outputSchema);
+        assert.deepEqual(operation['x-required-scopes'], ['cv:read']);
+        assert.equal(operation['x-openai-isConsequential'], false);
+        for (const status of ['400', '401', '403', '404', '413', '422', '429', '500', '502', '504']) {
+            assert.deepEqual(operation.responses[status], { $ref: `#/components/responses/Error${status}` });
+        }
+    });
+
+    it('leaves out the body of tools without arguments and marks them consequential unless read-only', () => {
+        const operation = buildOpenApiDocument(TOOLS, OPTIONS).paths['/tools/resetThings'].post;
+        assert.equal(operation.requestBody, undefined);
+        assert.equal(operation.summary, 'Resets every thing');
+        assert.deepEqual(operation['x-required-roles'], ['admin']);
+        assert.equal('x-required-scopes' in operation, false);
+        assert.equal(operation['x-openai-isConsequential'], true);
+        assert.ok(operation.responses[200].content['application/json'].schema.properties.content);
+    });
+
+    it('offers the API key schemes without OAuth', () => {
+        const { components, security } = buildOpenApiDocument(TOOLS, OPTIONS);
+        assert.deepEqual(Object.keys(components.securitySchemes), ['apiKey', 'bearer']);
+        assert.equal(components.securitySchemes.bearer.description, 'A Droste CV API key.');
+        assert.deepEqual(security, [{ apiKey: [] }, { bearer: [] }]);
+    });
+
+    it('describes bearer tokens as OAuth tokens once OAuth is enabled', () => {
+        const { components } = buildOpenApiDocument(TOOLS, { ...OPTIONS, authStrategies: ['apiKey', 'oauth'] });
+        assert.equal(components.securitySchemes.bearer.description, 'An OAuth access token.');
+        const oauthOnly = buildOpenApiDocument(TOOLS, { ...OPTIONS, authStrategies: ['oauth'] });
+        assert.deepEqual(Object.keys(oauthOnly.components.securitySchemes), ['bearer']);
+    });
+
+    it('resolves every reference in the document of the real tools', () => {
+        const document = buildOpenApiDocument(getRestTools(), OPTIONS);
+        const operationIds = Object.values(document.paths).flatMap(path => Object.values(path).map(operation => operation.operationId));
+        assert.equal(new Set(operationIds).size, operationIds.length);
+        for (const ref of collectRefs(document)) {
+            assert.ok(resolve(document, ref), `unresolved ${ref}`);
+        }
+    });
+});
@@ -0,0 +1,108 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { startMockBackend } from '../utils/mockBackend.js';
+import { addFieldVersion } from '../utils/backendApi.js';
+import { notifyCvChanged } from '../utils/cvEvents.js';
+import { searchLocalIndex, tokenize } from '../utils/searchIndex.js';
+import { parseSearchQuery } from '../utils/searchQuery.js';
+
+// The index reads the CVs of fixtures/mock-backend.json through the in-process mock backend.
+const DEMO = { accessToken: 'mock-api-key' };
+const ADMIN = { accessToken: 'mock-admin-key' };
+// The demo user through the proxy below, which wraps the CV and field lists like some backends do.
+const WRAPPED = { accessToken: 'wrapped:mock-api-key' };
+
+let mock;
+let proxy;
+
+// Forwards to the mock backend. For "wrapped:" credentials it returns the CV list as { data: [...] }
+// and field lists as { fields: [...] }.
+function startProxy(target) {
+    const server = http.createServer(async (req, res) => {
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        const authorization = req.headers.authorization || '';
+        const wrapped = authorization.startsWith('Bearer wrapped:');
+        const response = await fetch(`${target}${req.url}`, {
+            method: req.method,
+            headers: { 'Content-Type': 'application/json', Authorization: authorization.replace('wrapped:', '') },
+            body: chunks.length > 0 ? Buffer.concat(chunks) : undefined
+        });
+        let body = await response.text();
+        if (wrapped && response.ok && req.method === 'GET') {
+            if (req.url === '/api/cvs') body = JSON.stringify({ data: JSON.parse(body) });
+            if (/^\/api\/cvs\/[^/]+\/fields$/.test(req.url)) body = JSON.stringify({ fields: JSON.parse(body) });
+        }
+        res.writeHead(response.status, { 'Content-Type': 'application/json' }).end(body);
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+before(async () => {
+    // Must be set before the configuration is first loaded.
+    process.env.DROSTE_CV_LOG_LEVEL = 'error';
+    mock = await startMockBackend();
+    proxy = await startProxy(mock.url);
+    process.env.DROSTE_CV_BACKEND_URL = `http://127.0.0.1:${proxy.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => proxy.close(resolve));
+    await mock.close();
+});
+
+async function search(query, context = DEMO, filters = {}) {
+    const { cvs } = await searchLocalIndex(parseSearchQuery(query), filters, context);
+    return cvs.flatMap(cv => cv.matches.map(match => match.fieldId));
+}
+
+describe('tokenize', () => {
+    it('keeps technology names with symbols and dots whole', () => {
+        assert.deepEqual(tokenize('C++, C# and Node.js; ASP.NET.'), ['c++', 'c#', 'and', 'node.js', 'asp.net']);
+    });
+});
+
+describe('searchLocalIndex', () => {
+    it('ranks the field that is about a term above fields that mention it', async () => {
+        const { cvs, complete } = await searchLocalIndex(parseSearchQuery('python'), {}, DEMO);
+        assert.equal(complete, true);
+        assert.equal(cvs[0].cvTitle, 'Senior Backend Engineer');
+        assert.deepEqual(cvs[0].matches.map(match => match.fieldId), ['field-skill-python', 'field-job-mercedes']);
+        assert.equal(cvs[0].matches[0].relevanceScore, 1);
+        assert.ok(cvs[0].matches[1].relevanceScore < 1);
+    });
+
+    it('finds misspelled words within the edit distance', async () => {
+        assert.deepEqual(await search('pythn'), await search('python'));
+    });
+
+    it('expands prefix terms', async () => {
+        assert.deepEqual(await search('postgre*'), ['field-skill-postgres', 'field-job-acme']);
+    });
+
+    it('applies the type and date filters', async () => {
+        assert.deepEqual(await search('python', DEMO, { type: 'skill' }), ['field-skill-python']);
+        assert.deepEqual(await search('python', DEMO, { dateRange: { from: '2022-01-01' } }), []);
+        assert.deepEqual(await search('acme', DEMO, { dateRange: { from: '2023-01-01' } }), ['field-data-job-acme', 'field-job-acme']);
+    });
+
+    it('only searches the CVs of the caller', async () => {
+        assert.deepEqual(await search('acme', ADMIN), []);
+        assert.deepEqual(await search('go', ADMIN), ['field-admin-skill-go', 'field-admin-job']);
+    });
+
+    it('reads CV and field lists the backend wraps in an object', async () => {
+        const { cvs, complete } = await searchLocalIndex(parseSearchQuery('acme'), {}, WRAPPED);
+        assert.equal(complete, true);
+        assert.deepEqual(cvs.map(cv => cv.cvTitle), ['Data Engineer (draft)', 'Senior Backend Engineer']);
+        assert.deepEqual(cvs.flatMap(cv => cv.matches.map(match => match.fieldId)), ['field-data-job-acme', 'field-job-acme']);
+    });
+
+    it('re-reads a CV after an edit through this server', async () => {
+        assert.deepEqual(await search('rust'), []);
+        await addFieldVersion('field-skill-python', { data: { name: 'Rust', level: 'expert' } }, DEMO);
+        notifyCvChanged({ fieldId: 'field-skill-python' });
+        assert.deepEqual(await search('rust'), ['field-skill-python']);
+    });
+});
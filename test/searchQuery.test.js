@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SchemaValidationError } from '../utils/schemaValidation.js';
+import { highlightMatches, parseSearchQuery, refineSearchResults } from '../utils/searchQuery.js';
+
+const CVS = [
+    {
+        cvId: 'cv-1',
+        cvTitle: 'Backend',
+        matches: [
+            { fieldId: 'f-1', fieldName: 'Acme', fieldType: 'job', relevanceScore: 0.9, data: { description: 'Python and Go services', start_date: '2020-01-01' } },
+            { fieldId: 'f-2', fieldName: 'Python', fieldType: 'skill', relevanceScore: 0.8, data: { name: 'Python' } },
+            { fieldId: 'f-3', fieldName: 'Initech', fieldType: 'job', relevanceScore: 0.5, data: { description: 'Java and Python', start_date: '2015-01-01', end_date: '2019-12-31' } }
+        ]
+    },
+    {
+        cvId: 'cv-2',
+        cvTitle: 'Data',
+        matches: [
+            { fieldId: 'f-4', fieldName: 'AWS certification', fieldType: 'certification', relevanceScore: 0.7, data: { name: 'AWS Certified Developer', issue_date: '2022-05-01' } }
+        ]
+    }
+];
+
+function fieldNames(result) {
+    return result.results.flatMap(cv => cv.matches.map(match => match.fieldName));
+}
+
+describe('parseSearchQuery', () => {
+    it('passes plain word queries to the backend as they are', () => {
+        const query = parseSearchQuery('  python developer ');
+        assert.equal(query.plain, true);
+        assert.equal(query.backendQuery, 'python developer');
+    });
+
+    it('sends only the required words of a boolean query to the backend', () => {
+        const query = parseSearchQuery('"machine learning" AND (python OR go) -java cert*');
+        assert.equal(query.plain, false);
+        assert.equal(query.backendQuery, 'machine learning python go cert');
+    });
+
+    it('treats lower-case operators as words', () => {
+        assert.equal(parseSearchQuery('research and development').plain, true);
+    });
+
+    for (const [query, message] of [
+        ['', /must contain a search term/],
+        ['NOT python', /not excluded with NOT/],
+        ['(python OR go', /unclosed '\('/],
+        ['python)', /unmatched '\)'/],
+        ['python OR', /ends where a search term was expected/]
+    ]) {
+        it(`rejects ${JSON.stringify(query)}`, () => {
+            assert.throws(() => parseSearchQuery(query), error =>
+                error instanceof SchemaValidationError && message.test(error.message) && error.issues[0].path === 'query');
+        });
+    }
+});
+
+describe('refineSearchResults', () => {
+    const page = { sort: 'relevance', offset: 0, limit: 10 };
+
+    it('filters by the boolean structure of the query', () => {
+        assert.deepEqual(fieldNames(refineSearchResults(CVS, parseSearchQuery('python -java'), page)), ['Acme', 'Python']);
+        assert.deepEqual(fieldNames(refineSearchResults(CVS, parseSearchQuery('go OR java'), page)), ['Acme', 'Initech']);
+        assert.deepEqual(fieldNames(refineSearchResults(CVS, parseSearchQuery('cert*'), page)), ['AWS certification']);
+    });
+
+    it('keeps every backend match of a plain query', () => {
+        assert.equal(refineSearchResults(CVS, parseSearchQuery('rust'), page).totalResults, 4);
+    });
+
+    it('sorts by date with ongoing jobs first and undated matches last, grouped by CV', () => {
+        const newest = refineSearchResults(CVS, parseSearchQuery('rust'), { ...page, sort: 'date_desc' });
+        assert.deepEqual(fieldNames(newest), ['Acme', 'Initech', 'Python', 'AWS certification']);
+        const oldest = refineSearchResults(CVS, parseSearchQuery('rust'), { ...page, sort: 'date_asc' });
+        assert.deepEqual(fieldNames(oldest), ['Initech', 'Acme', 'Python', 'AWS certification']);
+        assert.deepEqual(oldest.results.map(cv => cv.cvId), ['cv-1', 'cv-2']);
+    });
+
+    it('pages the results and counts facets over all of them', () => {
+        const result = refineSearchResults(CVS, parseSearchQuery('rust'), { ...page, offset: 1, limit: 2 });
+        assert.deepEqual(fieldNames(result), ['Python', 'AWS certification']);
+        assert.equal(result.hasMore, true);
+        assert.deepEqual(result.facets.fieldType, { job: 2, skill: 1, certification: 1 });
+        assert.deepEqual(result.facets.cv.map(facet => [facet.cvId, facet.count]), [['cv-1', 3], ['cv-2', 1]]);
+        assert.equal(result.results[0].matchCount, 3);
+    });
+});
+
+describe('highlightMatches', () => {
+    it('marks hits of terms and phrases with their paths', () => {
+        const query = parseSearchQuery('"machine learning" python');
+        const highlights = highlightMatches({ title: 'Engineer', description: 'Machine-learning pipelines in Python', skills: ['python'] }, query);
+        assert.deepEqual(highlights, [
+            { path: 'description', snippet: '**Machine-learning** pipelines in **Python**' },
+            { path: 'skills[0]', snippet: '**python**' }
+        ]);
+    });
+
+    it('cuts long text to a window around the first hit', () => {
+        const text = `${'a '.repeat(100)}python${' b'.repeat(100)}`;
+        const [{ snippet }] = highlightMatches({ description: text }, parseSearchQuery('python'));
+        assert.ok(snippet.startsWith('…') && snippet.endsWith('…'));
+        assert.ok(snippet.includes('**python**'));
+        assert.ok(snippet.length < text.length);
+    });
+});
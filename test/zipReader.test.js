@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readZip } from '../utils/zipReader.js';
+import { buildZip } from './helpers/zip.js';
+
+describe('readZip', () => {
+    it('extracts stored and deflated files and skips directories', () => {
+        const files = readZip(buildZip([
+            { name: 'export/' },
+            { name: 'export/Profile.csv', content: Buffer.from('First Name,Last Name\nAda,Lovelace\n') },
+            { name: 'readme.txt', content: Buffer.from('hello'), method: 0 }
+        ]));
+        assert.deepEqual([...files.keys()], ['export/Profile.csv', 'readme.txt']);
+        assert.equal(files.get('export/Profile.csv').toString(), 'First Name,Last Name\nAda,Lovelace\n');
+        assert.equal(files.get('readme.txt').toString(), 'hello');
+    });
+
+    it('rejects archives whose declared size is over the limit', () => {
+        const zip = buildZip([{ name: 'big.txt', content: Buffer.alloc(2000) }]);
+        assert.throws(() => readZip(zip, { maxTotalSize: 1000 }), /larger than 1000 bytes/);
+    });
+
+    it('enforces the limit on the inflated size when the declared size is forged', () => {
+        for (const declaredSize of [0, 10]) {
+            const zip = buildZip([{ name: 'bomb.txt', content: Buffer.alloc(100000), declaredSize }]);
+            assert.throws(() => readZip(zip, { maxTotalSize: 1000 }), /larger than 1000 bytes/);
+        }
+    });
+
+    it('counts the limit across all entries', () => {
+        const zip = buildZip([
+            { name: 'a.txt', content: Buffer.alloc(600), declaredSize: 0 },
+            { name: 'b.txt', content: Buffer.alloc(600), declaredSize: 0 }
+        ]);
+        assert.throws(() => readZip(zip, { maxTotalSize: 1000 }), /larger than 1000 bytes/);
+        assert.equal(readZip(zip, { maxTotalSize: 1200 }).size, 2);
+    });
+
+    it('rejects data that is not a ZIP archive', () => {
+        assert.throws(() => readZip(Buffer.from('not a zip file at all, just text')), /Not a ZIP archive/);
+    });
+});
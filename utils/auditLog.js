@@ -0,0 +1,80 @@
+// utils/auditLog.js
+// Audit trail of tool calls: who called which tool with which (redacted) arguments, and the outcome.
+// Written as JSON lines to its own file (`log.auditFile`, off unless configured), separate from the
+// diagnostic log, and rotated by size: audit.log is renamed to audit.log.1, audit.log.1 to
+// audit.log.2, and so on up to `auditMaxFiles`.
+import fs from 'fs/promises';
+import path from 'path';
+import { getConfig } from './config.js';
+import { createLogger, getRequestContext, redact } from './logger.js';
+
+const log = createLogger('audit');
+
+// Appends happen one at a time so rotation never races a write.
+let queue = Promise.resolve();
+
+async function rotate(file, maxFiles) {
+    for (let index = maxFiles - 1; index >= 1; index--) {
+        await fs.rename(`${file}.${index}`, `${file}.${index + 1}`).catch(() => {});
+    }
+    await fs.rename(file, `${file}.1`);
+}
+
+async function append(file, line, { auditMaxBytes, auditMaxFiles }) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const size = await fs.stat(file).then(stats => stats.size, () => 0);
+    if (size > 0 && size + Buffer.byteLength(line) > auditMaxBytes) {
+        await rotate(file, auditMaxFiles);
+    }
+    await fs.appendFile(file, line, { mode: 0o600 });
+}
+
+/**
+ * Identifies the caller for the audit trail without recording personal data.
+ */
+function describeCaller(context, transport) {
+    if (context.currentUser) {
+        return { userId: context.currentUser.id, roles: context.currentUser.roles };
+    }
+    if (context.session?.user) {
+        return { userId: context.session.user.id, roles: context.session.user.roles };
+    }
+    return { userId: transport === 'stdio' ? 'configured-api-key' : 'anonymous' };
+}
+
+/**
+ * Records one tool call. Never throws; failures to write are logged.
+ *
+ * @param {object} call
+ * @param {string} call.tool - Tool name.
+ * @param {object} call.args - Tool arguments (redacted before writing).
+ * @param {object} call.context - The per-call context (session, current user).
+ * @param {'stdio' | 'http'} call.transport
+ * @param {'success' | 'error'} call.outcome
+ * @param {string} [call.error] - Error message when the call failed.
+ * @param {string} [call.errorType] - BackendError or SchemaValidationError type, when known.
+ * @param {number} call.durationMs
+ */
+export function recordToolCall({ tool, args, context, transport, outcome, error, errorType, durationMs }) {
+    const logSettings = getConfig().log;
+    if (logSettings.auditFile === 'off') {
+        return;
+    }
+    const entry = {
+        time: new Date().toISOString(),
+        correlationId: getRequestContext()?.correlationId,
+        transport,
+        sessionId: getRequestContext()?.sessionId,
+        ...describeCaller(context, transport),
+        tool,
+        args: redact(args),
+        outcome,
+        ...(error && { error: redact(error) }),
+        ...(errorType && { errorType }),
+        durationMs
+    };
+    const line = `${JSON.stringify(entry)}\n`;
+    queue = queue
+        .then(() => append(logSettings.auditFile, line, logSettings))
+        .catch(writeError => log.error('Failed to write audit log', { error: writeError }));
+}
@@ -0,0 +1,311 @@
+// utils/auth.js
+// Pluggable authentication for the HTTP server.
+//
+// MCP_AUTH_STRATEGIES lists the enabled strategies in the order they are tried (default "apiKey,session"):
+//   - apiKey:  per-user API key, verified against the backend. Sent as X-API-Key, or as Authorization:
+//              Bearer unless oauth is enabled: then bearer tokens are OAuth tokens, which must never
+//              reach the backend (the MCP authorization spec forbids token passthrough).
+//   - oauth:   OAuth 2.1 bearer token (MCP authorization spec), verified by token introspection.
+//   - session: no credentials on the request; the caller logs in with the `loginToMcp` tool and the
+//              backend token is kept in the server-side state of its MCP session.
+//
+// Every strategy produces an SDK `AuthInfo` on req.auth. Its `extra` carries the caller's backend token
+// (`backendToken`) and user (`currentUser`), which tool handlers forward to the backend, and the name of
+// the strategy that authenticated it (`strategy`).
+import { createHash } from 'crypto';
+import { InvalidTokenError, InsufficientScopeError, ServerError } from '@modelcontextprotocol/sdk/server/auth/errors.js';
+import { getCurrentUser } from './backendApi.js';
+import { SCOPES } from './authorization.js';
+import { BackendAuthError } from './backendClient.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('auth');
+
+const VERIFICATION_CACHE_TTL_MS = 60 * 1000;
+const MAX_VERIFIED_CREDENTIALS = 1000;
+
+const OAUTH_ISSUER = process.env.OAUTH_ISSUER;
+const OAUTH_INTROSPECTION_URL = process.env.OAUTH_INTROSPECTION_URL;
+const OAUTH_TOKEN_URL = process.env.OAUTH_TOKEN_URL;
+const OAUTH_CLIENT_ID = process.env.OAUTH_CLIENT_ID;
+const OAUTH_CLIENT_SECRET = process.env.OAUTH_CLIENT_SECRET;
+const OAUTH_BACKEND_AUDIENCE = process.env.OAUTH_BACKEND_AUDIENCE;
+const OAUTH_REQUIRED_SCOPES = (process.env.OAUTH_REQUIRED_SCOPES || '').split(/[\s,]+/).filter(Boolean);
+
+// Verified credentials, keyed by a hash of the credential so raw secrets are never kept as map keys.
+// Map order doubles as LRU order.
+const verificationCache = new Map();
+
+function hashCredential(credential) {
+    return createHash('sha256').update(credential).digest('hex');
+}
+
+async function cached(credential, verify) {
+    const key = hashCredential(credential);
+    const hit = verificationCache.get(key);
+    if (hit && hit.expiresAt > Date.now()) {
+        verificationCache.delete(key);
+        verificationCache.set(key, hit);
+        return hit.authInfo;
+    }
+
+    const authInfo = await verify();
+    const tokenExpiry = authInfo.expiresAt ? authInfo.expiresAt * 1000 : Infinity;
+    // Rotated and one-off credentials are never asked for again, so expired entries go on every insert.
+    const now = Date.now();
+    for (const [cachedKey, entry] of verificationCache) {
+        if (entry.expiresAt <= now) verificationCache.delete(cachedKey);
+    }
+    verificationCache.delete(key);
+    verificationCache.set(key, {
+        authInfo,
+        expiresAt: Math.min(now + VERIFICATION_CACHE_TTL_MS, tokenExpiry)
+    });
+    while (verificationCache.size > MAX_VERIFIED_CREDENTIALS) {
+        verificationCache.delete(verificationCache.keys().next().value);
+    }
+    return authInfo;
+}
+
+function getBearerToken(req) {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        return authHeader.substring(7);
+    }
+    return null;
+}
+
+// ---- apiKey ----
+
+async function authenticateApiKey(req, { strategies }) {
+    const apiKey = req.headers['x-api-key'] || (strategies.includes('oauth') ? null : getBearerToken(req));
+    if (!apiKey) {
+        return null;
+    }
+
+    return cached(apiKey, async () => {
+        let user;
+        try {
+            user = await getCurrentUser({ accessToken: apiKey });
+        } catch (error) {
+            if (error instanceof BackendAuthError) {
+                throw new InvalidTokenError('API key is invalid or expired');
+            }
+            throw new ServerError(`Could not verify API key with the backend: ${error.message}`);
+        }
+
+        return {
+            token: apiKey,
+            clientId: user.id,
+            scopes: user.roles || [],
+            extra: {
+                strategy: 'apiKey',
+                backendToken: apiKey,
+                currentUser: user
+            }
+        };
+    });
+}
+
+// ---- oauth ----
+
+function getClientAuthorization() {
+    return `Basic ${Buffer.from(`${OAUTH_CLIENT_ID}:${OAUTH_CLIENT_SECRET}`).toString('base64')}`;
+}
+
+async function postForm(url, params) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Accept': 'application/json',
+            'Authorization': getClientAuthorization()
+        },
+        body: new URLSearchParams(params)
+    });
+    if (!response.ok) {
+        throw new ServerError(`Authorization server responded with ${response.status} ${response.statusText}`);
+    }
+    return await response.json();
+}
+
+/**
+ * Obtains a backend token on behalf of the caller (RFC 8693 token exchange).
+ * The MCP authorization spec forbids passing the client's token through to upstream APIs, so the
+ * token presented to this server is only ever used as the exchange's subject token.
+ */
+async function exchangeForBackendToken(subjectToken) {
+    const data = await postForm(OAUTH_TOKEN_URL, {
+        grant_type: 'urn:ietf:params:oauth:grant-type:token-exchange',
+        subject_token: subjectToken,
+        subject_token_type: 'urn:ietf:params:oauth:token-type:access_token',
+        ...(OAUTH_BACKEND_AUDIENCE && { audience: OAUTH_BACKEND_AUDIENCE })
+    });
+    return data.access_token;
+}
+
+async function authenticateOAuth(req, { resourceUrl }) {
+    const token = getBearerToken(req);
+    if (!token) {
+        return null;
+    }
+
+    const authInfo = await cached(token, async () => {
+        // RFC 7662 token introspection
+        const introspection = await postForm(OAUTH_INTROSPECTION_URL, { token, token_type_hint: 'access_token' });
+        if (!introspection.active) {
+            throw new InvalidTokenError('Access token is not active');
+        }
+
+        // Tokens must have been issued for this MCP server (RFC 8707 resource indicators).
+        const audiences = [].concat(introspection.aud || []);
+        if (resourceUrl && !audiences.includes(resourceUrl)) {
+            throw new InvalidTokenError('Access token was not issued for this server');
+        }
+
+        return {
+            token,
+            clientId: introspection.client_id,
+            scopes: (introspection.scope || '').split(' ').filter(Boolean),
+            expiresAt: introspection.exp,
+            extra: {
+                strategy: 'oauth',
+                backendToken: await exchangeForBackendToken(token),
+                currentUser: {
+                    id: introspection.sub,
+                    name: introspection.username,
+                    roles: introspection.roles || []
+                }
+            }
+        };
+    });
+
+    if (authInfo.expiresAt && authInfo.expiresAt < Date.now() / 1000) {
+        throw new InvalidTokenError('Token has expired');
+    }
+    if (!OAUTH_REQUIRED_SCOPES.every(scope => authInfo.scopes.includes(scope))) {
+        throw new InsufficientScopeError('Insufficient scope');
+    }
+    return authInfo;
+}
+
+// ---- session ----
+
+function authenticateSession(req, { getSessionState }) {
+    const sessionId = req.headers['mcp-session-id'];
+    const state = sessionId && getSessionState(sessionId);
+    if (!state || !state.accessToken) {
+        return null;
+    }
+
+    return {
+        token: sessionId,
+        clientId: state.user?.id || 'session',
+        scopes: state.user?.roles || [],
+        extra: {
+            strategy: 'session',
+            backendToken: state.accessToken,
+            currentUser: state.user
+        }
+    };
+}
+
+export const AUTH_STRATEGIES = {
+    apiKey: authenticateApiKey,
+    oauth: authenticateOAuth,
+    session: authenticateSession
+};
+
+/**
+ * Parses and validates the list of enabled strategies.
+ *
+ * @param {string} [value] - Comma-separated strategy names.
+ * @returns {string[]} The enabled strategy names, in the order they are tried.
+ */
+export function getEnabledStrategies(value = process.env.MCP_AUTH_STRATEGIES || 'apiKey,session') {
+    const names = value.split(',').map(name => name.trim()).filter(Boolean);
+    for (const name of names) {
+        if (!AUTH_STRATEGIES[name]) {
+            throw new Error(`Unknown auth strategy '${name}'. Expected one of: ${Object.keys(AUTH_STRATEGIES).join(', ')}`);
+        }
+    }
+    if (names.includes('oauth') && !(OAUTH_ISSUER && OAUTH_INTROSPECTION_URL && OAUTH_TOKEN_URL && OAUTH_CLIENT_ID && OAUTH_CLIENT_SECRET)) {
+        throw new Error('The oauth strategy requires OAUTH_ISSUER, OAUTH_INTROSPECTION_URL, OAUTH_TOKEN_URL, OAUTH_CLIENT_ID and OAUTH_CLIENT_SECRET');
+    }
+    return names;
+}
+
+/**
+ * Serves OAuth 2.0 Protected Resource Metadata (RFC 9728), which MCP clients use to discover
+ * the authorization server for this MCP server.
+ *
+ * @param {object} options
+ * @param {string} options.resourceUrl - The canonical URL of the MCP endpoint.
+ * @returns {import('express').RequestHandler}
+ */
+export function protectedResourceMetadataHandler({ resourceUrl }) {
+    return (req, res) => {
+        res.json({
+            resource: resourceUrl,
+            authorization_servers: [OAUTH_ISSUER],
+            scopes_supported: [...new Set([...OAUTH_REQUIRED_SCOPES, ...Object.values(SCOPES)])],
+            bearer_methods_supported: ['header']
+        });
+    };
+}
+
+/**
+ * Express middleware that authenticates the request with the first enabled strategy that accepts it.
+ * A strategy returns null when the request carries no credentials it understands, and throws when
+ * it recognises the credentials but rejects them. Requests without any credentials are only let
+ * through when the session strategy is enabled, so that the client can call `loginToMcp`.
+ *
+ * @param {object} options
+ * @param {string[]} options.strategies - Enabled strategy names, see getEnabledStrategies().
+ * @param {string} options.resourceUrl - The canonical URL of the MCP endpoint.
+ * @param {(sessionId: string) => object | undefined} options.getSessionState - Looks up the server-side
+ *                                                                             state of an MCP session.
+ * @returns {import('express').RequestHandler}
+ */
+export function createAuthMiddleware({ strategies, resourceUrl, getSessionState }) {
+    const resourceMetadataUrl = new URL('/.well-known/oauth-protected-resource', resourceUrl).href;
+
+    function sendAuthError(res, error) {
+        if (error instanceof InvalidTokenError || error instanceof InsufficientScopeError) {
+            const challenge = strategies.includes('oauth')
+                ? `Bearer error="${error.errorCode}", error_description="${error.message}", resource_metadata="${resourceMetadataUrl}"`
+                : `Bearer error="${error.errorCode}", error_description="${error.message}"`;
+            res.set('WWW-Authenticate', challenge);
+            return res.status(error instanceof InsufficientScopeError ? 403 : 401).json(error.toResponseObject());
+        }
+        log.error('Unexpected error while authenticating request', { error });
+        const serverError = error instanceof ServerError ? error : new ServerError('Internal Server Error');
+        res.status(500).json(serverError.toResponseObject());
+    }
+
+    return async (req, res, next) => {
+        let rejection = null;
+
+        for (const name of strategies) {
+            try {
+                const authInfo = await AUTH_STRATEGIES[name](req, { strategies, resourceUrl, getSessionState });
+                if (authInfo) {
+                    req.auth = authInfo;
+                    return next();
+                }
+            } catch (error) {
+                // Another strategy may still accept the request, e.g. through its session, so keep
+                // trying before rejecting.
+                rejection = rejection || error;
+            }
+        }
+
+        if (rejection) {
+            return sendAuthError(res, rejection);
+        }
+        if (strategies.includes('session')) {
+            return next();
+        }
+        return sendAuthError(res, new InvalidTokenError('Missing credentials'));
+    };
+}
@@ -0,0 +1,88 @@
+// utils/authorization.js
+// Who may use which tool (utils/tools.js) and backend action (utils/backendActions.js).
+// Each declares `requiredRoles`, of which the caller needs one (an empty list also admits callers who
+// have not logged in), and `requiredScopes`, all of which an OAuth token must carry. API keys and
+// login sessions act with the user's full authority, so scopes only narrow down OAuth callers.
+
+export const ANY_USER = ['user', 'admin'];
+export const ADMIN_ONLY = ['admin'];
+
+// OAuth scopes understood by this server.
+export const SCOPES = {
+    read: 'cv:read',
+    write: 'cv:write',
+    admin: 'cv:admin'
+};
+
+/**
+ * A caller lacks the role or scope a tool or action requires.
+ */
+export class AuthorizationError extends Error {
+    constructor(message, { hint } = {}) {
+        super(message);
+        this.name = 'AuthorizationError';
+        this.type = 'forbidden';
+        this.hint = hint;
+    }
+
+    toJSON() {
+        return { type: this.type, hint: this.hint };
+    }
+}
+
+/**
+ * Describes the caller of a request from its per-call context.
+ *
+ * @param {object} context - The per-call context built by the transport.
+ * @returns {{ userId?: string, authenticated: boolean, roles: string[], scopes: string[] | null }}
+ *          `scopes` is null when the credentials are not scope-limited.
+ */
+export function getCaller(context) {
+    const user = context.currentUser || context.session?.user;
+    const authenticated = Boolean(user || context.accessToken || context.transport === 'stdio');
+    return {
+        userId: user?.id,
+        authenticated,
+        // Callers whose roles the backend did not report are treated as ordinary users.
+        roles: user?.roles?.length ? user.roles : authenticated ? ['user'] : [],
+        scopes: context.scopes ?? null
+    };
+}
+
+// Why the caller may not use an entry, or null when it may.
+function denialReason(entry, caller) {
+    const { requiredRoles = ANY_USER, requiredScopes = [] } = entry;
+    if (requiredRoles.length > 0 && !caller.authenticated) {
+        return { message: 'requires you to log in', hint: 'Authenticate with an API key or OAuth token, or call loginToMcp.' };
+    }
+    if (requiredRoles.length > 0 && !requiredRoles.some(role => caller.roles.includes(role))) {
+        return { message: `requires the ${requiredRoles.join(' or ')} role`, hint: 'Ask an administrator if you need access.' };
+    }
+    const missingScopes = caller.scopes ? requiredScopes.filter(scope => !caller.scopes.includes(scope)) : [];
+    if (missingScopes.length > 0) {
+        return { message: `requires the ${missingScopes.join(', ')} scope`, hint: 'Authorize the client again with the missing scopes.' };
+    }
+    return null;
+}
+
+/**
+ * @param {{ requiredRoles?: string[], requiredScopes?: string[] }} entry - A tool or action.
+ * @param {ReturnType<typeof getCaller>} caller
+ * @returns {boolean}
+ */
+export function isAllowed(entry, caller) {
+    return denialReason(entry, caller) === null;
+}
+
+/**
+ * @param {{ name: string, requiredRoles?: string[], requiredScopes?: string[] }} entry - A tool or action.
+ * @param {ReturnType<typeof getCaller>} caller
+ * @param {string} kind - What the entry is, for the message ('Tool', 'Action').
+ * @throws {AuthorizationError} When the caller may not use the entry.
+ */
+export function assertAllowed(entry, caller, kind) {
+    const reason = denialReason(entry, caller);
+    if (reason) {
+        throw new AuthorizationError(`${kind} '${entry.name}' ${reason.message}`, { hint: reason.hint });
+    }
+}
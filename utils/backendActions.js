@@ -0,0 +1,105 @@
+// utils/backendActions.js
+// The backend actions triggerBackendAction may run (utils/tools.js). Only actions listed here can be
+// reached; each declares its payload schema, the roles and scopes the caller needs (see
+// utils/authorization.js) and whether it destroys data. Destructive actions only run after the user
+// has confirmed them through elicitation.
+import { ADMIN_ONLY, SCOPES } from './authorization.js';
+import { ID_PATTERN } from './schemaValidation.js';
+
+const CV_ID = { type: "string", pattern: ID_PATTERN, description: "The CV ID." };
+
+export const BACKEND_ACTIONS = [
+  {
+    name: "duplicateCv",
+    description: "Copies a CV with all its fields into a new CV.",
+    payloadSchema: {
+      type: "object",
+      properties: {
+        cvId: CV_ID,
+        title: { type: "string", minLength: 1, description: "Title of the copy (optional, defaults to 'Copy of <title>')." }
+      },
+      required: ["cvId"],
+      additionalProperties: false
+    },
+    requiredRoles: ADMIN_ONLY,
+    requiredScopes: [SCOPES.write],
+    destructive: false
+  },
+  {
+    name: "archiveCv",
+    description: "Hides a CV from the overview without deleting it. Undo with unarchiveCv.",
+    payloadSchema: {
+      type: "object",
+      properties: { cvId: CV_ID },
+      required: ["cvId"],
+      additionalProperties: false
+    },
+    requiredRoles: ADMIN_ONLY,
+    requiredScopes: [SCOPES.write],
+    destructive: false
+  },
+  {
+    name: "unarchiveCv",
+    description: "Shows an archived CV in the overview again.",
+    payloadSchema: {
+      type: "object",
+      properties: { cvId: CV_ID },
+      required: ["cvId"],
+      additionalProperties: false
+    },
+    requiredRoles: ADMIN_ONLY,
+    requiredScopes: [SCOPES.write],
+    destructive: false
+  },
+  {
+    name: "deleteCv",
+    description: "Permanently deletes a CV with all its fields and their version history.",
+    payloadSchema: {
+      type: "object",
+      properties: { cvId: CV_ID },
+      required: ["cvId"],
+      additionalProperties: false
+    },
+    requiredRoles: ADMIN_ONLY,
+    requiredScopes: [SCOPES.admin],
+    destructive: true
+  },
+  {
+    name: "purgeFieldHistory",
+    description: "Deletes the older versions of a field, keeping only the most recent ones.",
+    payloadSchema: {
+      type: "object",
+      properties: {
+        fieldId: { type: "string", pattern: ID_PATTERN, description: "The field ID." },
+        keepLatest: { type: "integer", minimum: 1, description: "Number of versions to keep (optional, defaults to 1)." }
+      },
+      required: ["fieldId"],
+      additionalProperties: false
+    },
+    requiredRoles: ADMIN_ONLY,
+    requiredScopes: [SCOPES.admin],
+    destructive: true
+  },
+  {
+    name: "reindexSearch",
+    description: "Rebuilds the backend's search index for every CV. Search results may be incomplete while it runs.",
+    payloadSchema: {
+      type: "object",
+      properties: {},
+      additionalProperties: false
+    },
+    requiredRoles: ADMIN_ONLY,
+    requiredScopes: [SCOPES.admin],
+    destructive: false
+  }
+];
+
+export const BACKEND_ACTION_NAMES = BACKEND_ACTIONS.map(action => action.name);
+
+/**
+ * @param {string} name - An action name.
+ * @returns {object | undefined} The registry entry, if the action is allow-listed.
+ */
+export function findBackendAction(name) {
+    return BACKEND_ACTIONS.find(action => action.name === name);
+}
@@ -0,0 +1,175 @@
+// utils/backendApi.js
+// Calls into the Droste CV backend, shared by every tool regardless of transport.
+// Transport concerns (credentials, timeouts, retries, errors) are handled by utils/backendClient.js.
+import { backendRequest, BackendAuthError, BackendNotFoundError } from './backendClient.js';
+
+// An ID as a URL path segment. Encoding keeps "/", "?" and "#" from changing the path; "." and
+// "..", which URL resolution would collapse, are refused.
+function pathSegment(id) {
+    const segment = String(id);
+    if (segment === '' || segment === '.' || segment === '..') {
+        throw new Error(`Invalid ID: ${JSON.stringify(segment)}`);
+    }
+    return encodeURIComponent(segment);
+}
+
+// List endpoints answer with a bare array or wrap it: { data: [...] } for CVs, { fields: [...] } for fields.
+export function cvList(overview) {
+    return Array.isArray(overview) ? overview : overview?.data || [];
+}
+
+export function fieldList(fieldData) {
+    return Array.isArray(fieldData) ? fieldData : fieldData?.fields || [];
+}
+
+export async function getCvOverview(context) {
+    return await backendRequest('/api/cvs', {}, context);
+}
+
+export async function getCvFields(cvId, context) {
+    return await backendRequest(`/api/cvs/${pathSegment(cvId)}/fields`, {}, context);
+}
+
+export async function getFieldVersions(fieldId, context) {
+    return await backendRequest(`/api/fields/${pathSegment(fieldId)}/versions`, {}, context);
+}
+
+export async function getMedia(key, context) {
+    const data = await backendRequest(`/api/media/secure-url?key=${encodeURIComponent(key)}`, {}, context);
+    return data.url; // Return the URL directly
+}
+
+/**
+ * Fetches a CV's metadata together with its fields.
+ *
+ * @returns {Promise<{ id: string, title?: string, fields: object[] }>}
+ */
+export async function getCv(cvId, context) {
+    const [overview, fieldData] = await Promise.all([
+        getCvOverview(context),
+        getCvFields(cvId, context)
+    ]);
+    const cvs = cvList(overview);
+    const cv = cvs.find(candidate => String(candidate.id) === String(cvId)) || { id: cvId };
+    const fields = fieldList(fieldData);
+    return { ...cv, fields };
+}
+
+/**
+ * Finds a field among the caller's CVs. The backend has no endpoint for a single field, so the CVs'
+ * field lists are searched; they are cached, so repeated lookups are cheap.
+ *
+ * @returns {Promise<{ cvId: string, field: object }>}
+ * @throws {BackendNotFoundError} When none of the caller's CVs has the field.
+ */
+export async function findField(fieldId, context) {
+    const overview = await getCvOverview(context);
+    const cvs = cvList(overview);
+    for (const cv of cvs) {
+        const fieldData = await getCvFields(cv.id, context);
+        const fields = fieldList(fieldData);
+        const field = fields.find(candidate => String(candidate.id) === String(fieldId));
+        if (field) {
+            return { cvId: String(cv.id), field };
+        }
+    }
+    throw new BackendNotFoundError(`Not found: field ${fieldId} is not in any of your CVs`, { status: 404 });
+}
+
+// Stores a file in media storage and returns its record ({ key, ... }), usable with getMedia.
+export async function uploadMedia({ filename, contentType, data }, context) {
+    return await backendRequest('/api/media', {
+        method: 'POST',
+        body: { filename, content_type: contentType, data: data.toString('base64') }
+    }, context);
+}
+
+export async function searchCvs(query, type, dateRange, context, { timeoutMs } = {}) {
+    const body = { query };
+    if (type) body.fieldType = type;
+    if (dateRange) body.dateRange = dateRange;
+
+    return await backendRequest('/api/search/cvs', {
+        method: 'POST',
+        body,
+        timeoutMs
+    }, context);
+}
+
+// Searches the CVs of every user. The backend only allows this for administrators.
+export async function searchAllCvs(query, type, dateRange, context) {
+    const body = { query };
+    if (type) body.fieldType = type;
+    if (dateRange) body.dateRange = dateRange;
+
+    return await backendRequest('/api/admin/search/cvs', {
+        method: 'POST',
+        body
+    }, context);
+}
+
+// Actions can run much longer than other requests; `timeoutMs` overrides `timeouts.requestMs`.
+export async function triggerBackendAction(actionName, payload, context, { timeoutMs } = {}) {
+    return await backendRequest(`/action/${pathSegment(actionName)}`, {
+        method: 'POST',
+        body: payload || {},
+        timeoutMs
+    }, context);
+}
+
+export async function createCv(cv, context) {
+    return await backendRequest('/api/cvs', {
+        method: 'POST',
+        body: cv
+    }, context);
+}
+
+export async function addField(cvId, field, context) {
+    return await backendRequest(`/api/cvs/${pathSegment(cvId)}/fields`, {
+        method: 'POST',
+        body: field
+    }, context);
+}
+
+// Fields are versioned: an update appends a new version and leaves the previous ones intact.
+export async function addFieldVersion(fieldId, version, context) {
+    return await backendRequest(`/api/fields/${pathSegment(fieldId)}/versions`, {
+        method: 'POST',
+        body: version
+    }, context);
+}
+
+export async function deleteField(fieldId, context) {
+    await backendRequest(`/api/fields/${pathSegment(fieldId)}`, {
+        method: 'DELETE'
+    }, context);
+}
+
+// `order` is a list of { id, display_order } entries.
+export async function reorderFields(cvId, order, context) {
+    return await backendRequest(`/api/cvs/${pathSegment(cvId)}/fields/order`, {
+        method: 'PATCH',
+        body: { fields: order }
+    }, context);
+}
+
+// Returns the backend user the given credentials belong to ({ id, email, name, roles }).
+export async function getCurrentUser(context) {
+    return await backendRequest('/api/auth/me', {}, context);
+}
+
+// Exchanges user credentials for a backend access token. No Authorization header is sent.
+export async function login(email, password) {
+    try {
+        return await backendRequest('/api/auth/login', {
+            method: 'POST',
+            body: { email, password },
+            authenticate: false
+        });
+    } catch (error) {
+        if (error instanceof BackendAuthError) {
+            throw new BackendAuthError('Invalid email or password.', { status: error.status, body: error.body });
+        }
+        throw error;
+    }
+}
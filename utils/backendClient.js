@@ -0,0 +1,432 @@
+// utils/backendClient.js
+// The one place that talks HTTP to the Droste CV backend. Adds credentials, enforces per-request
+// timeouts, retries transient failures with jittered backoff (honouring Retry-After), caches reads
+// (utils/responseCache.js), and turns failed responses into typed BackendErrors that carry the
+// backend's response body. The endpoint functions live in utils/backendApi.js.
+import { getConfig } from './config.js';
+import { cacheScope, invalidateAfterWrite, lookup, revalidated, store } from './responseCache.js';
+import { createLogger, getRequestContext } from './logger.js';
+
+const log = createLogger('backend');
+
+const MAX_ERROR_BODY_LENGTH = 2000;
+const IDEMPOTENT_METHODS = ['GET', 'HEAD'];
+// Statuses that mean the backend did not process the request, so any method may be retried.
+const RETRYABLE_STATUSES = [429, 502, 503];
+// Only retried for idempotent requests.
+const IDEMPOTENT_RETRYABLE_STATUSES = [504];
+
+/**
+ * Base class of every error raised for a failed backend call.
+ * `type` is a stable identifier for callers (and the model) to branch on; `hint` says what to do next.
+ */
+export class BackendError extends Error {
+    constructor(message, { status, body, retryable = false, cause } = {}) {
+        super(message, { cause });
+        this.name = this.constructor.name;
+        this.status = status;
+        this.body = body;
+        this.retryable = retryable;
+    }
+
+    get type() {
+        return 'backend_error';
+    }
+
+    get hint() {
+        return 'The backend could not complete the request. Do not retry unchanged; tell the user what failed.';
+    }
+
+    toJSON() {
+        return {
+            type: this.type,
+            status: this.status,
+            retryable: this.retryable,
+            hint: this.hint,
+            ...(this.body !== undefined && { details: this.body })
+        };
+    }
+}
+
+// 401 (credentials missing, invalid or expired) and 403 (not allowed for this user).
+export class BackendAuthError extends BackendError {
+    get type() {
+        return 'auth';
+    }
+
+    get hint() {
+        return this.status === 403
+            ? 'The current user is not allowed to do this. Do not retry; tell the user.'
+            : 'The credentials were rejected. Log in again with loginToMcp (HTTP) or fix the configured API key; retrying with the same credentials will not help.';
+    }
+}
+
+export class BackendNotFoundError extends BackendError {
+    get type() {
+        return 'not_found';
+    }
+
+    get hint() {
+        return 'Check the IDs: look them up with getCvOverview, getCvFields or getFieldVersions, then call the tool again.';
+    }
+}
+
+// 400, 409 and 422: the backend refused the input.
+export class BackendValidationError extends BackendError {
+    get type() {
+        return 'validation';
+    }
+
+    get hint() {
+        return 'The backend rejected the input. Fix the arguments using the details and call the tool again.';
+    }
+}
+
+export class BackendRateLimitError extends BackendError {
+    constructor(message, { retryAfterMs, ...options } = {}) {
+        super(message, { ...options, retryable: true });
+        this.retryAfterMs = retryAfterMs;
+    }
+
+    get type() {
+        return 'rate_limited';
+    }
+
+    get hint() {
+        return this.retryAfterMs
+            ? `Too many requests. Wait ${Math.ceil(this.retryAfterMs / 1000)} seconds before calling again.`
+            : 'Too many requests. Wait a minute before calling again.';
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            ...(this.retryAfterMs && { retryAfterSeconds: Math.ceil(this.retryAfterMs / 1000) })
+        };
+    }
+}
+
+// 5xx responses, timeouts and network failures.
+export class BackendUnavailableError extends BackendError {
+    get type() {
+        return 'backend_down';
+    }
+
+    get hint() {
+        if (!this.retryable) {
+            return 'The backend failed while handling the request and may have applied it. Check the current state before calling again, or tell the user.';
+        }
+        return 'The CV backend is unavailable right now. Try again in a few minutes, or tell the user.';
+    }
+}
+
+/**
+ * Returns the BackendError behind an error, following `cause` links through the wrapping
+ * done by tool handlers ("Failed to ...: ...").
+ *
+ * @param {Error} error
+ * @returns {BackendError | undefined}
+ */
+export function findBackendError(error) {
+    for (let current = error; current; current = current.cause) {
+        if (current instanceof BackendError) {
+            return current;
+        }
+    }
+    return undefined;
+}
+
+// Absolute URL of a backend endpoint, e.g. backendUrl('/api/cvs').
+export function backendUrl(path) {
+    return `${getConfig().backendUrl}${path}`;
+}
+
+/**
+ * Resolves the bearer token to send to the backend.
+ * A token carried by the caller's context (e.g. after `loginToMcp`) wins over the
+ * API key from the configuration (utils/config.js), which only the stdio server may use.
+ *
+ * @param {object} [context] - Per-call context supplied by the transport.
+ * @returns {string} The token to send as `Authorization: Bearer ...`.
+ */
+export function getApiKey(context = {}) {
+    if (context.accessToken) {
+        return context.accessToken;
+    }
+    // HTTP callers must bring their own credentials; never fall back to the server's key.
+    if (context.transport === 'http') {
+        throw new BackendAuthError('Not authenticated. Call loginToMcp first, or connect with an API key or OAuth access token.', { status: 401 });
+    }
+    const { apiKey, profile } = getConfig();
+    if (!apiKey) {
+        throw new BackendAuthError(`No API key configured. Set DROSTE_CV_API_KEY, or apiKey in the '${profile}' profile of the config file.`, { status: 401 });
+    }
+    return apiKey;
+}
+
+async function readBody(response) {
+    const text = await response.text();
+    if (!text) {
+        return null;
+    }
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+}
+
+// Retry-After is either a number of seconds or an HTTP date.
+function parseRetryAfter(value) {
+    if (!value) {
+        return undefined;
+    }
+    const seconds = Number(value);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+    return Number.isFinite(ms) ? Math.max(0, ms) : undefined;
+}
+
+function describeBody(body) {
+    if (typeof body === 'string') return body;
+    const message = body?.message ?? body?.error?.message ?? body?.error;
+    return typeof message === 'string' ? message : undefined;
+}
+
+// Whether a failed response may be repeated: 429/502/503 mean the backend did not process the
+// request; a 504 may hide a write that went through, so it is only repeated for idempotent requests.
+function isRetryableStatus(status, idempotent) {
+    return RETRYABLE_STATUSES.includes(status) || (idempotent && IDEMPOTENT_RETRYABLE_STATUSES.includes(status));
+}
+
+function errorFromResponse(response, responseBody, description, { idempotent }) {
+    const { status } = response;
+    // Error pages can be large HTML documents; keep the start, which is what explains the error.
+    const body = typeof responseBody === 'string' && responseBody.length > MAX_ERROR_BODY_LENGTH
+        ? `${responseBody.slice(0, MAX_ERROR_BODY_LENGTH)}…`
+        : responseBody;
+    const detail = describeBody(body);
+    const options = { status, body: body ?? undefined };
+
+    if (status === 401) {
+        return new BackendAuthError(`Authentication failed: ${detail || 'the API key or access token is invalid or expired'}`, options);
+    }
+    if (status === 403) {
+        return new BackendAuthError(`Not allowed: ${detail || 'insufficient permissions for this operation'}`, options);
+    }
+    if (status === 404) {
+        return new BackendNotFoundError(`Not found: ${detail || description}`, options);
+    }
+    if (status === 400 || status === 409 || status === 422) {
+        return new BackendValidationError(`Rejected by the backend: ${detail || response.statusText}`, options);
+    }
+    if (status === 429) {
+        const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+        return new BackendRateLimitError(`Rate limited by the backend${detail ? `: ${detail}` : ''}`, { ...options, retryAfterMs });
+    }
+    if (status >= 500) {
+        return new BackendUnavailableError(`Backend error (${status} ${response.statusText})${detail ? `: ${detail}` : ''}`, {
+            ...options,
+            retryable: isRetryableStatus(status, idempotent)
+        });
+    }
+    return new BackendError(`Request failed (${status} ${response.statusText})${detail ? `: ${detail}` : ''}`, options);
+}
+
+// Full-jitter exponential backoff: a random delay between half and all of base * 2^attempt.
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Backend calls in flight across all callers, capped at `rateLimits.maxConcurrentBackendCalls`.
+// Calls over the cap wait in FIFO order; their timeout only starts once they run.
+let inFlight = 0;
+const waiting = [];
+
+function acquireSlot(signal) {
+    if (inFlight < getConfig().rateLimits.maxConcurrentBackendCalls) {
+        inFlight++;
+        return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const waiter = {
+            resolve: () => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }
+        };
+        const onAbort = () => {
+            waiting.splice(waiting.indexOf(waiter), 1);
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        waiting.push(waiter);
+    });
+}
+
+function releaseSlot() {
+    const next = waiting.shift();
+    if (next) {
+        // The slot passes straight to the next caller.
+        next.resolve();
+    } else {
+        inFlight--;
+    }
+}
+
+async function withBackendSlot(signal, fn) {
+    await acquireSlot(signal);
+    try {
+        return await fn();
+    } finally {
+        releaseSlot();
+    }
+}
+
+// One attempt, aborted after timeoutMs or when the caller's signal aborts.
+// Timeouts and network failures are only safe to repeat for idempotent requests: a write may have
+// reached the backend before the connection failed.
+async function fetchWithTimeout(url, init, timeoutMs, signal, { idempotent }) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeoutMs);
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+        const response = await fetch(url, { ...init, signal: controller.signal });
+        // Read the body while the timeout still applies.
+        const body = await readBody(response);
+        return { response, body };
+    } catch (error) {
+        if (signal?.aborted) {
+            throw signal.reason;
+        }
+        const base = getConfig().backendUrl;
+        if (timedOut) {
+            throw new BackendUnavailableError(`Backend ${base} did not respond within ${timeoutMs}ms`, { retryable: idempotent, cause: error });
+        }
+        throw new BackendUnavailableError(`Could not reach backend ${base} (${error.cause?.code || error.cause?.message || error.message})`, { retryable: idempotent, cause: error });
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+}
+
+/**
+ * Calls a backend endpoint and returns its parsed response body.
+ *
+ * Idempotent requests (GET, HEAD) are retried after timeouts, network failures and 502/503/504;
+ * any request is retried after 429/502/503, which mean the backend did not process it.
+ * Retry-After is honoured up to `retries.maxRetryAfterMs`; a longer wait is reported as a
+ * BackendRateLimitError instead. Attempts beyond `rateLimits.maxConcurrentBackendCalls` wait for a
+ * free slot before they are sent.
+ * Reads of CVs, fields and versions are served from the per-user cache while fresh and revalidated
+ * with their ETag afterwards; successful writes invalidate the cached reads they affect.
+ *
+ * @param {string} path - Endpoint path, e.g. '/api/cvs'.
+ * @param {object} [options]
+ * @param {string} [options.method] - HTTP method (defaults to GET).
+ * @param {object} [options.body] - JSON body.
+ * @param {object} [options.headers] - Extra headers.
+ * @param {boolean} [options.authenticate] - Send the caller's credentials (defaults to true).
+ * @param {number} [options.timeoutMs] - Per-attempt timeout (defaults to `timeouts.requestMs`).
+ * @param {AbortSignal} [options.signal] - Aborts the call, including pending retries (defaults to
+ *        the tool call's `context.signal`, see utils/cancellation.js).
+ * @param {object} [context] - Per-call context supplied by the transport.
+ * @returns {Promise<any>} The JSON body, the text body, or null when the response is empty.
+ * @throws {BackendError} A typed error for every failed response, timeout or network failure.
+ */
+export async function backendRequest(path, options = {}, context = {}) {
+    const { method = 'GET', body, headers = {}, authenticate = true, timeoutMs, signal = context.signal } = options;
+    const { timeouts, retries } = getConfig();
+    const upperMethod = method.toUpperCase();
+    const idempotent = IDEMPOTENT_METHODS.includes(upperMethod);
+    const description = `${upperMethod} ${path}`;
+    const token = authenticate ? getApiKey(context) : null;
+
+    const cached = upperMethod === 'GET' ? lookup(path, cacheScope(token)) : null;
+    if (cached?.fresh) {
+        return structuredClone(cached.entry.body);
+    }
+
+    const init = {
+        method: upperMethod,
+        headers: {
+            'Accept': 'application/json',
+            ...(body !== undefined && { 'Content-Type': 'application/json' }),
+            ...(token && { 'Authorization': `Bearer ${token}` }),
+            ...(cached?.entry?.etag && { 'If-None-Match': cached.entry.etag }),
+            // Lets backend logs be matched with ours.
+            ...(getRequestContext() && { 'X-Request-Id': getRequestContext().correlationId }),
+            ...headers
+        },
+        ...(body !== undefined && { body: JSON.stringify(body) })
+    };
+
+    for (let attempt = 1; ; attempt++) {
+        let error;
+        let retryable;
+        let retryAfterMs;
+        try {
+            const { response, body: responseBody } = await withBackendSlot(signal, () =>
+                fetchWithTimeout(backendUrl(path), init, timeoutMs ?? timeouts.requestMs, signal, { idempotent })
+            );
+            log.debug('Backend response', { request: description, status: response.status, attempt });
+            if (response.status === 304 && cached?.entry) {
+                return structuredClone(revalidated(cached.key).body);
+            }
+            if (response.ok) {
+                if (cached) {
+                    store(cached.key, path, responseBody, response.headers);
+                } else if (!idempotent) {
+                    invalidateAfterWrite(upperMethod, path);
+                }
+                return structuredClone(responseBody);
+            }
+            error = errorFromResponse(response, responseBody, description, { idempotent });
+            retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+            retryable = isRetryableStatus(response.status, idempotent);
+        } catch (caught) {
+            // Anything but a timeout or network failure (e.g. the caller aborting) ends the call.
+            if (!(caught instanceof BackendUnavailableError)) {
+                throw caught;
+            }
+            error = caught;
+            retryable = caught.retryable;
+        }
+
+        if (!retryable || attempt >= retries.maxAttempts ||
+            (retryAfterMs !== undefined && retryAfterMs > retries.maxRetryAfterMs)) {
+            throw error;
+        }
+        const delay = retryAfterMs ?? backoffDelay(attempt, retries);
+        log.warning('Retrying backend request', { request: description, error: error.message, attempt, maxAttempts: retries.maxAttempts, delayMs: delay });
+        await sleep(delay, signal);
+    }
+}
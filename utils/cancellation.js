@@ -0,0 +1,92 @@
+// utils/cancellation.js
+// Ending tool calls that run too long or that the caller gave up on (MCP `notifications/cancelled`,
+// or a REST client disconnecting). Each call gets an AbortSignal, handed to its handler as
+// `context.signal`; utils/backendClient.js passes it to every backend request, so in-flight fetches
+// and pending retries stop as soon as the call ends.
+
+/**
+ * A tool call ran longer than its timeout (the tool's `timeoutMs`, else `timeouts.toolMs`).
+ */
+export class ToolTimeoutError extends Error {
+    constructor(toolName, timeoutMs) {
+        super(`${toolName} did not finish within ${timeoutMs / 1000}s and was stopped`);
+        this.name = 'ToolTimeoutError';
+        this.type = 'timeout';
+        this.timeoutMs = timeoutMs;
+    }
+
+    get hint() {
+        return 'Try again with less work per call, e.g. a smaller depth, fewer fields or a narrower search.';
+    }
+
+    toJSON() {
+        return { type: this.type, timeoutMs: this.timeoutMs, hint: this.hint };
+    }
+}
+
+/**
+ * The caller cancelled a tool call.
+ */
+export class ToolCancelledError extends Error {
+    constructor(toolName, reason) {
+        super(`${toolName} was cancelled${reason ? `: ${reason}` : ''}`);
+        this.name = 'ToolCancelledError';
+        this.type = 'cancelled';
+    }
+
+    toJSON() {
+        return { type: this.type };
+    }
+}
+
+/**
+ * Creates the signal of one tool call. It aborts with a ToolTimeoutError after `timeoutMs`, or
+ * with a ToolCancelledError when the caller's signal aborts.
+ *
+ * @param {string} toolName
+ * @param {object} options
+ * @param {number} options.timeoutMs
+ * @param {AbortSignal} [options.signal] - Aborted when the caller cancels the call.
+ * @returns {{ signal: AbortSignal, dispose: () => void }} Call `dispose` once the call has finished.
+ */
+export function createCallSignal(toolName, { timeoutMs, signal }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new ToolTimeoutError(toolName, timeoutMs)), timeoutMs);
+    const onCancel = () => {
+        const reason = typeof signal.reason === 'string' ? signal.reason : signal.reason?.message;
+        controller.abort(new ToolCancelledError(toolName, reason));
+    };
+    if (signal?.aborted) {
+        onCancel();
+    } else {
+        signal?.addEventListener('abort', onCancel, { once: true });
+    }
+
+    return {
+        signal: controller.signal,
+        dispose: () => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onCancel);
+        }
+    };
+}
+
+/**
+ * Settles like `promise`, or rejects with the signal's reason as soon as it aborts, so that a call
+ * ends on time even if its handler is still waiting for something that ignores the signal.
+ *
+ * @param {Promise<T>} promise
+ * @param {AbortSignal} signal
+ * @returns {Promise<T>}
+ * @template T
+ */
+export function raceWithSignal(promise, signal) {
+    if (signal.aborted) {
+        return Promise.reject(signal.reason);
+    }
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
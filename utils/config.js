@@ -0,0 +1,301 @@
+// utils/config.js
+// Runtime configuration shared by both servers. Settings are resolved in this order, later wins:
+//   1. the built-in defaults of the selected profile
+//   2. that profile in the config file
+//   3. environment variables
+// The profile comes from DROSTE_CV_PROFILE, then the file's `defaultProfile`, then 'local'.
+// The config file is DROSTE_CV_CONFIG, or droste-cv-mcp.config.json in the working or home directory.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+export const CONFIG_FILE_NAME = 'droste-cv-mcp.config.json';
+// Syslog severities, as used by MCP logging/setLevel.
+export const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+// When searchCvs uses the local search index (utils/searchIndex.js) instead of the backend search.
+export const SEARCH_INDEX_MODES = ['off', 'fallback', 'always'];
+
+const DEFAULT_SETTINGS = {
+    apiKey: undefined,
+    timeouts: {
+        requestMs: 15000,   // one backend API call
+        downloadMs: 60000,  // fetching a media file
+        toolMs: 60000       // a whole tool call, for tools that do not declare their own `timeoutMs`
+    },
+    retries: {
+        maxAttempts: 3,         // including the first attempt; 1 disables retries
+        baseDelayMs: 250,       // backoff doubles from here, with jitter
+        maxDelayMs: 4000,
+        maxRetryAfterMs: 30000  // a longer Retry-After is reported to the caller instead of waited out
+    },
+    cache: {
+        cvsTtlMs: 30000,        // 0 disables caching of that endpoint
+        fieldsTtlMs: 60000,
+        versionsTtlMs: 120000,
+        maxEntries: 1000
+    },
+    log: {
+        level: 'info',
+        destination: 'stderr',  // or a file path
+        auditFile: 'off',       // or a file path; off by default so the server writes no files unless asked to
+        auditMaxBytes: 10 * 1024 * 1024,
+        auditMaxFiles: 5
+    },
+    // Throttling. Request limits and tool quotas apply to the HTTP server; 0 disables a limit.
+    rateLimits: {
+        windowMs: 60000,
+        perIp: 600,                     // HTTP requests per window from one IP address
+        perToken: 120,                  // HTTP requests per window with one credential (token, API key or session)
+        maxConcurrentBackendCalls: 16,  // backend calls in flight across all callers; more wait their turn
+        // Tool calls per window with one credential. Search, export, import and uploads are the most expensive.
+        toolQuotas: { searchCvs: 20, exportCv: 10, importCv: 10, uploadMedia: 10, matchCvToJob: 20 }
+    },
+    // Local full-text index of each user's CV fields (utils/searchIndex.js).
+    search: {
+        localIndex: 'off',          // 'fallback': used when the backend search fails; 'always': used instead of it
+        backendTimeoutMs: 5000,     // backend search timeout in fallback mode, so a slow backend falls back quickly
+        indexMaxAgeMs: 300000,      // CVs not changed through this server are re-read after this long
+        maxIndexes: 100             // one per credential; the least recently used are dropped beyond this
+    },
+    // Browser origins allowed to call the HTTP server. Requests from any other origin are refused;
+    // requests without an Origin header (non-browser clients) are always allowed.
+    corsOrigins: []
+};
+
+// Only local has a known backend; staging and prod must set backendUrl in the file or the environment.
+const BUILT_IN_PROFILES = {
+    local: { backendUrl: 'http://localhost:3000' },
+    staging: {},
+    prod: {}
+};
+
+const PROFILE_KEYS = ['backendUrl', 'apiKey', 'timeouts', 'retries', 'cache', 'log', 'rateLimits', 'search', 'corsOrigins'];
+// Groups of integer settings and the smallest value each accepts.
+const NUMERIC_GROUPS = { timeouts: 1, retries: 1, cache: 0 };
+// rateLimits settings and their smallest values; toolQuotas is checked separately.
+const RATE_LIMIT_MINIMUMS = { windowMs: 1, perIp: 0, perToken: 0, maxConcurrentBackendCalls: 1 };
+// search settings other than localIndex and their smallest values.
+const SEARCH_MINIMUMS = { backendTimeoutMs: 1, indexMaxAgeMs: 0, maxIndexes: 1 };
+
+function readConfigFile(env) {
+    const candidates = env.DROSTE_CV_CONFIG
+        ? [env.DROSTE_CV_CONFIG]
+        : [path.resolve(CONFIG_FILE_NAME), path.join(os.homedir(), CONFIG_FILE_NAME)];
+    const file = candidates.find(candidate => fs.existsSync(candidate));
+
+    if (!file) {
+        if (env.DROSTE_CV_CONFIG) {
+            throw new Error(`Config file ${env.DROSTE_CV_CONFIG} (DROSTE_CV_CONFIG) does not exist`);
+        }
+        return { file: null, contents: {} };
+    }
+    try {
+        return { file, contents: JSON.parse(fs.readFileSync(file, 'utf8')) };
+    } catch (error) {
+        throw new Error(`Could not read config file ${file}: ${error.message}`);
+    }
+}
+
+// Settings that come from environment variables. BACKEND_API_URL is the older name of the backend URL.
+function readEnvironment(env) {
+    const settings = {};
+    const backendUrl = env.DROSTE_CV_BACKEND_URL || env.BACKEND_API_URL;
+    if (backendUrl) settings.backendUrl = backendUrl;
+    if (env.DROSTE_CV_API_KEY) settings.apiKey = env.DROSTE_CV_API_KEY;
+    if (env.DROSTE_CV_REQUEST_TIMEOUT_MS) settings.timeouts = { requestMs: Number(env.DROSTE_CV_REQUEST_TIMEOUT_MS) };
+    if (env.DROSTE_CV_DOWNLOAD_TIMEOUT_MS) settings.timeouts = { ...settings.timeouts, downloadMs: Number(env.DROSTE_CV_DOWNLOAD_TIMEOUT_MS) };
+    if (env.DROSTE_CV_TOOL_TIMEOUT_MS) settings.timeouts = { ...settings.timeouts, toolMs: Number(env.DROSTE_CV_TOOL_TIMEOUT_MS) };
+    if (env.DROSTE_CV_MAX_ATTEMPTS) settings.retries = { maxAttempts: Number(env.DROSTE_CV_MAX_ATTEMPTS) };
+    if (env.DROSTE_CV_CACHE === 'off') settings.cache = { cvsTtlMs: 0, fieldsTtlMs: 0, versionsTtlMs: 0 };
+    if (env.DROSTE_CV_LOG_LEVEL) settings.log = { level: env.DROSTE_CV_LOG_LEVEL };
+    if (env.DROSTE_CV_LOG_DESTINATION) settings.log = { ...settings.log, destination: env.DROSTE_CV_LOG_DESTINATION };
+    if (env.DROSTE_CV_AUDIT_LOG) settings.log = { ...settings.log, auditFile: env.DROSTE_CV_AUDIT_LOG };
+    if (env.DROSTE_CV_RATE_LIMIT_PER_IP) settings.rateLimits = { perIp: Number(env.DROSTE_CV_RATE_LIMIT_PER_IP) };
+    if (env.DROSTE_CV_RATE_LIMIT_PER_TOKEN) settings.rateLimits = { ...settings.rateLimits, perToken: Number(env.DROSTE_CV_RATE_LIMIT_PER_TOKEN) };
+    if (env.DROSTE_CV_MAX_CONCURRENT_BACKEND_CALLS) {
+        settings.rateLimits = { ...settings.rateLimits, maxConcurrentBackendCalls: Number(env.DROSTE_CV_MAX_CONCURRENT_BACKEND_CALLS) };
+    }
+    if (env.DROSTE_CV_SEARCH_INDEX) settings.search = { localIndex: env.DROSTE_CV_SEARCH_INDEX };
+    if (env.DROSTE_CV_CORS_ORIGINS) settings.corsOrigins = env.DROSTE_CV_CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean);
+    return settings;
+}
+
+function merge(...layers) {
+    return layers.reduce((result, layer) => ({
+        ...result,
+        ...layer,
+        timeouts: { ...result.timeouts, ...layer.timeouts },
+        retries: { ...result.retries, ...layer.retries },
+        cache: { ...result.cache, ...layer.cache },
+        log: { ...result.log, ...layer.log },
+        rateLimits: {
+            ...result.rateLimits,
+            ...layer.rateLimits,
+            toolQuotas: { ...result.rateLimits?.toolQuotas, ...layer.rateLimits?.toolQuotas }
+        },
+        search: { ...result.search, ...layer.search }
+    }), {});
+}
+
+function validate(config, fileProfile) {
+    const errors = [];
+
+    for (const key of Object.keys(fileProfile)) {
+        if (!PROFILE_KEYS.includes(key)) {
+            errors.push(`unknown setting '${key}' (expected one of: ${PROFILE_KEYS.join(', ')})`);
+        }
+    }
+
+    if (!config.backendUrl) {
+        errors.push(`backendUrl is not set; add it to the '${config.profile}' profile or set DROSTE_CV_BACKEND_URL`);
+    } else if (!URL.canParse(config.backendUrl) || !/^https?:$/.test(new URL(config.backendUrl).protocol)) {
+        errors.push(`backendUrl must be an http(s) URL, got '${config.backendUrl}'`);
+    } else if (/\/api\/?$/.test(config.backendUrl)) {
+        errors.push(`backendUrl must be the server root without '/api' (got '${config.backendUrl}')`);
+    }
+
+    if (config.apiKey !== undefined && (typeof config.apiKey !== 'string' || !config.apiKey.trim())) {
+        errors.push('apiKey must be a non-empty string');
+    }
+
+    for (const [group, minimum] of Object.entries(NUMERIC_GROUPS)) {
+        for (const [name, value] of Object.entries(config[group])) {
+            if (!(name in DEFAULT_SETTINGS[group])) {
+                errors.push(`unknown setting '${group}.${name}' (expected one of: ${Object.keys(DEFAULT_SETTINGS[group]).join(', ')})`);
+            } else if (!Number.isInteger(value) || value < minimum) {
+                errors.push(`${group}.${name} must be an integer of at least ${minimum}, got '${value}'`);
+            }
+        }
+    }
+
+    const { level, destination, auditFile, auditMaxBytes, auditMaxFiles } = config.log;
+    for (const key of Object.keys(config.log)) {
+        if (!(key in DEFAULT_SETTINGS.log)) {
+            errors.push(`unknown setting 'log.${key}' (expected one of: ${Object.keys(DEFAULT_SETTINGS.log).join(', ')})`);
+        }
+    }
+    if (!LOG_LEVELS.includes(level)) {
+        errors.push(`log.level must be one of: ${LOG_LEVELS.join(', ')}`);
+    }
+    if (typeof destination !== 'string' || !destination) {
+        errors.push("log.destination must be 'stderr' or a file path");
+    } else if (destination !== 'stderr' && !fs.existsSync(path.dirname(path.resolve(destination)))) {
+        errors.push(`log.destination directory ${path.dirname(path.resolve(destination))} does not exist`);
+    }
+    if (typeof auditFile !== 'string' || !auditFile) {
+        errors.push("log.auditFile must be a file path or 'off'");
+    }
+    for (const [name, value] of Object.entries({ auditMaxBytes, auditMaxFiles })) {
+        if (!Number.isInteger(value) || value < 1) {
+            errors.push(`log.${name} must be an integer of at least 1, got '${value}'`);
+        }
+    }
+
+    const { toolQuotas, ...rateLimits } = config.rateLimits;
+    for (const [name, value] of Object.entries(rateLimits)) {
+        if (!(name in RATE_LIMIT_MINIMUMS)) {
+            errors.push(`unknown setting 'rateLimits.${name}' (expected one of: ${Object.keys(DEFAULT_SETTINGS.rateLimits).join(', ')})`);
+        } else if (!Number.isInteger(value) || value < RATE_LIMIT_MINIMUMS[name]) {
+            errors.push(`rateLimits.${name} must be an integer of at least ${RATE_LIMIT_MINIMUMS[name]}, got '${value}'`);
+        }
+    }
+    for (const [tool, value] of Object.entries(toolQuotas)) {
+        if (!Number.isInteger(value) || value < 0) {
+            errors.push(`rateLimits.toolQuotas.${tool} must be an integer of at least 0, got '${value}'`);
+        }
+    }
+
+    const { localIndex, ...searchSettings } = config.search;
+    if (!SEARCH_INDEX_MODES.includes(localIndex)) {
+        errors.push(`search.localIndex must be one of: ${SEARCH_INDEX_MODES.join(', ')}, got '${localIndex}'`);
+    }
+    for (const [name, value] of Object.entries(searchSettings)) {
+        if (!(name in SEARCH_MINIMUMS)) {
+            errors.push(`unknown setting 'search.${name}' (expected one of: ${Object.keys(DEFAULT_SETTINGS.search).join(', ')})`);
+        } else if (!Number.isInteger(value) || value < SEARCH_MINIMUMS[name]) {
+            errors.push(`search.${name} must be an integer of at least ${SEARCH_MINIMUMS[name]}, got '${value}'`);
+        }
+    }
+
+    if (!Array.isArray(config.corsOrigins)) {
+        errors.push('corsOrigins must be a list of origins');
+    } else {
+        for (const origin of config.corsOrigins) {
+            if (typeof origin !== 'string' || !URL.canParse(origin) || new URL(origin).origin !== origin) {
+                errors.push(`corsOrigins entries must be origins like 'https://app.example.com', got '${origin}'`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Resolves and validates the configuration.
+ *
+ * @param {object} [env] - Environment variables (defaults to process.env).
+ * @returns {{ profile: string, configFile: string | null, backendUrl: string, apiKey: string | undefined,
+ *             timeouts: { requestMs: number, downloadMs: number, toolMs: number },
+ *             retries: { maxAttempts: number, baseDelayMs: number, maxDelayMs: number, maxRetryAfterMs: number },
+ *             cache: { cvsTtlMs: number, fieldsTtlMs: number, versionsTtlMs: number, maxEntries: number },
+ *             log: { level: string, destination: string, auditFile: string, auditMaxBytes: number, auditMaxFiles: number },
+ *             rateLimits: { windowMs: number, perIp: number, perToken: number, maxConcurrentBackendCalls: number,
+ *                           toolQuotas: Object<string, number> },
+ *             search: { localIndex: 'off' | 'fallback' | 'always', backendTimeoutMs: number, indexMaxAgeMs: number, maxIndexes: number },
+ *             corsOrigins: string[] }}
+ * @throws {Error} Listing every problem found, so a misconfigured server fails at startup.
+ */
+export function loadConfig(env = process.env) {
+    const { file, contents } = readConfigFile(env);
+    const profiles = { ...BUILT_IN_PROFILES, ...contents.profiles };
+    const profile = env.DROSTE_CV_PROFILE || contents.defaultProfile || 'local';
+
+    if (!Object.hasOwn(profiles, profile)) {
+        throw new Error(`Unknown profile '${profile}'. Available profiles: ${Object.keys(profiles).join(', ')}`);
+    }
+
+    const fileProfile = contents.profiles?.[profile] || {};
+    const config = {
+        profile,
+        configFile: file,
+        ...merge(DEFAULT_SETTINGS, BUILT_IN_PROFILES[profile] || {}, fileProfile, readEnvironment(env))
+    };
+
+    const errors = validate(config, fileProfile);
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration for profile '${profile}'${file ? ` (${file})` : ''}:\n  - ${errors.join('\n  - ')}`);
+    }
+    return config;
+}
+
+let currentConfig = null;
+
+/**
+ * Returns the configuration, loading it on first use.
+ */
+export function getConfig() {
+    if (!currentConfig) {
+        currentConfig = loadConfig();
+    }
+    return currentConfig;
+}
+
+/**
+ * A summary of the configuration that is safe to log (no API key).
+ */
+export function describeConfig(config) {
+    return {
+        profile: config.profile,
+        configFile: config.configFile,
+        backendUrl: config.backendUrl,
+        apiKeySet: Boolean(config.apiKey),
+        requestTimeoutMs: config.timeouts.requestMs,
+        toolTimeoutMs: config.timeouts.toolMs,
+        logLevel: config.log.level,
+        logDestination: config.log.destination,
+        auditFile: config.log.auditFile,
+        rateLimits: config.rateLimits,
+        searchIndex: config.search.localIndex,
+        corsOrigins: config.corsOrigins
+    };
+}
@@ -0,0 +1,259 @@
+// utils/cvEditingTools.js
+// Typed write tools for maintaining CVs. Registered in APP_TOOLS (utils/tools.js).
+import {
+    createCv,
+    addField,
+    addFieldVersion,
+    deleteField,
+    findField,
+    reorderFields
+} from './backendApi.js';
+import { FIELD_DATA_SCHEMAS, FIELD_TYPES } from './fieldTypes.js';
+import { BACKEND_RECORD_SCHEMA, ID_PATTERN, SchemaValidationError } from './schemaValidation.js';
+import { notifyCvChanged, notifyCvListChanged } from './cvEvents.js';
+import { ANY_USER, SCOPES } from './authorization.js';
+
+const FIELD_DATA_INPUT = {
+  type: "object",
+  description: "Field content. Its shape depends on fieldType."
+};
+
+// Checks `data` against the schema of the declared fieldType, so errors name the exact property.
+const FIELD_DATA_CONDITIONS = FIELD_TYPES.map(fieldType => ({
+  if: { properties: { fieldType: { const: fieldType } }, required: ["fieldType"] },
+  then: { properties: { data: FIELD_DATA_SCHEMAS[fieldType] } }
+}));
+
+function jsonResult(text, data, structuredContent) {
+    return {
+        content: [
+            {
+                type: "text",
+                text: `${text}\n${JSON.stringify(data, null, 2)}`
+            }
+        ],
+        structuredContent
+    };
+}
+
+async function handleCreateCv(args, context) {
+    const { title } = args;
+
+    try {
+        const cv = await createCv({ title }, context);
+        notifyCvListChanged();
+        return jsonResult(`CV '${title}' created.`, cv, { cv });
+    } catch (error) {
+        throw new Error(`Failed to create CV: ${error.message}`, { cause: error });
+    }
+}
+
+async function handleAddField(args, context) {
+    const { cvId, name, fieldType, data, displayOrder } = args;
+
+    try {
+        const field = await addField(cvId, {
+            name,
+            field_type: fieldType,
+            data,
+            ...(displayOrder !== undefined && { display_order: displayOrder })
+        }, context);
+        notifyCvChanged({ cvId, fieldId: field.id });
+        return jsonResult(`Field '${name}' added to CV ${cvId}.`, field, { cvId, field });
+    } catch (error) {
+        throw new Error(`Failed to add field: ${error.message}`, { cause: error });
+    }
+}
+
+async function handleUpdateField(args, context) {
+    const { fieldId, fieldType, data, name } = args;
+
+    try {
+        // `data` was validated against the declared fieldType, which has to be the field's own.
+        const { cvId, field } = await findField(fieldId, context);
+        if (field.field_type !== fieldType) {
+            throw new SchemaValidationError(`Field ${fieldId} is a ${field.field_type} field, not a ${fieldType} field`, {
+                issues: [{ path: 'fieldType', message: `must be ${field.field_type}, the type of field ${fieldId}` }]
+            });
+        }
+        const version = await addFieldVersion(fieldId, {
+            data,
+            ...(name && { name })
+        }, context);
+        notifyCvChanged({ cvId, fieldId });
+        return jsonResult(`Field ${fieldId} updated. A new version was created; earlier versions are kept.`, version, { fieldId, version });
+    } catch (error) {
+        throw new Error(`Failed to update field: ${error.message}`, { cause: error });
+    }
+}
+
+async function handleDeleteField(args, context) {
+    const { fieldId } = args;
+
+    try {
+        await deleteField(fieldId, context);
+        notifyCvChanged({ fieldId });
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `Field ${fieldId} deleted.`
+                }
+            ],
+            structuredContent: { fieldId, deleted: true }
+        };
+    } catch (error) {
+        throw new Error(`Failed to delete field: ${error.message}`, { cause: error });
+    }
+}
+
+async function handleReorderFields(args, context) {
+    const { cvId, fieldIds } = args;
+
+    try {
+        const order = fieldIds.map((id, index) => ({ id, display_order: index }));
+        const data = await reorderFields(cvId, order, context);
+        notifyCvChanged({ cvId });
+        return jsonResult(`Fields of CV ${cvId} reordered.`, data, { cvId, fieldIds });
+    } catch (error) {
+        throw new Error(`Failed to reorder fields: ${error.message}`, { cause: error });
+    }
+}
+
+export const CV_EDITING_TOOLS = [
+  {
+    name: "createCv",
+    description: "Creates a new, empty CV for the user.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        title: { type: "string", description: "Title of the CV (e.g., 'Backend Engineer 2025')." }
+      },
+      required: ["title"],
+      additionalProperties: false
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        cv: BACKEND_RECORD_SCHEMA
+      },
+      required: ["cv"]
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false },
+    requiredRoles: ANY_USER,
+    requiredScopes: [SCOPES.write],
+    handler: handleCreateCv
+  },
+  {
+    name: "addField",
+    description: "Adds a field (job, skill, certification or education) to a CV. The shape of `data` depends on `fieldType`.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        cvId: { type: "string", pattern: ID_PATTERN, description: "The CV ID to add the field to." },
+        name: { type: "string", description: "Display name of the field (e.g., 'Senior Engineer at Acme')." },
+        fieldType: { type: "string", enum: FIELD_TYPES, description: "The field type." },
+        data: FIELD_DATA_INPUT,
+        displayOrder: { type: "integer", minimum: 0, description: "Position in the CV (optional, defaults to last)." }
+      },
+      required: ["cvId", "name", "fieldType", "data"],
+      additionalProperties: false,
+      allOf: FIELD_DATA_CONDITIONS
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        cvId: { type: "string" },
+        field: BACKEND_RECORD_SCHEMA
+      },
+      required: ["cvId", "field"]
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false },
+    requiredRoles: ANY_USER,
+    requiredScopes: [SCOPES.write],
+    handler: handleAddField
+  },
+  {
+    name: "updateField",
+    description: "Updates a field's content by creating a new version of it. Previous versions are kept and can be listed with getFieldVersions.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        fieldId: { type: "string", pattern: ID_PATTERN, description: "The field ID to update." },
+        fieldType: { type: "string", enum: FIELD_TYPES, description: "The field's type, as returned by getCvFields; it cannot be changed." },
+        data: FIELD_DATA_INPUT,
+        name: { type: "string", description: "New display name (optional)." }
+      },
+      required: ["fieldId", "fieldType", "data"],
+      additionalProperties: false,
+      allOf: FIELD_DATA_CONDITIONS
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        fieldId: { type: "string" },
+        version: BACKEND_RECORD_SCHEMA
+      },
+      required: ["fieldId", "version"]
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false },
+    requiredRoles: ANY_USER,
+    requiredScopes: [SCOPES.write],
+    handler: handleUpdateField
+  },
+  {
+    name: "deleteField",
+    description: "Deletes a field from its CV.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        fieldId: { type: "string", pattern: ID_PATTERN, description: "The field ID to delete." }
+      },
+      required: ["fieldId"],
+      additionalProperties: false
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        fieldId: { type: "string" },
+        deleted: { type: "boolean" }
+      },
+      required: ["fieldId", "deleted"]
+    },
+    annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true },
+    requiredRoles: ANY_USER,
+    requiredScopes: [SCOPES.write],
+    handler: handleDeleteField
+  },
+  {
+    name: "reorderFields",
+    description: "Sets the display_order of a CV's fields to match the order of the given field IDs.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        cvId: { type: "string", pattern: ID_PATTERN, description: "The CV ID whose fields are reordered." },
+        fieldIds: {
+          type: "array",
+          items: { type: "string", pattern: ID_PATTERN },
+          minItems: 1,
+          uniqueItems: true,
+          description: "Field IDs in their new order; the first gets display_order 0."
+        }
+      },
+      required: ["cvId", "fieldIds"],
+      additionalProperties: false
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        cvId: { type: "string" },
+        fieldIds: { type: "array", items: { type: "string" } }
+      },
+      required: ["cvId", "fieldIds"]
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true },
+    requiredRoles: ANY_USER,
+    requiredScopes: [SCOPES.write],
+    handler: handleReorderFields
+  }
+];
@@ -0,0 +1,22 @@
+// utils/cvEvents.js
+// In-process notifications about CV changes made through this server's tools. Resource
+// subscriptions (utils/resources.js) listen here so clients hear about edits straight away.
+import { EventEmitter } from 'events';
+
+export const cvEvents = new EventEmitter();
+// One listener per connected MCP session.
+cvEvents.setMaxListeners(0);
+
+/**
+ * Announces that a CV or one of its fields changed (new field, new version, deletion, reorder).
+ *
+ * @param {{ cvId?: string, fieldId?: string }} change - At least one of the IDs.
+ */
+export function notifyCvChanged({ cvId, fieldId }) {
+    cvEvents.emit('cvChanged', { cvId: cvId && String(cvId), fieldId: fieldId && String(fieldId) });
+}
+
+// Announces that a CV was created or removed, i.e. the resource list changed.
+export function notifyCvListChanged() {
+    cvEvents.emit('cvListChanged');
+}
@@ -0,0 +1,399 @@
+// utils/cvImporters.js
+// Parsers that map external resume formats to proposed CV fields ({ name, fieldType, data }).
+// Supported: JSON Resume, LinkedIn data exports (single CSV or the whole ZIP) and Markdown/plain-text resumes.
+import { readZip } from './zipReader.js';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Normalises the date formats found in resumes to YYYY-MM-DD.
+ * Accepts "2020-03-15", "2020-03", "2020", "Mar 2020", "March 2020" and "03/2020".
+ *
+ * @param {string} value
+ * @returns {string | undefined} The ISO date, or undefined when the value is empty, "Present" or unrecognised.
+ */
+export function normalizeDate(value) {
+    if (!value) return undefined;
+    const text = String(value).trim();
+    let match;
+
+    if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})/))) return `${match[1]}-${match[2]}-${match[3]}`;
+    if ((match = text.match(/^(\d{4})-(\d{2})$/))) return `${match[1]}-${match[2]}-01`;
+    if ((match = text.match(/^(\d{1,2})\/(\d{4})$/))) return `${match[2]}-${match[1].padStart(2, '0')}-01`;
+    if ((match = text.match(/^([A-Za-z]{3})[a-z]*\.?\s+(\d{4})$/))) {
+        const month = MONTHS.indexOf(match[1].toLowerCase());
+        if (month >= 0) return `${match[2]}-${String(month + 1).padStart(2, '0')}-01`;
+    }
+    if ((match = text.match(/^(\d{4})$/))) return `${match[1]}-01-01`;
+    return undefined;
+}
+
+// Drops undefined and empty-string properties so the result passes the strict field schemas.
+function compact(data) {
+    return Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined && value !== ''));
+}
+
+function jobField(data) {
+    const job = compact(data);
+    return { name: [job.title, job.company].filter(Boolean).join(' at '), fieldType: 'job', data: job };
+}
+
+function educationField(data) {
+    const education = compact(data);
+    return { name: [education.degree, education.institution].filter(Boolean).join(' — '), fieldType: 'education', data: education };
+}
+
+function skillField(data) {
+    const skill = compact(data);
+    return { name: skill.name, fieldType: 'skill', data: skill };
+}
+
+function certificationField(data) {
+    const certification = compact(data);
+    return { name: certification.name, fieldType: 'certification', data: certification };
+}
+
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+function normalizeSkillLevel(level) {
+    const value = String(level || '').toLowerCase();
+    if (SKILL_LEVELS.includes(value)) return value;
+    if (/master|expert/.test(value)) return 'expert';
+    if (/advanced|senior|fluent/.test(value)) return 'advanced';
+    if (/intermediate|mid/.test(value)) return 'intermediate';
+    if (/beginner|basic|junior|novice/.test(value)) return 'beginner';
+    return undefined;
+}
+
+// ---- JSON Resume (https://jsonresume.org/schema) ----
+
+export function parseJsonResume(content) {
+    const resume = typeof content === 'string' ? JSON.parse(content) : content;
+    const fields = [];
+
+    for (const work of resume.work || []) {
+        fields.push(jobField({
+            title: work.position,
+            company: work.name || work.company,
+            location: work.location,
+            start_date: normalizeDate(work.startDate),
+            end_date: normalizeDate(work.endDate),
+            current: !work.endDate || undefined,
+            description: [work.summary, ...(work.highlights || []).map(highlight => `- ${highlight}`)].filter(Boolean).join('\n')
+        }));
+    }
+    for (const education of resume.education || []) {
+        fields.push(educationField({
+            institution: education.institution,
+            degree: education.studyType,
+            field_of_study: education.area,
+            start_date: normalizeDate(education.startDate),
+            end_date: normalizeDate(education.endDate),
+            grade: education.score
+        }));
+    }
+    for (const skill of resume.skills || []) {
+        fields.push(skillField({ name: skill.name, level: normalizeSkillLevel(skill.level) }));
+    }
+    for (const certificate of resume.certificates || []) {
+        fields.push(certificationField({
+            name: certificate.name,
+            issuer: certificate.issuer,
+            issue_date: normalizeDate(certificate.date),
+            credential_url: certificate.url
+        }));
+    }
+
+    return { title: resume.basics?.label || resume.basics?.name, fields };
+}
+
+// ---- LinkedIn data export ----
+
+/**
+ * Parses RFC 4180 CSV (quoted fields, embedded newlines, optional BOM).
+ *
+ * @param {string} text
+ * @returns {string[][]} Rows of cells.
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// Each LinkedIn export file, recognised by a column only it has.
+const LINKEDIN_FILES = [
+    {
+        marker: 'Company Name',
+        toField: row => jobField({
+            title: row['Title'],
+            company: row['Company Name'],
+            location: row['Location'],
+            start_date: normalizeDate(row['Started On']),
+            end_date: normalizeDate(row['Finished On']),
+            current: !row['Finished On'] || undefined,
+            description: row['Description']
+        })
+    },
+    {
+        marker: 'School Name',
+        toField: row => educationField({
+            institution: row['School Name'],
+            degree: row['Degree Name'],
+            start_date: normalizeDate(row['Start Date']),
+            end_date: normalizeDate(row['End Date']),
+            description: [row['Notes'], row['Activities']].filter(Boolean).join('\n')
+        })
+    },
+    {
+        marker: 'Authority',
+        toField: row => certificationField({
+            name: row['Name'],
+            issuer: row['Authority'],
+            issue_date: normalizeDate(row['Started On']),
+            expiry_date: normalizeDate(row['Finished On']),
+            credential_id: row['License Number'],
+            credential_url: row['Url']
+        })
+    },
+    {
+        marker: 'Name',
+        toField: row => skillField({ name: row['Name'] })
+    }
+];
+
+function parseLinkedInCsv(text) {
+    const rows = parseCsv(text);
+    // Some exports start with a few lines of notes before the header row.
+    for (const file of LINKEDIN_FILES) {
+        const headerIndex = rows.findIndex(cells => cells.map(cell => cell.trim()).includes(file.marker));
+        if (headerIndex === -1) continue;
+        const header = rows[headerIndex].map(cell => cell.trim());
+        return rows.slice(headerIndex + 1).map(cells =>
+            file.toField(Object.fromEntries(header.map((column, index) => [column, (cells[index] || '').trim()])))
+        );
+    }
+    return null;
+}
+
+/**
+ * Maps a LinkedIn data export to fields. Accepts one CSV file or the full export ZIP
+ * (Positions.csv, Education.csv, Skills.csv and Certifications.csv are used; the rest is ignored).
+ *
+ * @param {string | Buffer} content - CSV text, or the ZIP archive.
+ */
+export function parseLinkedInExport(content) {
+    const buffer = Buffer.isBuffer(content) ? content : null;
+    if (buffer && buffer.readUInt32LE(0) === 0x04034b50) {
+        const fields = [];
+        for (const [name, data] of readZip(buffer)) {
+            if (!/(^|\/)(Positions|Education|Skills|Certifications)\.csv$/i.test(name)) continue;
+            fields.push(...(parseLinkedInCsv(data.toString('utf8')) || []));
+        }
+        return { title: 'LinkedIn import', fields };
+    }
+
+    const fields = parseLinkedInCsv(buffer ? buffer.toString('utf8') : content);
+    if (!fields) {
+        throw new Error('Unrecognised LinkedIn CSV. Expected Positions.csv, Education.csv, Skills.csv or Certifications.csv');
+    }
+    return { title: 'LinkedIn import', fields };
+}
+
+// ---- Markdown / plain text ----
+
+const SECTION_PATTERNS = [
+    { fieldType: 'job', pattern: /experience|employment|work|career|positions?/i },
+    { fieldType: 'education', pattern: /education|academic|studies|degrees?/i },
+    { fieldType: 'certification', pattern: /certifications?|certificates?|licen[cs]es?/i },
+    { fieldType: 'skill', pattern: /skills|technologies|competenc|expertise|tools/i }
+];
+
+const DATE_TOKEN = String.raw`(?:[A-Za-z]{3,9}\.?\s+\d{4}|\d{4}-\d{2}(?:-\d{2})?|\d{1,2}\/\d{4}|\d{4})`;
+const DATE_RANGE = new RegExp(`(${DATE_TOKEN})\\s*(?:–|—|-|to)\\s*(${DATE_TOKEN}|present|current|now|today)`, 'i');
+
+function stripMarkdown(line) {
+    return line.replace(/^#+\s*/, '').replace(/^[-*+•]\s+/, '').replace(/\*\*|__|\*|_/g, '').trim();
+}
+
+/**
+ * Recognises section headings: "## Experience", "EXPERIENCE" or "Experience:".
+ *
+ * @returns {string | null | undefined} The section's field type; null for a Markdown heading of an
+ *                                      unknown section (which ends the current one); undefined for content.
+ */
+function matchSection(line) {
+    const markdownHeading = line.match(/^#{1,2}\s+(.+)$/);
+    const heading = markdownHeading || line.match(/^([A-Z][A-Z &/]{2,}):?$/) || line.match(/^([A-Za-z &/]{3,30}):$/);
+    if (!heading) return undefined;
+    const section = SECTION_PATTERNS.find(({ pattern }) => pattern.test(heading[1]));
+    if (section) return section.fieldType;
+    return markdownHeading ? null : undefined;
+}
+
+// Splits "Title — Company", "Title at Company" or "Title, Company" into its two parts.
+function splitPair(text) {
+    const parts = text.split(/\s+(?:—|–|-|\||@|at)\s+/);
+    if (parts.length >= 2) return [parts[0].trim(), parts.slice(1).join(' ').trim()];
+    const comma = text.indexOf(',');
+    if (comma > 0) return [text.slice(0, comma).trim(), text.slice(comma + 1).trim()];
+    return [text.trim(), undefined];
+}
+
+function parseEntryLines(fieldType, lines) {
+    const [first, ...rest] = lines.map(stripMarkdown);
+    let start_date;
+    let end_date;
+    let location;
+    const description = [];
+
+    for (const line of rest) {
+        const range = !start_date && line.match(DATE_RANGE);
+        if (range) {
+            start_date = normalizeDate(range[1]);
+            end_date = normalizeDate(range[2]);
+            // Whatever follows the dates on the same line ("2020 – Present · Berlin") is the location.
+            location = line.slice(range.index + range[0].length).replace(/^[\s·|,-]+/, '').trim() || undefined;
+        } else {
+            description.push(line);
+        }
+    }
+
+    if (fieldType === 'job') {
+        const [title, company] = splitPair(first);
+        return jobField({ title, company, location, start_date, end_date, current: (start_date && !end_date) || undefined, description: description.join('\n') });
+    }
+    const [degree, institution] = splitPair(first);
+    return educationField({ degree, institution, start_date, end_date, description: description.join('\n') });
+}
+
+function parseListLine(fieldType, line) {
+    const text = stripMarkdown(line);
+    if (fieldType === 'skill') {
+        // "Python (expert, 8 yrs)" or a comma-separated list of skills on one line
+        const detailed = text.match(/^(.+?)\s*\(([^)]*)\)$/);
+        if (detailed) {
+            const years = detailed[2].match(/(\d+(?:\.\d+)?)\s*(?:yrs?|years?)/i);
+            return [skillField({ name: detailed[1], level: normalizeSkillLevel(detailed[2]), years: years ? Number(years[1]) : undefined })];
+        }
+        return text.split(/\s*[,;·|]\s*/).filter(Boolean).map(name => skillField({ name }));
+    }
+    // Certification: "Name — Issuer — 2021-05-01"
+    const parts = text.split(/\s+(?:—|–|-|\|)\s+|,\s+/);
+    const date = parts.map(normalizeDate).find(Boolean);
+    const [name, issuer] = parts.filter(part => !normalizeDate(part));
+    return [certificationField({ name, issuer, issue_date: date })];
+}
+
+/**
+ * Maps a Markdown or plain-text resume to fields using its section headings
+ * (Experience, Education, Skills, Certifications and their usual synonyms).
+ *
+ * @param {string} text
+ */
+export function parseTextResume(text) {
+    const lines = text.split(/\r?\n/);
+    const fields = [];
+    let title;
+    let section = null;
+    let entry = null;
+
+    const flushEntry = () => {
+        if (entry && entry.lines.length > 0) {
+            fields.push(parseEntryLines(entry.fieldType, entry.lines));
+        }
+        entry = null;
+    };
+
+    for (const rawLine of lines) {
+        const line = rawLine.trim();
+        if (!title && line) {
+            const heading = line.match(/^#\s+(.+)$/);
+            if (heading) {
+                title = heading[1].trim();
+                continue;
+            }
+        }
+
+        const nextSection = matchSection(line);
+        if (nextSection !== undefined) {
+            flushEntry();
+            section = nextSection;
+            continue;
+        }
+        if (!section) continue;
+
+        if (section === 'skill' || section === 'certification') {
+            if (line) fields.push(...parseListLine(section, line));
+            continue;
+        }
+
+        // Jobs and education: an entry starts at a "###" heading, or at the first line after a blank line.
+        if (!line) {
+            if (entry && entry.explicit === false) flushEntry();
+            continue;
+        }
+        if (/^#{3,}\s/.test(line) || !entry) {
+            flushEntry();
+            entry = { fieldType: section, lines: [], explicit: /^#{3,}\s/.test(line) };
+        }
+        entry.lines.push(line);
+    }
+    flushEntry();
+
+    return { title, fields };
+}
+
+export const IMPORT_FORMATS = ['json-resume', 'linkedin', 'markdown', 'text'];
+
+/**
+ * Parses an import source into a title suggestion and proposed fields.
+ *
+ * @param {string} format - One of IMPORT_FORMATS.
+ * @param {string | Buffer} content - Text, or a Buffer for binary sources such as a LinkedIn ZIP.
+ * @returns {{ title?: string, fields: { name: string, fieldType: string, data: object }[] }}
+ */
+export function parseImport(format, content) {
+    switch (format) {
+        case 'json-resume': return parseJsonResume(Buffer.isBuffer(content) ? content.toString('utf8') : content);
+        case 'linkedin': return parseLinkedInExport(content);
+        case 'markdown':
+        case 'text': return parseTextResume(Buffer.isBuffer(content) ? content.toString('utf8') : content);
+        default:
+            throw new Error(`Unsupported import format '${format}'. Expected one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+}
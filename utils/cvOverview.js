@@ -0,0 +1,96 @@
+// utils/cvOverview.js
+// The caller's CVs together with their fields and, optionally, each field's latest versions, for
+// getCvOverview (utils/tools.js). Fields and versions are fetched in parallel, a few requests at a
+// time, and a CV or field whose details cannot be fetched is reported on its own entry instead of
+// failing the whole overview.
+import { cvList, fieldList, getCvFields, getCvOverview } from './backendApi.js';
+import { getSortedFieldVersions } from './fieldVersionTools.js';
+
+// How much of each CV to fetch: the CV records alone, with their fields, or with their fields' versions.
+export const OVERVIEW_DEPTHS = ['cvs', 'fields', 'versions'];
+
+// Requests one overview keeps in flight. The backend client also caps calls across all callers.
+const MAX_PARALLEL_REQUESTS = 4;
+
+// Runs tasks with at most `limit` of them in flight; the others wait their turn, in order.
+function createLimiter(limit) {
+    let active = 0;
+    const queue = [];
+
+    function next() {
+        if (active >= limit || queue.length === 0) {
+            return;
+        }
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        task().then(resolve, reject).finally(() => {
+            active--;
+            next();
+        });
+    }
+
+    return task => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+}
+
+// A field with its newest versions first, or the reason they could not be fetched.
+async function withVersions(field, limit, versionsPerField, context) {
+    try {
+        const { versions } = await limit(() => getSortedFieldVersions(field.id, context));
+        return { ...field, versions: versions.slice(-versionsPerField).reverse() };
+    } catch (error) {
+        return { ...field, error_fetching_versions: error.message };
+    }
+}
+
+/**
+ * Fetches the caller's CVs to the given depth.
+ *
+ * @param {object} context - The per-call context (credentials).
+ * @param {object} [options]
+ * @param {'cvs' | 'fields' | 'versions'} [options.depth] - See OVERVIEW_DEPTHS.
+ * @param {number} [options.versionsPerField] - How many of each field's latest versions to include
+ *        at depth 'versions'.
+ * @param {(done: number, total: number, message: string) => void} [options.onProgress] - Called each
+ *        time a CV's details have been fetched.
+ * @returns {Promise<{ cvs: object[], failures: number }>} The CV records; from depth 'fields' each
+ *          has `fields` or `error_fetching_fields`, at depth 'versions' each field has `versions`
+ *          (newest first) or `error_fetching_versions`. `failures` counts those errors.
+ * @throws {BackendError} When the CV list itself cannot be fetched.
+ */
+export async function loadCvOverview(context, { depth = 'fields', versionsPerField = 3, onProgress } = {}) {
+    const cvs = cvList(await getCvOverview(context));
+    if (depth === 'cvs') {
+        return { cvs, failures: 0 };
+    }
+
+    const limit = createLimiter(MAX_PARALLEL_REQUESTS);
+    let failures = 0;
+    let done = 0;
+    onProgress?.(0, cvs.length, `Fetching the ${depth} of ${cvs.length} CVs`);
+
+    const loadCv = async cv => {
+        let fields;
+        try {
+            fields = fieldList(await limit(() => getCvFields(cv.id, context)));
+        } catch (error) {
+            failures++;
+            return { ...cv, error_fetching_fields: error.message };
+        }
+        if (depth === 'versions') {
+            fields = await Promise.all(fields.map(field => withVersions(field, limit, versionsPerField, context)));
+            failures += fields.filter(field => field.error_fetching_versions !== undefined).length;
+        }
+        return { ...cv, fields };
+    };
+
+    const loaded = await Promise.all(cvs.map(async cv => {
+        const entry = await loadCv(cv);
+        done++;
+        onProgress?.(done, cvs.length, `Fetched ${done} of ${cvs.length} CVs`);
+        return entry;
+    }));
+    return { cvs: loaded, failures };
+}
@@ -0,0 +1,276 @@
+// utils/cvRenderers.js
+// Local renderers that turn a CV (as returned by getCvFields) into Markdown, JSON Resume,
+// HTML or PDF. Nothing here talks to the backend.
+import { getFieldData } from './fieldTypes.js';
+import { renderPdf } from './pdfDocument.js';
+
+// Section order in rendered documents; field types not listed here end up under "Other".
+const SECTIONS = [
+    { fieldType: 'job', heading: 'Experience' },
+    { fieldType: 'education', heading: 'Education' },
+    { fieldType: 'skill', heading: 'Skills' },
+    { fieldType: 'certification', heading: 'Certifications' }
+];
+
+export const HTML_TEMPLATES = {
+    classic: `
+        body { font-family: Georgia, 'Times New Roman', serif; color: #222; max-width: 780px; margin: 40px auto; padding: 0 24px; line-height: 1.5; }
+        h1 { text-align: center; border-bottom: 2px solid #222; padding-bottom: 8px; }
+        h2 { text-transform: uppercase; letter-spacing: 1px; font-size: 1.05em; border-bottom: 1px solid #999; margin-top: 28px; }
+        h3 { margin-bottom: 2px; font-size: 1em; }
+        .meta { color: #555; font-style: italic; margin-top: 0; }`,
+    modern: `
+        body { font-family: -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; color: #1f2933; max-width: 820px; margin: 40px auto; padding: 0 24px; line-height: 1.6; }
+        h1 { color: #0b6e99; font-size: 2.2em; margin-bottom: 4px; }
+        h2 { color: #0b6e99; font-size: 1.2em; margin-top: 32px; padding-left: 10px; border-left: 4px solid #0b6e99; }
+        h3 { margin-bottom: 0; font-size: 1.05em; }
+        .meta { color: #7b8794; font-size: 0.9em; margin-top: 2px; }
+        ul { padding-left: 20px; }`,
+    minimal: `
+        body { font-family: Helvetica, Arial, sans-serif; color: #000; max-width: 700px; margin: 32px auto; padding: 0 16px; line-height: 1.45; font-size: 14px; }
+        h1 { font-weight: normal; font-size: 1.8em; }
+        h2 { font-weight: normal; font-size: 1.1em; color: #666; margin-top: 24px; }
+        h3 { font-size: 1em; margin-bottom: 0; }
+        .meta { color: #666; margin-top: 0; }`
+};
+
+export const EXPORT_FORMATS = {
+    markdown: { mimeType: 'text/markdown', extension: 'md' },
+    'json-resume': { mimeType: 'application/json', extension: 'json' },
+    html: { mimeType: 'text/html', extension: 'html' },
+    pdf: { mimeType: 'application/pdf', extension: 'pdf' }
+};
+
+function dateRange(start, end) {
+    if (!start && !end) return '';
+    return `${start || '?'} – ${end || 'Present'}`;
+}
+
+function joinParts(parts, separator = ' · ') {
+    return parts.filter(Boolean).join(separator);
+}
+
+/**
+ * Groups a CV's fields into document sections, each sorted by display_order.
+ *
+ * @param {object[]} fields - Fields as returned by getCvFields.
+ * @returns {{ heading: string, fieldType: string, fields: object[] }[]} Non-empty sections.
+ */
+export function groupFieldsIntoSections(fields) {
+    const sorted = fields.slice().sort((a, b) => (a.display_order ?? 0) - (b.display_order ?? 0));
+    const known = new Set(SECTIONS.map(section => section.fieldType));
+    const sections = SECTIONS.map(section => ({
+        ...section,
+        fields: sorted.filter(field => field.field_type === section.fieldType)
+    }));
+    sections.push({ fieldType: 'other', heading: 'Other', fields: sorted.filter(field => !known.has(field.field_type)) });
+    return sections.filter(section => section.fields.length > 0);
+}
+
+/**
+ * Lays a CV out as a flat list of styled blocks. Markdown, HTML and PDF are all rendered from this.
+ *
+ * @param {{ title: string, fields: object[] }} cv
+ * @returns {{ style: 'title' | 'heading' | 'subheading' | 'meta' | 'body' | 'bullet', text: string }[]}
+ */
+export function buildCvBlocks(cv) {
+    const blocks = [{ style: 'title', text: cv.title || 'Curriculum Vitae' }];
+
+    for (const section of groupFieldsIntoSections(cv.fields)) {
+        blocks.push({ style: 'heading', text: section.heading });
+
+        for (const field of section.fields) {
+            const data = getFieldData(field);
+            switch (section.fieldType) {
+                case 'job':
+                    blocks.push({ style: 'subheading', text: joinParts([data.title, data.company], ' — ') || field.name });
+                    blocks.push({ style: 'meta', text: joinParts([dateRange(data.start_date, data.end_date), data.location]) });
+                    if (data.description) blocks.push({ style: 'body', text: data.description });
+                    break;
+                case 'education':
+                    blocks.push({ style: 'subheading', text: joinParts([joinParts([data.degree, data.field_of_study], ', '), data.institution], ' — ') || field.name });
+                    blocks.push({ style: 'meta', text: joinParts([dateRange(data.start_date, data.end_date), data.grade]) });
+                    if (data.description) blocks.push({ style: 'body', text: data.description });
+                    break;
+                case 'skill': {
+                    const details = joinParts([data.level, data.years !== undefined && `${data.years} yrs`], ', ');
+                    blocks.push({ style: 'bullet', text: details ? `${data.name || field.name} (${details})` : (data.name || field.name) });
+                    break;
+                }
+                case 'certification':
+                    blocks.push({
+                        style: 'bullet',
+                        text: joinParts([data.name || field.name, data.issuer, data.issue_date, data.expiry_date && `expires ${data.expiry_date}`], ' — ')
+                    });
+                    break;
+                default:
+                    blocks.push({ style: 'subheading', text: field.name });
+                    for (const [key, value] of Object.entries(data)) {
+                        blocks.push({ style: 'bullet', text: `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}` });
+                    }
+            }
+        }
+    }
+
+    return blocks.filter(block => block.text);
+}
+
+export function renderMarkdown(cv) {
+    const lines = [];
+    let previous = null;
+    for (const { style, text } of buildCvBlocks(cv)) {
+        if (previous && !(style === 'bullet' && previous === 'bullet')) {
+            lines.push('');
+        }
+        switch (style) {
+            case 'title': lines.push(`# ${text}`); break;
+            case 'heading': lines.push(`## ${text}`); break;
+            case 'subheading': lines.push(`### ${text}`); break;
+            case 'meta': lines.push(`*${text}*`); break;
+            case 'bullet': lines.push(`- ${text}`); break;
+            default: lines.push(text);
+        }
+        previous = style;
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Maps a CV to the JSON Resume schema (https://jsonresume.org/schema).
+ *
+ * @param {{ title: string, fields: object[] }} cv
+ * @param {{ name?: string, email?: string }} [owner] - The CV owner, used for `basics`.
+ * @returns {object} A JSON Resume document.
+ */
+export function renderJsonResume(cv, owner = {}) {
+    const resume = {
+        $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+        basics: {
+            ...(owner.name && { name: owner.name }),
+            ...(owner.email && { email: owner.email }),
+            label: cv.title
+        },
+        work: [],
+        education: [],
+        skills: [],
+        certificates: [],
+        meta: { canonical: `cv://${cv.id}`, lastModified: cv.updated_at || cv.created_at }
+    };
+
+    for (const section of groupFieldsIntoSections(cv.fields)) {
+        for (const field of section.fields) {
+            const data = getFieldData(field);
+            switch (section.fieldType) {
+                case 'job':
+                    resume.work.push({
+                        name: data.company,
+                        position: data.title,
+                        location: data.location,
+                        startDate: data.start_date,
+                        endDate: data.end_date,
+                        summary: data.description
+                    });
+                    break;
+                case 'education':
+                    resume.education.push({
+                        institution: data.institution,
+                        studyType: data.degree,
+                        area: data.field_of_study,
+                        startDate: data.start_date,
+                        endDate: data.end_date,
+                        score: data.grade
+                    });
+                    break;
+                case 'skill':
+                    resume.skills.push({ name: data.name || field.name, level: data.level });
+                    break;
+                case 'certification':
+                    resume.certificates.push({
+                        name: data.name || field.name,
+                        issuer: data.issuer,
+                        date: data.issue_date,
+                        url: data.credential_url
+                    });
+                    break;
+            }
+        }
+    }
+
+    // JSON.stringify drops the undefined properties left by optional data.
+    return JSON.parse(JSON.stringify(resume));
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+export function renderHtml(cv, { template = 'classic' } = {}) {
+    const css = HTML_TEMPLATES[template];
+    if (!css) {
+        throw new Error(`Unknown HTML template '${template}'. Available templates: ${Object.keys(HTML_TEMPLATES).join(', ')}`);
+    }
+
+    const body = [];
+    let inList = false;
+    for (const { style, text } of buildCvBlocks(cv)) {
+        if (inList && style !== 'bullet') {
+            body.push('</ul>');
+            inList = false;
+        }
+        const html = escapeHtml(text).replace(/\n/g, '<br>');
+        switch (style) {
+            case 'title': body.push(`<h1>${html}</h1>`); break;
+            case 'heading': body.push(`<h2>${html}</h2>`); break;
+            case 'subheading': body.push(`<h3>${html}</h3>`); break;
+            case 'meta': body.push(`<p class="meta">${html}</p>`); break;
+            case 'bullet':
+                if (!inList) {
+                    body.push('<ul>');
+                    inList = true;
+                }
+                body.push(`<li>${html}</li>`);
+                break;
+            default: body.push(`<p>${html}</p>`);
+        }
+    }
+    if (inList) body.push('</ul>');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(cv.title || 'Curriculum Vitae')}</title>
+<style>${css}
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders a CV in the given export format.
+ *
+ * @param {{ id: string, title: string, fields: object[] }} cv
+ * @param {keyof EXPORT_FORMATS} format
+ * @param {{ template?: string, owner?: object }} [options]
+ * @returns {string | Buffer} Text for markdown/json-resume/html, a Buffer for pdf.
+ */
+export function renderCv(cv, format, { template, owner } = {}) {
+    switch (format) {
+        case 'markdown': return renderMarkdown(cv);
+        case 'json-resume': return JSON.stringify(renderJsonResume(cv, owner), null, 2);
+        case 'html': return renderHtml(cv, { template });
+        case 'pdf': return renderPdf(buildCvBlocks(cv), { title: cv.title });
+        default:
+            throw new Error(`Unsupported export format '${format}'. Expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+}
@@ -0,0 +1,127 @@
+// utils/diff.js
+// Structured diffs between two versions of a field's data: per-property changes for
+// objects/arrays and word-level diffs for text.
+
+// Word diffs fall back to a whole-value replacement above this many token comparisons.
+const MAX_WORD_DIFF_CELLS = 250000;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function tokenize(text) {
+    // Keep whitespace as separate tokens so the diff can be joined back into the original text.
+    return text.split(/(\s+)/).filter(token => token !== '');
+}
+
+function pushOp(ops, op, text) {
+    const last = ops[ops.length - 1];
+    if (last && last.op === op) {
+        last.text += text;
+    } else {
+        ops.push({ op, text });
+    }
+}
+
+/**
+ * Word-level diff of two strings, based on the longest common subsequence of their tokens.
+ *
+ * @param {string} before
+ * @param {string} after
+ * @returns {{ op: 'equal' | 'insert' | 'delete', text: string }[]} Operations that turn `before` into `after`.
+ */
+export function diffWords(before, after) {
+    const a = tokenize(before);
+    const b = tokenize(after);
+    const ops = [];
+
+    if (a.length * b.length > MAX_WORD_DIFF_CELLS) {
+        if (before) pushOp(ops, 'delete', before);
+        if (after) pushOp(ops, 'insert', after);
+        return ops;
+    }
+
+    // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            pushOp(ops, 'equal', a[i]);
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            pushOp(ops, 'delete', a[i++]);
+        } else {
+            pushOp(ops, 'insert', b[j++]);
+        }
+    }
+    while (i < a.length) pushOp(ops, 'delete', a[i++]);
+    while (j < b.length) pushOp(ops, 'insert', b[j++]);
+    return ops;
+}
+
+function diffInto(before, after, path, changes) {
+    if (isPlainObject(before) && isPlainObject(after)) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        for (const key of keys) {
+            diffInto(before[key], after[key], path ? `${path}.${key}` : key, changes);
+        }
+        return;
+    }
+    if (Array.isArray(before) && Array.isArray(after)) {
+        const length = Math.max(before.length, after.length);
+        for (let index = 0; index < length; index++) {
+            diffInto(before[index], after[index], `${path}[${index}]`, changes);
+        }
+        return;
+    }
+    if (JSON.stringify(before) === JSON.stringify(after)) {
+        return;
+    }
+
+    const label = path || '(value)';
+    if (before === undefined) {
+        changes.push({ path: label, change: 'added', after });
+    } else if (after === undefined) {
+        changes.push({ path: label, change: 'removed', before });
+    } else if (typeof before === 'string' && typeof after === 'string' && /\s/.test(before + after)) {
+        changes.push({ path: label, change: 'modified', before, after, words: diffWords(before, after) });
+    } else {
+        changes.push({ path: label, change: 'modified', before, after });
+    }
+}
+
+/**
+ * Lists every property that differs between two values.
+ *
+ * @param {*} before - The older value.
+ * @param {*} after - The newer value.
+ * @returns {{ path: string, change: 'added' | 'removed' | 'modified', before?: *, after?: *, words?: object[] }[]}
+ *          One entry per changed leaf; text changes also carry a word-level diff in `words`.
+ */
+export function diffValues(before, after) {
+    const changes = [];
+    diffInto(before, after, '', changes);
+    return changes;
+}
+
+/**
+ * Renders a word diff inline, e.g. "Led [-five-]{+ten+} engineers".
+ *
+ * @param {{ op: string, text: string }[]} ops - Output of diffWords().
+ * @returns {string}
+ */
+export function formatWordDiff(ops) {
+    return ops.map(({ op, text }) => {
+        if (op === 'insert') return `{+${text}+}`;
+        if (op === 'delete') return `[-${text}-]`;
+        return text;
+    }).join('');
+}
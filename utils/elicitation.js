@@ -0,0 +1,31 @@
+// utils/elicitation.js
+// Asking the user for input in the middle of a tool call (MCP `elicitation/create`). The SDK version
+// we use has no typed helper for it, so the request is sent through the handler's `extra.sendRequest`.
+import { ResultSchema } from '@modelcontextprotocol/sdk/types.js';
+
+const ELICITATION_ACTIONS = ['accept', 'decline', 'cancel'];
+
+/**
+ * Returns a function that asks the user of the calling client for input, or null when the client
+ * did not declare the `elicitation` capability.
+ *
+ * @param {import('@modelcontextprotocol/sdk/server/index.js').Server} server - The MCP server.
+ * @param {object} extra - The request handler's `extra` argument.
+ * @returns {((message: string, requestedSchema: object) => Promise<{ action: 'accept' | 'decline' | 'cancel', content?: object }>) | null}
+ */
+export function createElicitor(server, extra) {
+    if (!server.getClientCapabilities()?.elicitation) {
+        return null;
+    }
+    return async (message, requestedSchema) => {
+        const result = await extra.sendRequest(
+            { method: 'elicitation/create', params: { message, requestedSchema } },
+            ResultSchema,
+            { signal: extra.signal }
+        );
+        if (!ELICITATION_ACTIONS.includes(result.action)) {
+            throw new Error(`Client answered the elicitation with an unknown action: ${result.action}`);
+        }
+        return { action: result.action, content: result.content };
+    };
+}
@@ -0,0 +1,118 @@
+// utils/exportTools.js
+// The exportCv tool. Rendering happens locally (utils/cvRenderers.js); registered in APP_TOOLS (utils/tools.js).
+import { getCv, uploadMedia } from './backendApi.js';
+import { EXPORT_FORMATS, HTML_TEMPLATES, renderCv } from './cvRenderers.js';
+import { ID_PATTERN } from './schemaValidation.js';
+import { exportResourceUri } from './resources.js';
+import { ANY_USER, SCOPES, assertAllowed, getCaller } from './authorization.js';
+
+// Storing the export creates a media object, which needs the write scope on top of the tool's read scope.
+const MEDIA_DELIVERY_ACCESS = { name: 'media', requiredRoles: ANY_USER, requiredScopes: [SCOPES.read, SCOPES.write] };
+
+function slugify(text) {
+    return String(text || 'cv').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'cv';
+}
+
+async function handleExportCv(args, context) {
+    const { cvId, format, template = 'classic', delivery = 'resource' } = args;
+    const formatInfo = EXPORT_FORMATS[format];
+    if (delivery === 'media') {
+        assertAllowed(MEDIA_DELIVERY_ACCESS, getCaller(context), 'exportCv delivery');
+    }
+
+    try {
+        context.reportProgress?.(0, 3, 'Fetching the CV');
+        const cv = await getCv(cvId, context);
+        context.reportProgress?.(1, 3, `Rendering ${cv.fields.length} fields as ${format}`);
+        const rendered = renderCv(cv, format, { template, owner: context.currentUser });
+        const filename = `${slugify(cv.title)}.${formatInfo.extension}`;
+        const summary = `Exported CV '${cv.title || cvId}' (${cv.fields.length} fields) as ${format}`;
+        const exported = { cvId, format, mimeType: formatInfo.mimeType, filename, fieldCount: cv.fields.length };
+
+        if (delivery === 'media') {
+            context.reportProgress?.(2, 3, 'Storing the document');
+            const media = await uploadMedia({
+                filename,
+                contentType: formatInfo.mimeType,
+                data: Buffer.isBuffer(rendered) ? rendered : Buffer.from(rendered, 'utf8')
+            }, context);
+            return {
+                content: [{
+                    type: "text",
+                    text: `${summary}. Stored as media key '${media.key}'; use getMedia to get a download URL.`
+                }],
+                structuredContent: { ...exported, mediaKey: media.key }
+            };
+        }
+
+        // Readable as a resource too, so the client can fetch the export again later.
+        const uri = exportResourceUri(cvId, format, template);
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `${summary}: ${uri}`
+                },
+                {
+                    type: "resource",
+                    resource: Buffer.isBuffer(rendered)
+                        ? { uri, mimeType: formatInfo.mimeType, blob: rendered.toString('base64') }
+                        : { uri, mimeType: formatInfo.mimeType, text: rendered }
+                }
+            ],
+            structuredContent: { ...exported, uri }
+        };
+    } catch (error) {
+        throw new Error(`Failed to export CV: ${error.message}`, { cause: error });
+    }
+}
+
+export const EXPORT_TOOLS = [
+  {
+    name: "exportCv",
+    description: "Renders a CV as Markdown, JSON Resume, a self-contained HTML page or a PDF. Returns the document as an embedded resource, or stores it and returns a media key.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        cvId: { type: "string", pattern: ID_PATTERN, description: "The CV ID to export." },
+        format: {
+          type: "string",
+          enum: Object.keys(EXPORT_FORMATS),
+          description: "Output format."
+        },
+        template: {
+          type: "string",
+          enum: Object.keys(HTML_TEMPLATES),
+          description: "Visual template for html exports (optional, defaults to 'classic')."
+        },
+        delivery: {
+          type: "string",
+          enum: ["resource", "media"],
+          description: "'resource' embeds the document in the result; 'media' uploads it and returns a media key, which requires the cv:write scope (optional, defaults to 'resource')."
+        }
+      },
+      required: ["cvId", "format"],
+      additionalProperties: false
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        cvId: { type: "string" },
+        format: { type: "string", enum: Object.keys(EXPORT_FORMATS) },
+        mimeType: { type: "string" },
+        filename: { type: "string" },
+        fieldCount: { type: "integer", minimum: 0 },
+        uri: { type: "string", description: "URI of the embedded resource, which resources/read also serves (delivery 'resource')." },
+        mediaKey: { type: "string", description: "Media key of the stored document (delivery 'media')." }
+      },
+      required: ["cvId", "format", "mimeType", "filename", "fieldCount"]
+    },
+    // Not read-only: the 'media' delivery stores the document in media storage.
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    // Rendering a PDF of a long CV, then possibly uploading it.
+    timeoutMs: 2 * 60 * 1000,
+    requiredRoles: ANY_USER,
+    requiredScopes: [SCOPES.read],
+    handler: handleExportCv
+  }
+];
@@ -0,0 +1,98 @@
+// utils/fieldTypes.js
+// Data schemas for each CV `field_type`. Used by the editing tools' input schemas and to
+// check a field's `data` against its declared type before it is sent to the backend.
+import { validateAgainstSchema } from './schemaValidation.js';
+
+const DATE = { type: "string", format: "date", description: "ISO date (YYYY-MM-DD)" };
+
+export const FIELD_DATA_SCHEMAS = {
+  job: {
+    type: "object",
+    description: "A position held at a company.",
+    properties: {
+      title: { type: "string", minLength: 1, description: "Job title." },
+      company: { type: "string", minLength: 1, description: "Employer name." },
+      location: { type: "string" },
+      start_date: DATE,
+      end_date: { ...DATE, description: "ISO date (YYYY-MM-DD). Omit for a current position." },
+      current: { type: "boolean", description: "Whether this is the current position." },
+      description: { type: "string", description: "Responsibilities and achievements." }
+    },
+    required: ["title", "company", "start_date"],
+    additionalProperties: false
+  },
+  skill: {
+    type: "object",
+    description: "A skill and how well it is mastered.",
+    properties: {
+      name: { type: "string", minLength: 1, description: "Skill name, e.g. 'Python'." },
+      level: { type: "string", enum: ["beginner", "intermediate", "advanced", "expert"] },
+      years: { type: "number", minimum: 0, description: "Years of experience." }
+    },
+    required: ["name"],
+    additionalProperties: false
+  },
+  certification: {
+    type: "object",
+    description: "A certification or licence.",
+    properties: {
+      name: { type: "string", minLength: 1, description: "Certification name." },
+      issuer: { type: "string", minLength: 1, description: "Issuing organisation." },
+      issue_date: DATE,
+      expiry_date: DATE,
+      credential_id: { type: "string" },
+      credential_url: { type: "string", format: "uri" },
+      media_key: { type: "string", description: "Media key of a scan of the certificate." }
+    },
+    required: ["name", "issuer"],
+    additionalProperties: false
+  },
+  education: {
+    type: "object",
+    description: "A degree or course of study.",
+    properties: {
+      institution: { type: "string", minLength: 1, description: "School or university." },
+      degree: { type: "string", minLength: 1, description: "Degree or qualification obtained." },
+      field_of_study: { type: "string" },
+      start_date: DATE,
+      end_date: DATE,
+      grade: { type: "string" },
+      description: { type: "string" }
+    },
+    required: ["institution", "degree"],
+    additionalProperties: false
+  }
+};
+
+export const FIELD_TYPES = Object.keys(FIELD_DATA_SCHEMAS);
+
+// The data property of each field type that holds a media key, for uploadMedia to attach files to.
+export const MEDIA_PROPERTIES = {
+  certification: "media_key"
+};
+
+/**
+ * Checks a field's data against the schema of its field type.
+ *
+ * @param {string} fieldType - One of FIELD_TYPES.
+ * @param {object} data - The field data to check.
+ * @returns {string[]} Human-readable problems; empty when the data is valid.
+ */
+export function validateFieldData(fieldType, data) {
+    const schema = FIELD_DATA_SCHEMAS[fieldType];
+    if (!schema) {
+        return [`field_type must be one of: ${FIELD_TYPES.join(", ")}`];
+    }
+    return validateAgainstSchema(schema, data, "data").map(issue => `${issue.path} ${issue.message}`);
+}
+
+/**
+ * Returns the content of a field as returned by getCvFields. Depending on the endpoint the
+ * content is inlined as `data` or nested under the field's current version.
+ *
+ * @param {object} field - A field record.
+ * @returns {object} The field data (an empty object when there is none).
+ */
+export function getFieldData(field) {
+    return field.data ?? field.current_version?.data ?? field.latest_version?.data ?? {};
+}
@@ -0,0 +1,211 @@
+// utils/fieldVersionTools.js
+// Tools for comparing and restoring field versions. Registered in APP_TOOLS (utils/tools.js).
+import { getFieldVersions, addFieldVersion } from './backendApi.js';
+import { diffValues, formatWordDiff } from './diff.js';
+import { BACKEND_RECORD_SCHEMA, ID_PATTERN } from './schemaValidation.js';
+import { notifyCvChanged } from './cvEvents.js';
+import { ANY_USER, SCOPES } from './authorization.js';
+
+/**
+ * Fetches a field's versions, oldest first.
+ * The current version is the one flagged `is_current`, or the newest one if none is flagged.
+ *
+ * @returns {Promise<{ versions: object[], current: object | undefined }>}
+ */
+export async function getSortedFieldVersions(fieldId, context) {
+    const data = await getFieldVersions(fieldId, context);
+    const versions = (Array.isArray(data) ? data : data.versions || []).slice();
+    versions.sort((a, b) =>
+        (Date.parse(a.created_at) || 0) - (Date.parse(b.created_at) || 0) ||
+        (a.version_number || 0) - (b.version_number || 0)
+    );
+    const current = versions.find(version => version.is_current) || versions[versions.length - 1];
+    return { versions, current };
+}
+
+function findVersion(versions, versionId) {
+    const version = versions.find(v => String(v.id) === String(versionId));
+    if (!version) {
+        throw new Error(`Version ${versionId} not found for this field`);
+    }
+    return version;
+}
+
+// A rename between two versions, as a change at '(name)' so it cannot be mistaken for a `name`
+// property of the field's data. Versions that do not record a name are not compared.
+function nameChanges(from, to) {
+    if (from.name == null || to.name == null || from.name === to.name) {
+        return [];
+    }
+    return diffValues(from.name, to.name).map(change => ({ ...change, path: '(name)' }));
+}
+
+function describeVersion(version) {
+    return {
+        id: version.id,
+        versionNumber: version.version_number,
+        createdAt: version.created_at
+    };
+}
+
+async function handleDiffFieldVersions(args, context) {
+    const { fieldId, fromVersionId, toVersionId } = args;
+
+    try {
+        const { versions, current } = await getSortedFieldVersions(fieldId, context);
+        const from = findVersion(versions, fromVersionId);
+        const to = toVersionId ? findVersion(versions, toVersionId) : current;
+
+        const changes = [...nameChanges(from, to), ...diffValues(from.data, to.data)];
+        const diff = {
+            fieldId,
+            from: describeVersion(from),
+            to: { ...describeVersion(to), isCurrent: to === current },
+            changeCount: changes.length,
+            changes: changes.map(({ words, ...change }) =>
+                words ? { ...change, inline: formatWordDiff(words), words } : change
+            )
+        };
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: changes.length === 0
+                        ? `No differences between version ${from.id} and version ${to.id}.`
+                        : JSON.stringify(diff, null, 2)
+                }
+            ],
+            structuredContent: diff
+        };
+    } catch (error) {
+        throw new Error(`Failed to diff field versions: ${error.message}`, { cause: error });
+    }
+}
+
+async function handleRestoreFieldVersion(args, context) {
+    const { fieldId, versionId } = args;
+
+    try {
+        const { versions, current } = await getSortedFieldVersions(fieldId, context);
+        let target;
+        if (versionId) {
+            target = findVersion(versions, versionId);
+        } else {
+            // "Undo the last edit": restore the version that preceded the current one.
+            target = versions[versions.indexOf(current) - 1];
+            if (!target) {
+                throw new Error('The field has no earlier version to restore');
+            }
+        }
+        if (target === current) {
+            throw new Error(`Version ${target.id} is already the current version`);
+        }
+
+        // Restoring appends a new version with the old content and name, so the restore itself is
+        // part of the history.
+        const restored = await addFieldVersion(fieldId, {
+            data: target.data,
+            ...(target.name != null && { name: target.name }),
+            restored_from_version_id: target.id
+        }, context);
+        notifyCvChanged({ fieldId });
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `Restored field ${fieldId} to the content and name of version ${target.id}. The previous current version ${current.id} is kept in the history.\n${JSON.stringify(restored, null, 2)}`
+                }
+            ],
+            structuredContent: {
+                fieldId,
+                restoredFromVersionId: String(target.id),
+                previousVersionId: String(current.id),
+                version: restored
+            }
+        };
+    } catch (error) {
+        throw new Error(`Failed to restore field version: ${error.message}`, { cause: error });
+    }
+}
+
+const VERSION_SUMMARY = {
+  type: "object",
+  properties: {
+    id: { type: ["string", "number"] },
+    versionNumber: { type: ["integer", "null"] },
+    createdAt: { type: ["string", "null"] }
+  },
+  required: ["id"]
+};
+
+export const FIELD_VERSION_TOOLS = [
+  {
+    name: "diffFieldVersions",
+    description: "Compares two versions of a field and returns a structured diff: per-property changes for structured data, word-level changes for text and a '(name)' change when the field was renamed. Compares against the current version when toVersionId is omitted.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        fieldId: { type: "string", pattern: ID_PATTERN, description: "The field ID whose versions are compared." },
+        fromVersionId: { type: "string", pattern: ID_PATTERN, description: "The older version ID (see getFieldVersions)." },
+        toVersionId: { type: "string", pattern: ID_PATTERN, description: "The newer version ID (optional, defaults to the current version)." }
+      },
+      required: ["fieldId", "fromVersionId"],
+      additionalProperties: false
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        fieldId: { type: "string" },
+        from: VERSION_SUMMARY,
+        to: { ...VERSION_SUMMARY, properties: { ...VERSION_SUMMARY.properties, isCurrent: { type: "boolean" } } },
+        changeCount: { type: "integer", minimum: 0 },
+        changes: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              path: { type: "string" },
+              change: { type: "string", enum: ["added", "removed", "modified"] },
+              inline: { type: "string" }
+            },
+            required: ["path", "change"]
+          }
+        }
+      },
+      required: ["fieldId", "from", "to", "changeCount", "changes"]
+    },
+    annotations: { readOnlyHint: true },
+    requiredRoles: ANY_USER,
+    requiredScopes: [SCOPES.read],
+    handler: handleDiffFieldVersions
+  },
+  {
+    name: "restoreFieldVersion",
+    description: "Makes an older version of a field current again by recording a new version with its content. Without versionId, undoes the last edit by restoring the version before the current one.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        fieldId: { type: "string", pattern: ID_PATTERN, description: "The field ID to restore." },
+        versionId: { type: "string", pattern: ID_PATTERN, description: "The version ID to restore (optional, defaults to the previous version)." }
+      },
+      required: ["fieldId"],
+      additionalProperties: false
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        fieldId: { type: "string" },
+        restoredFromVersionId: { type: "string" },
+        previousVersionId: { type: "string" },
+        version: BACKEND_RECORD_SCHEMA
+      },
+      required: ["fieldId", "restoredFromVersionId", "previousVersionId", "version"]
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false },
+    requiredRoles: ANY_USER,
+    requiredScopes: [SCOPES.write],
+    handler: handleRestoreFieldVersion
+  }
+];
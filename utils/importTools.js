@@ -0,0 +1,198 @@
+// utils/importTools.js
+// The importCv tool. Parsing happens locally (utils/cvImporters.js); registered in APP_TOOLS (utils/tools.js).
+import fs from 'fs/promises';
+import { createCv, addField, fieldList, getCvFields } from './backendApi.js';
+import { IMPORT_FORMATS, parseImport } from './cvImporters.js';
+import { validateFieldData } from './fieldTypes.js';
+import { ID_PATTERN } from './schemaValidation.js';
+import { notifyCvChanged, notifyCvListChanged } from './cvEvents.js';
+import { ANY_USER, SCOPES } from './authorization.js';
+
+export const MAX_IMPORT_SIZE = 10 * 1024 * 1024;
+
+async function readSource({ content, encoding = 'utf8', filePath }, context) {
+    if (filePath) {
+        // Reading files is only safe for a local (stdio) server; over HTTP the path would be on the server's disk.
+        if (context.transport === 'http') {
+            throw new Error('filePath is only supported by the local stdio server; send the file as content instead');
+        }
+        const stats = await fs.stat(filePath);
+        if (stats.size > MAX_IMPORT_SIZE) {
+            throw new Error(`File is larger than ${MAX_IMPORT_SIZE} bytes`);
+        }
+        return await fs.readFile(filePath);
+    }
+    if (typeof content !== 'string') {
+        throw new Error('Either content or filePath is required');
+    }
+    const buffer = Buffer.from(content, encoding === 'base64' ? 'base64' : 'utf8');
+    if (buffer.length > MAX_IMPORT_SIZE) {
+        throw new Error(`Content is larger than ${MAX_IMPORT_SIZE} bytes`);
+    }
+    return buffer;
+}
+
+/**
+ * Parses the source and splits the proposed fields into valid ones and ones that fail their schema.
+ */
+function proposeFields(format, source) {
+    const { title, fields } = parseImport(format, source);
+    const proposed = [];
+    const skipped = [];
+
+    fields.forEach(field => {
+        const errors = validateFieldData(field.fieldType, field.data);
+        if (errors.length > 0 || !field.name) {
+            skipped.push({ ...field, errors: field.name ? errors : ['field has no name', ...errors] });
+        } else {
+            proposed.push({ ...field, displayOrder: proposed.length });
+        }
+    });
+
+    return { title, proposed, skipped };
+}
+
+// The display_order after the last field a CV already has, so imported fields are appended.
+async function nextDisplayOrder(cvId, context) {
+    const fields = fieldList(await getCvFields(cvId, context));
+    return Math.max(fields.length, ...fields.map(field => Number.isInteger(field.display_order) ? field.display_order + 1 : 0));
+}
+
+async function handleImportCv(args, context) {
+    const { format, cvId, title, dryRun = false } = args;
+
+    try {
+        const source = await readSource(args, context);
+        const { title: detectedTitle, proposed, skipped } = proposeFields(format, source);
+        if (cvId) {
+            const offset = await nextDisplayOrder(cvId, context);
+            proposed.forEach(field => { field.displayOrder += offset; });
+        }
+
+        if (dryRun) {
+            const proposal = { dryRun: true, title: title || detectedTitle, fields: proposed, skipped };
+            return {
+                content: [{
+                    type: "text",
+                    text: `Dry run: ${proposed.length} fields would be imported${cvId ? ` into CV ${cvId}` : ''}, ${skipped.length} skipped. Nothing was written.\n` +
+                        JSON.stringify({ title: proposal.title, fields: proposed, skipped }, null, 2)
+                }],
+                structuredContent: proposal
+            };
+        }
+        if (proposed.length === 0) {
+            throw new Error(`No importable fields found (${skipped.length} skipped)`);
+        }
+
+        let targetCvId = cvId;
+        if (!targetCvId) {
+            const cv = await createCv({ title: title || detectedTitle || 'Imported CV' }, context);
+            targetCvId = cv.id;
+            notifyCvListChanged();
+        }
+
+        // Sequential so display_order matches the source order.
+        const created = [];
+        const failed = [];
+        for (const [index, field] of proposed.entries()) {
+            // Stop between fields once the call is cancelled or out of time.
+            context.signal?.throwIfAborted();
+            context.reportProgress?.(index, proposed.length, `Importing field ${index + 1} of ${proposed.length}`);
+            try {
+                const result = await addField(targetCvId, {
+                    name: field.name,
+                    field_type: field.fieldType,
+                    data: field.data,
+                    display_order: field.displayOrder
+                }, context);
+                created.push({ id: result.id, name: field.name, fieldType: field.fieldType });
+            } catch (error) {
+                failed.push({ name: field.name, fieldType: field.fieldType, error: error.message });
+            }
+        }
+
+        if (created.length > 0) {
+            notifyCvChanged({ cvId: targetCvId });
+        }
+
+        const imported = { dryRun: false, cvId: String(targetCvId), created, failed, skipped };
+        return {
+            content: [{
+                type: "text",
+                text: `Imported ${created.length} fields into CV ${targetCvId} (${failed.length} failed, ${skipped.length} skipped).\n` +
+                    JSON.stringify({ cvId: targetCvId, created, failed, skipped }, null, 2)
+            }],
+            structuredContent: imported,
+            isError: created.length === 0
+        };
+    } catch (error) {
+        throw new Error(`Failed to import CV: ${error.message}`, { cause: error });
+    }
+}
+
+const IMPORTED_FIELD = {
+  type: "object",
+  properties: {
+    name: { type: ["string", "null"] },
+    fieldType: { type: "string" },
+    data: { type: "object" }
+  },
+  required: ["fieldType", "data"]
+};
+
+export const IMPORT_TOOLS = [
+  {
+    name: "importCv",
+    description: "Imports a resume into a CV: a JSON Resume document, a LinkedIn data export (one CSV or the whole ZIP), or a Markdown/plain-text resume. Each section is mapped to job, education, skill or certification fields. Use dryRun to review the proposed fields before anything is written.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        format: { type: "string", enum: IMPORT_FORMATS, description: "Format of the source." },
+        content: { type: "string", description: "The source document. Binary files (LinkedIn ZIP) must be base64-encoded." },
+        encoding: { type: "string", enum: ["utf8", "base64"], description: "Encoding of content (optional, defaults to utf8)." },
+        filePath: { type: "string", description: "Path of a local file to import instead of content (local server only)." },
+        cvId: { type: "string", pattern: ID_PATTERN, description: "Existing CV to add the fields to (optional, a new CV is created otherwise)." },
+        title: { type: "string", description: "Title for the new CV (optional, taken from the source when omitted)." },
+        dryRun: { type: "boolean", description: "Only return the proposed fields without writing anything (optional, defaults to false)." }
+      },
+      required: ["format"],
+      additionalProperties: false
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        dryRun: { type: "boolean" },
+        title: { type: ["string", "null"], description: "Title for the new CV (dry run only)." },
+        fields: { type: "array", items: IMPORTED_FIELD, description: "Fields that would be imported (dry run only)." },
+        cvId: { type: "string", description: "The CV the fields were imported into." },
+        created: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: { id: { type: ["string", "number"] }, name: { type: "string" }, fieldType: { type: "string" } },
+            required: ["name", "fieldType"]
+          }
+        },
+        failed: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: { name: { type: "string" }, fieldType: { type: "string" }, error: { type: "string" } },
+            required: ["name", "fieldType", "error"]
+          }
+        },
+        skipped: {
+          type: "array",
+          items: { ...IMPORTED_FIELD, properties: { ...IMPORTED_FIELD.properties, errors: { type: "array", items: { type: "string" } } } }
+        }
+      },
+      required: ["dryRun", "skipped"]
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false },
+    // One request per imported field.
+    timeoutMs: 5 * 60 * 1000,
+    requiredRoles: ANY_USER,
+    requiredScopes: [SCOPES.write],
+    handler: handleImportCv
+  }
+];
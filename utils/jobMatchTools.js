@@ -0,0 +1,121 @@
+// utils/jobMatchTools.js
+// The matchCvToJob tool. Matching happens locally (utils/jobMatcher.js); registered in APP_TOOLS (utils/tools.js).
+import fs from 'fs/promises';
+import { getCv } from './backendApi.js';
+import { matchFieldsToJob } from './jobMatcher.js';
+import { ID_PATTERN } from './schemaValidation.js';
+import { ANY_USER, SCOPES } from './authorization.js';
+
+const MAX_JOB_DESCRIPTION_SIZE = 1024 * 1024;
+
+async function readJobDescription({ jobDescription, filePath }, context) {
+    if (filePath) {
+        // Same rule as importCv: over HTTP the path would be on the server's disk.
+        if (context.transport === 'http') {
+            throw new Error('filePath is only supported by the local stdio server; send the text as jobDescription instead');
+        }
+        const stats = await fs.stat(filePath);
+        if (stats.size > MAX_JOB_DESCRIPTION_SIZE) {
+            throw new Error(`File is larger than ${MAX_JOB_DESCRIPTION_SIZE} bytes`);
+        }
+        return await fs.readFile(filePath, 'utf8');
+    }
+    if (typeof jobDescription !== 'string' || !jobDescription.trim()) {
+        throw new Error('Either jobDescription or filePath is required');
+    }
+    return jobDescription;
+}
+
+async function handleMatchCvToJob(args, context) {
+    const { cvId } = args;
+
+    try {
+        const jobDescription = await readJobDescription(args, context);
+        const cv = await getCv(cvId, context);
+        const result = matchFieldsToJob(cv.fields, jobDescription);
+
+        const summary = result.score === null
+            ? `No recognisable requirements found in the job description.`
+            : `CV '${cv.title || cvId}' matches ${result.score}% of the job description (${result.matched.length} of ${result.requirements} requirements met).`;
+
+        return {
+            content: [{
+                type: "text",
+                text: `${summary}\n${JSON.stringify({ cvId, ...result }, null, 2)}`
+            }],
+            structuredContent: { cvId, ...result }
+        };
+    } catch (error) {
+        throw new Error(`Failed to match CV to job: ${error.message}`, { cause: error });
+    }
+}
+
+const REQUIREMENT_RESULT = {
+  type: "object",
+  properties: {
+    kind: { type: "string", enum: ["skill", "certification", "experience"] },
+    name: { type: "string" },
+    importance: { type: "string", enum: ["required", "preferred"] },
+    yearsRequired: { type: "number" },
+    yearsFound: { type: "number" },
+    evidence: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          fieldId: { type: ["string", "number"] },
+          fieldName: { type: ["string", "null"] },
+          fieldType: { type: "string" },
+          wording: { type: "string" },
+          match: { type: "string", enum: ["exact", "synonym"] }
+        },
+        required: ["fieldId"]
+      }
+    }
+  },
+  required: ["kind", "name", "importance"]
+};
+
+export const JOB_MATCH_TOOLS = [
+  {
+    name: "matchCvToJob",
+    description: "Scores a CV against a job description. Extracts the required and preferred skills, certifications and years of experience from the posting and looks for them in the CV's fields, including common synonyms (e.g. 'k8s' for Kubernetes). Returns a 0-100 score, matched requirements with the fields that evidence them, missing requirements and suggested wording changes. The scoring is keyword-based and deterministic.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        cvId: { type: "string", pattern: ID_PATTERN, description: "The CV ID to score." },
+        jobDescription: { type: "string", description: "The full text of the job posting." },
+        filePath: { type: "string", description: "Path of a local text file with the job posting, instead of jobDescription (local server only)." }
+      },
+      required: ["cvId"],
+      additionalProperties: false
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        cvId: { type: "string" },
+        score: { type: ["integer", "null"], minimum: 0, maximum: 100, description: "Null when the posting has no recognisable requirements." },
+        requirements: { type: "integer", minimum: 0, description: "Number of requirements found in the posting." },
+        matched: { type: "array", items: REQUIREMENT_RESULT },
+        missing: { type: "array", items: REQUIREMENT_RESULT },
+        suggestions: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              requirement: { type: "string" },
+              fieldId: { type: ["string", "number"] },
+              suggestion: { type: "string" }
+            },
+            required: ["requirement", "suggestion"]
+          }
+        }
+      },
+      required: ["cvId", "score", "requirements", "matched", "missing", "suggestions"]
+    },
+    annotations: { readOnlyHint: true },
+    requiredRoles: ANY_USER,
+    requiredScopes: [SCOPES.read],
+    handler: handleMatchCvToJob
+  }
+];
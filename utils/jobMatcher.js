@@ -0,0 +1,392 @@
+// utils/jobMatcher.js
+// Deterministic matching of a CV against a job description: requirements are extracted with a
+// keyword/synonym vocabulary and looked up in the CV's fields (as returned by getCvFields).
+// No backend calls and no randomness, so results are stable and can be checked offline.
+import { getFieldData } from './fieldTypes.js';
+
+// canonical name -> terms that mean the same thing (lowercase, matched on word boundaries)
+const SKILL_SYNONYMS = {
+    "JavaScript": ["javascript", "js", "ecmascript", "es6"],
+    "TypeScript": ["typescript", "ts"],
+    "Node.js": ["node.js", "nodejs"],
+    "React": ["react", "react.js", "reactjs"],
+    "Angular": ["angular", "angular.js", "angularjs"],
+    "Vue.js": ["vue", "vue.js", "vuejs"],
+    "HTML": ["html", "html5"],
+    "CSS": ["css", "css3", "sass", "scss"],
+    "Python": ["python"],
+    "Java": ["java"],
+    "C#": ["c#", "csharp"],
+    "C++": ["c++", "cpp"],
+    ".NET": [".net", "dotnet", "asp.net"],
+    "Go": ["golang"],
+    "Rust": ["rust"],
+    "Ruby": ["ruby", "ruby on rails", "rails"],
+    "PHP": ["php"],
+    "Kotlin": ["kotlin"],
+    "Swift": ["swift"],
+    "Scala": ["scala"],
+    "Spring": ["spring boot", "spring framework"],
+    "Django": ["django"],
+    "Flask": ["flask"],
+    "SQL": ["sql"],
+    "PostgreSQL": ["postgresql", "postgres"],
+    "MySQL": ["mysql"],
+    "MongoDB": ["mongodb", "mongo"],
+    "Redis": ["redis"],
+    "AWS": ["aws", "amazon web services"],
+    "Azure": ["azure", "microsoft azure"],
+    "GCP": ["gcp", "google cloud", "google cloud platform"],
+    "Docker": ["docker", "containers", "containerization"],
+    "Kubernetes": ["kubernetes", "k8s"],
+    "Terraform": ["terraform"],
+    "CI/CD": ["ci/cd", "continuous integration", "continuous delivery", "continuous deployment"],
+    "Git": ["git"],
+    "Linux": ["linux", "unix"],
+    "REST APIs": ["restful", "rest api", "rest apis"],
+    "GraphQL": ["graphql"],
+    "Microservices": ["microservices", "microservice"],
+    "Machine learning": ["machine learning", "ml", "deep learning"],
+    "Data analysis": ["data analysis", "data analytics"],
+    "Tableau": ["tableau"],
+    "Power BI": ["power bi", "powerbi"],
+    "Excel": ["microsoft excel", "ms excel", "excel spreadsheets"],
+    "Figma": ["figma"],
+    "Salesforce": ["salesforce"],
+    "SAP": ["sap"],
+    "Jira": ["jira"],
+    "Agile": ["agile", "scrum", "kanban"],
+    "Project management": ["project management", "managing projects"],
+    "Leadership": ["leadership", "team lead", "people management", "led a team", "managed a team"],
+    "Communication": ["communication", "communication skills"]
+};
+
+const CERTIFICATION_SYNONYMS = {
+    "PMP": ["pmp", "project management professional"],
+    "PRINCE2": ["prince2"],
+    "CISSP": ["cissp"],
+    "CISM": ["cism"],
+    "CISA": ["cisa"],
+    "CKA": ["cka", "certified kubernetes administrator"],
+    "CKAD": ["ckad", "certified kubernetes application developer"],
+    "Certified ScrumMaster": ["csm", "certified scrummaster", "certified scrum master", "psm", "professional scrum master"],
+    "ITIL": ["itil"],
+    "CPA": ["cpa", "certified public accountant"],
+    "CFA": ["cfa", "chartered financial analyst"],
+    "AWS Certified Solutions Architect": ["aws certified solutions architect", "aws solutions architect"],
+    "AWS Certified Developer": ["aws certified developer", "aws developer associate"],
+    "Azure Administrator": ["azure administrator", "az-104"],
+    "Google Professional Cloud Architect": ["professional cloud architect", "gcp professional cloud architect"]
+};
+
+const PREFERRED_HEADING = /\b(nice[- ]to[- ]have|preferred|bonus|desirable|optional|a plus|good to have)\b/i;
+const REQUIRED_HEADING = /\b(requirements?|required|must[- ]haves?|qualifications|what you('ll)? bring|you have|skills)\b/i;
+const PREFERRED_INLINE = /\b(nice[- ]to[- ]have|preferred|is a plus|a bonus|desirable|ideally)\b/i;
+const YEARS_PATTERN = /(\d{1,2})\s*\+?\s*(?:(?:-|–|to)\s*\d{1,2}\s*)?\+?\s*years?\b/i;
+const EXPERIENCE_PATTERN = /^.*?\bexperience\b/i;
+// What may stand between the years and the skill in "5+ years of Python", "3 years of hands-on Go".
+const YEARS_LEAD_IN = /^\s*(?:(?:of|in|with|using|working|hands-on|professional|commercial|production)\s+)*/i;
+// End of a clause: a semicolon, or a full stop that is not part of a term such as "node.js".
+const CLAUSE_END = /;|\.(?=\s|$)/;
+const GENERIC_CERTIFICATION = /\b((?:[A-Z][A-Za-z0-9+]*\s+){1,4})certifi(?:ed|cation|cate)\b/g;
+const GENERIC_STOP_WORDS = /^(A|An|The|Any|Be|Is|Are|Relevant|Related|Similar|Other|Industry|Professional)$/;
+
+const EVIDENCE_PRIORITY = { skill: 0, certification: 1, job: 2, education: 3 };
+const WEIGHTS = { required: 3, preferred: 1 };
+const MAX_EVIDENCE = 3;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Word-boundary match that copes with terms such as "c++", ".net" and "node.js". A dot between
+// letters joins them into one token, so "js" is not found in "node.js".
+function termPattern(term) {
+    return new RegExp(`(?<![a-z0-9+#])(?<![a-z0-9]\\.)${escapeRegExp(term.toLowerCase())}(?![a-z0-9+#])(?!\\.[a-z0-9])`, 'i');
+}
+
+const patternCache = new Map();
+function containsTerm(text, term) {
+    if (!patternCache.has(term)) {
+        patternCache.set(term, termPattern(term));
+    }
+    return patternCache.get(term).test(text);
+}
+
+function findTerm(text, terms) {
+    return terms.find(term => containsTerm(text, term));
+}
+
+// The text as written where a term matched, e.g. "Postgres" for the term "postgres".
+function wordingOf(text, term) {
+    return text.match(patternCache.get(term))[0];
+}
+
+/**
+ * Splits a job description into lines tagged with their importance. Lines under a
+ * "Nice to have"/"Preferred" heading, or that say so inline, are preferred; everything else is required.
+ */
+function classifyLines(jobDescription) {
+    let section = 'required';
+    return jobDescription.split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(line => {
+        const isHeading = line.length < 60 && (/^#+\s/.test(line) || /:$/.test(line));
+        if (isHeading) {
+            if (PREFERRED_HEADING.test(line)) section = 'preferred';
+            else if (REQUIRED_HEADING.test(line)) section = 'required';
+        }
+        const importance = section === 'preferred' || PREFERRED_INLINE.test(line) ? 'preferred' : 'required';
+        return { line, importance };
+    });
+}
+
+function addRequirement(requirements, requirement) {
+    const key = `${requirement.kind}:${requirement.name.toLowerCase()}`;
+    const existing = requirements.get(key);
+    // A requirement mentioned both as required and as preferred counts as required.
+    if (!existing) {
+        requirements.set(key, requirement);
+    } else if (existing.importance === 'preferred' && requirement.importance === 'required') {
+        existing.importance = 'required';
+    }
+}
+
+function skillNamesFromCv(fields, fieldType) {
+    return fields
+        .filter(field => field.field_type === fieldType)
+        .map(field => getFieldData(field).name || field.name)
+        .filter(name => typeof name === 'string' && name.trim().length > 1);
+}
+
+/**
+ * Extracts the skills, certifications and years of experience a job description asks for.
+ *
+ * @param {string} jobDescription - The posting text.
+ * @param {object[]} [fields] - CV fields; skill and certification names that the posting mentions
+ *                              are recognised even when they are not in the built-in vocabulary.
+ * @returns {object[]} Requirements: { kind: 'skill'|'certification'|'experience', name, importance,
+ *                     terms, postingTerm, postingWording, years?, skill? }.
+ */
+export function extractRequirements(jobDescription, fields = []) {
+    const requirements = new Map();
+    const certifications = { ...CERTIFICATION_SYNONYMS };
+    const skills = { ...SKILL_SYNONYMS };
+    for (const name of skillNamesFromCv(fields, 'certification')) {
+        certifications[name] ??= [name.toLowerCase()];
+    }
+    for (const name of skillNamesFromCv(fields, 'skill')) {
+        if (!Object.values(SKILL_SYNONYMS).some(terms => terms.includes(name.toLowerCase()))) {
+            skills[name] ??= [name.toLowerCase()];
+        }
+    }
+
+    for (const { line, importance } of classifyLines(jobDescription)) {
+        // Certifications come first: "AWS Certified Solutions Architect" or "AWS certification"
+        // should not also count as the skill "AWS".
+        const certificationNames = [];
+        for (const [name, terms] of Object.entries(certifications)) {
+            const postingTerm = findTerm(line, terms);
+            if (postingTerm) {
+                certificationNames.push(name.toLowerCase());
+                addRequirement(requirements, { kind: 'certification', name, importance, terms, postingTerm, postingWording: wordingOf(line, postingTerm) });
+            }
+        }
+
+        for (const match of line.matchAll(GENERIC_CERTIFICATION)) {
+            const name = match[1].trim();
+            if (GENERIC_STOP_WORDS.test(name)) {
+                continue;
+            }
+            certificationNames.push(name.toLowerCase());
+            const known = [...requirements.values()].some(req => req.kind === 'certification' && containsTerm(req.name, name.toLowerCase()));
+            if (!known) {
+                addRequirement(requirements, { kind: 'certification', name, importance, terms: [name.toLowerCase()], postingTerm: name.toLowerCase(), postingWording: name });
+            }
+        }
+
+        for (const [name, terms] of Object.entries(skills)) {
+            const postingTerm = findTerm(line, terms);
+            if (postingTerm && !certificationNames.some(cert => containsTerm(cert, postingTerm))) {
+                addRequirement(requirements, { kind: 'skill', name, importance, terms, postingTerm, postingWording: wordingOf(line, postingTerm) });
+            }
+        }
+
+        const years = line.match(YEARS_PATTERN);
+        if (years) {
+            // "5+ years of Python experience" and "5+ years experience with Python" name the skill
+            // anywhere in the clause. Without the word "experience" the skill has to follow the years,
+            // as in "5+ years of Python", so that "founded 20 years ago, we use Python" is no requirement.
+            const clause = line.slice(years.index).split(CLAUSE_END)[0];
+            const experience = clause.match(EXPERIENCE_PATTERN);
+            const skillText = experience ? clause : clause.slice(years[0].length).replace(YEARS_LEAD_IN, '');
+            const skill = Object.entries(SKILL_SYNONYMS).find(([, terms]) => {
+                const term = findTerm(skillText, terms);
+                return term && (experience || skillText.search(patternCache.get(term)) === 0);
+            });
+            if (skill || experience) {
+                const postingTerm = skill && findTerm(skillText, skill[1]);
+                const name = skill ? `${years[1]}+ years of ${skill[0]} experience` : `${years[1]}+ years of experience`;
+                addRequirement(requirements, {
+                    kind: 'experience',
+                    name,
+                    importance,
+                    years: Number(years[1]),
+                    skill: skill?.[0],
+                    terms: skill?.[1] || [],
+                    postingTerm,
+                    postingWording: experience?.[0] ?? clause.slice(0, clause.length - skillText.length) + wordingOf(skillText, postingTerm)
+                });
+            }
+        }
+    }
+
+    return [...requirements.values()];
+}
+
+function fieldText(field) {
+    const data = getFieldData(field);
+    return [field.name, ...Object.values(data).filter(value => typeof value === 'string')].join('\n');
+}
+
+function findEvidence(fields, requirement) {
+    const evidence = [];
+    for (const field of fields) {
+        const text = fieldText(field);
+        const term = findTerm(text, requirement.terms);
+        if (term) {
+            evidence.push({
+                fieldId: field.id,
+                fieldName: field.name,
+                fieldType: field.field_type,
+                term,
+                wording: wordingOf(text, term),
+                match: term === requirement.postingTerm ? 'exact' : 'synonym'
+            });
+        }
+    }
+    evidence.sort((a, b) =>
+        (EVIDENCE_PRIORITY[a.fieldType] ?? 9) - (EVIDENCE_PRIORITY[b.fieldType] ?? 9) ||
+        (a.match === 'exact' ? 0 : 1) - (b.match === 'exact' ? 0 : 1)
+    );
+    return evidence.slice(0, MAX_EVIDENCE).map(({ term, ...rest }) => rest);
+}
+
+// Total years covered by the given job fields, counting overlapping positions once.
+function yearsOfExperience(jobs, now) {
+    const intervals = jobs
+        .map(field => {
+            const data = getFieldData(field);
+            const start = Date.parse(data.start_date);
+            const end = data.end_date ? Date.parse(data.end_date) : now.getTime();
+            return [start, Math.min(end, now.getTime())];
+        })
+        .filter(([start, end]) => !isNaN(start) && !isNaN(end) && end > start)
+        .sort((a, b) => a[0] - b[0]);
+
+    let total = 0;
+    let current = null;
+    for (const [start, end] of intervals) {
+        if (current && start <= current[1]) {
+            current[1] = Math.max(current[1], end);
+        } else {
+            if (current) total += current[1] - current[0];
+            current = [start, end];
+        }
+    }
+    if (current) total += current[1] - current[0];
+    return Math.round(total / (365.25 * 24 * 3600 * 1000) * 10) / 10;
+}
+
+function matchExperience(fields, requirement, now) {
+    const jobs = fields.filter(field => field.field_type === 'job');
+    const relevantJobs = requirement.skill
+        ? jobs.filter(field => findTerm(fieldText(field), requirement.terms))
+        : jobs;
+    let years = yearsOfExperience(relevantJobs, now);
+    const evidence = relevantJobs.slice(0, MAX_EVIDENCE).map(field => ({
+        fieldId: field.id,
+        fieldName: field.name,
+        fieldType: field.field_type
+    }));
+
+    // A skill field may state its years directly.
+    if (requirement.skill) {
+        for (const field of fields.filter(candidate => candidate.field_type === 'skill')) {
+            const data = getFieldData(field);
+            if (typeof data.years === 'number' && findTerm(fieldText(field), requirement.terms) && data.years > years) {
+                years = data.years;
+                evidence.unshift({ fieldId: field.id, fieldName: field.name, fieldType: field.field_type });
+            }
+        }
+    }
+    return { years, evidence: evidence.slice(0, MAX_EVIDENCE) };
+}
+
+function suggestionFor(result) {
+    const { requirement, matched, evidence } = result;
+    if (requirement.kind === 'experience') {
+        if (matched) return null;
+        const subject = requirement.skill ? ` of ${requirement.skill}` : '';
+        return `The posting asks for ${requirement.years}+ years${subject} experience; the CV shows ${result.yearsFound}. Check the start and end dates of your positions${requirement.skill ? ` and mention ${requirement.skill} in the jobs where you used it` : ''}.`;
+    }
+    if (!matched) {
+        return requirement.kind === 'certification'
+            ? `'${requirement.name}' is not in the CV. If you hold it, add a certification field for it.`
+            : `'${requirement.name}' is not mentioned in the CV. If you have this experience, add a skill field or mention it in a relevant job description.`;
+    }
+    const best = evidence[0];
+    if (best.match === 'synonym') {
+        return `Use the posting's wording '${requirement.postingWording}' in '${best.fieldName}' (it currently says '${best.wording}').`;
+    }
+    if (requirement.kind === 'skill' && best.fieldType !== 'skill') {
+        return `'${requirement.name}' only appears in '${best.fieldName}'; add a skill field for it so it stands out.`;
+    }
+    return null;
+}
+
+/**
+ * Scores CV fields against the requirements of a job description.
+ * Required requirements weigh three times as much as preferred ones; experience requirements
+ * earn partial credit in proportion to the years found.
+ *
+ * @param {object[]} fields - CV fields as returned by getCvFields.
+ * @param {string} jobDescription - The posting text.
+ * @param {object} [options]
+ * @param {Date} [options.now] - Reference date for current positions (defaults to today).
+ * @returns {{ score: number | null, requirements: number, matched: object[], missing: object[], suggestions: object[] }}
+ */
+export function matchFieldsToJob(fields, jobDescription, { now = new Date() } = {}) {
+    const requirements = extractRequirements(jobDescription, fields);
+    let earned = 0;
+    let total = 0;
+
+    const results = requirements.map(requirement => {
+        const weight = WEIGHTS[requirement.importance];
+        total += weight;
+        if (requirement.kind === 'experience') {
+            const { years, evidence } = matchExperience(fields, requirement, now);
+            earned += weight * Math.min(1, years / requirement.years);
+            return { requirement, matched: years >= requirement.years, yearsFound: years, evidence };
+        }
+        const evidence = findEvidence(fields, requirement);
+        if (evidence.length > 0) earned += weight;
+        return { requirement, matched: evidence.length > 0, evidence };
+    });
+
+    const describe = ({ requirement, matched, yearsFound, evidence }) => ({
+        kind: requirement.kind,
+        name: requirement.name,
+        importance: requirement.importance,
+        ...(requirement.kind === 'experience' ? { yearsRequired: requirement.years, yearsFound } : {}),
+        ...(matched || evidence.length > 0 ? { evidence } : {})
+    });
+
+    return {
+        score: total > 0 ? Math.round(earned / total * 100) : null,
+        requirements: requirements.length,
+        matched: results.filter(result => result.matched).map(describe),
+        missing: results.filter(result => !result.matched).map(describe),
+        suggestions: results
+            .map(result => ({ requirement: result.requirement.name, fieldId: result.evidence[0]?.fieldId, suggestion: suggestionFor(result) }))
+            .filter(suggestion => suggestion.suggestion)
+    };
+}
@@ -0,0 +1,173 @@
+// utils/logger.js
+// Structured JSON logging. Every entry is one JSON line with a level, the logging component and,
+// inside an MCP request, the request's correlation ID. Personal data is redacted before anything
+// is written. Entries are also forwarded to the MCP client that made the request once it has
+// chosen a level with logging/setLevel (see registerLogging).
+import fs from 'fs';
+import { randomUUID } from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { SetLevelRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { LOG_LEVELS } from './config.js';
+
+const MAX_STRING_LENGTH = 500;
+const MAX_DEPTH = 8;
+
+const SENSITIVE_KEYS = /^(e_?mail|email_?address|phone|phone_?number|mobile|telephone|address|street|street_?address|postal_?code|post_?code|zip|zip_?code|date_?of_?birth|birth_?date|password|token|access_?token|refresh_?token|api_?key|authorization|secret|client_?secret)$/i;
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const PHONE_PATTERN = /(?<![\w-])\+?\(?\d[\d\s().-]{7,}\d(?![\w-])/g;
+const ISO_DATE_PATTERN = /\d{4}-\d{2}-\d{2}/;
+const STREET_ADDRESS_PATTERN = /\b\d{1,5}\s+(?:[A-Z][a-z]+\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Lane|Ln|Boulevard|Blvd|Drive|Dr|Court|Ct|Way|Place|Pl|Square|Sq)\b\.?/g;
+const EUROPEAN_ADDRESS_PATTERN = /\b[A-ZÄÖÜ][a-zäöüß]+(?:straße|strasse|str\.|weg|gasse|allee|platz)\s+\d+[a-z]?\b/g;
+
+const requestContext = new AsyncLocalStorage();
+
+let settings = { level: 'info', destination: 'stderr' };
+let output = process.stderr;
+
+function rank(level) {
+    return LOG_LEVELS.indexOf(level);
+}
+
+/**
+ * Applies the `log` section of the configuration. Until this is called, entries at info and
+ * above go to stderr. Over stdio, stdout carries the protocol, so logs never go there.
+ *
+ * @param {{ level: string, destination: string }} log
+ */
+export function configureLogger({ level, destination }) {
+    if (destination !== settings.destination) {
+        output = destination === 'stderr' ? process.stderr : fs.createWriteStream(destination, { flags: 'a' });
+    }
+    settings = { level, destination };
+}
+
+function redactString(value) {
+    // Only what is kept gets redacted: the patterns backtrack heavily on long runs such as base64
+    // file contents. The extra room lets matches that cross the cut be found whole.
+    let text = value
+        .slice(0, MAX_STRING_LENGTH + 200)
+        .replace(EMAIL_PATTERN, '[email]')
+        .replace(STREET_ADDRESS_PATTERN, '[address]')
+        .replace(EUROPEAN_ADDRESS_PATTERN, '[address]')
+        .replace(PHONE_PATTERN, match => {
+            // Dates and date ranges look like phone numbers to the pattern.
+            const digits = match.replace(/\D/g, '').length;
+            return digits >= 9 && !ISO_DATE_PATTERN.test(match) ? '[phone]' : match;
+        });
+    if (value.length > MAX_STRING_LENGTH) {
+        text = `${text.slice(0, MAX_STRING_LENGTH)}… (${value.length} chars)`;
+    }
+    return text;
+}
+
+/**
+ * Returns a copy of a value that is safe to log: credentials and personal data (emails, phone
+ * numbers, street addresses, birth dates) are replaced, and long strings are shortened.
+ *
+ * @param {any} value
+ * @returns {any}
+ */
+export function redact(value, depth = 0) {
+    if (typeof value === 'string') {
+        return redactString(value);
+    }
+    if (value instanceof Error) {
+        return {
+            name: value.name,
+            message: redactString(value.message),
+            ...(value.type && { type: value.type }),
+            ...(value.status && { status: value.status })
+        };
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[…]';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        SENSITIVE_KEYS.test(key) && item !== undefined && item !== null ? '[redacted]' : redact(item, depth + 1)
+    ]));
+}
+
+/**
+ * Runs a function with a request context (correlation ID, session, and where to forward log
+ * entries). Loggers called anywhere below it, including in the backend client, pick it up.
+ */
+export function runWithRequestContext(context, fn) {
+    return requestContext.run({ correlationId: randomUUID(), ...context }, fn);
+}
+
+/**
+ * The context of the MCP request being handled, if any.
+ *
+ * @returns {{ correlationId: string, sessionId?: string, forward?: (entry: object) => void } | undefined}
+ */
+export function getRequestContext() {
+    return requestContext.getStore();
+}
+
+function write(component, level, message, fields) {
+    const context = requestContext.getStore();
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        logger: component,
+        message,
+        ...(context?.correlationId && { correlationId: context.correlationId }),
+        ...(context?.sessionId && { sessionId: context.sessionId }),
+        ...(fields && redact(fields))
+    };
+
+    if (rank(level) >= rank(settings.level)) {
+        output.write(`${JSON.stringify(entry)}\n`);
+    }
+    context?.forward?.(entry);
+}
+
+/**
+ * Creates a logger for one component, e.g. createLogger('backend').
+ * Each method takes a message and optional fields, which are redacted before they are written.
+ */
+export function createLogger(component) {
+    return Object.fromEntries(LOG_LEVELS.map(level => [
+        level,
+        (message, fields) => write(component, level, message, fields)
+    ]));
+}
+
+/**
+ * Gives every request handler of a server a request context, and supports logging/setLevel:
+ * once the client has set a level, log entries at or above it that belong to this client's
+ * requests are sent as notifications/message. Must be called before the other register* functions
+ * so their handlers are wrapped. Requires the `logging` capability.
+ *
+ * @param {import('@modelcontextprotocol/sdk/server/index.js').Server} server
+ */
+export function registerLogging(server) {
+    let clientLevel = null;
+
+    const forward = (entry) => {
+        if (clientLevel === null || rank(entry.level) < rank(clientLevel)) {
+            return;
+        }
+        const { level, logger, time, ...data } = entry;
+        server.sendLoggingMessage({ level, logger, data }).catch(() => {
+            // The client went away; nothing useful to do with a log line.
+        });
+    };
+
+    const setRequestHandler = server.setRequestHandler.bind(server);
+    server.setRequestHandler = (schema, handler) => setRequestHandler(schema, (request, extra) =>
+        runWithRequestContext({ sessionId: extra.sessionId, forward }, () => handler(request, extra))
+    );
+
+    server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+        clientLevel = request.params.level;
+        return {};
+    });
+}
@@ -0,0 +1,44 @@
+// utils/mcpServer.js
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { registerTools } from './tools.js';
+import { registerResources } from './resources.js';
+import { registerPrompts } from './prompts.js';
+import { registerLogging } from './logger.js';
+
+// Also the title and version of the REST facade's OpenAPI document (utils/openApi.js).
+export const SERVER_INFO = {
+    name: "cv-mcp-server",
+    version: "1.0.0",
+};
+
+/**
+ * Creates an MCP server with every capability wired up from the shared registries.
+ * Both mcp_core.js (stdio) and mcp_http_server.js (HTTP) build their server through here.
+ *
+ * @param {object} options
+ * @param {'stdio' | 'http'} options.transport - The transport the server will be connected to.
+ * @param {(request: object, extra: object) => object} [options.getContext] - Builds the per-call context
+ *                                                                            handed to tool, resource and prompt handlers.
+ * @returns {Server} A server that is ready to be connected to a transport.
+ */
+export function createMcpServer({ transport, getContext }) {
+    const server = new Server(
+        SERVER_INFO,
+        {
+            capabilities: {
+                tools: { listChanged: true },
+                resources: { subscribe: true, listChanged: true },
+                prompts: {},
+                logging: {},
+            },
+        }
+    );
+
+    // First, so every handler registered below runs with a correlation ID.
+    registerLogging(server);
+    registerTools(server, { transport, getContext });
+    registerResources(server, { getContext });
+    registerPrompts(server, { getContext });
+
+    return server;
+}
@@ -0,0 +1,115 @@
+// utils/media.js
+// Media files (profile photos, certificate scans, exported documents): downloading them through
+// the backend's time-limited URLs with a size cap, and recognising their type from their content.
+// Used by the media tools (utils/mediaTools.js) and media:// resources (utils/resources.js).
+import { getMedia } from './backendApi.js';
+import { getConfig } from './config.js';
+
+// Signatures of the file types we accept for upload and can show inline.
+const SIGNATURES = [
+    { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+    { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+    { mimeType: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], at8: [0x57, 0x45, 0x42, 0x50] },
+    { mimeType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }
+];
+
+const EXTENSIONS = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    pdf: 'application/pdf'
+};
+
+// What uploadMedia accepts: images for photos, PDFs and images for scanned documents.
+export const UPLOAD_MIME_TYPES = SIGNATURES.map(signature => signature.mimeType);
+// Image types MCP clients can display as `image` content.
+export const INLINE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+function startsWith(data, bytes, offset = 0) {
+    return data.length >= offset + bytes.length && bytes.every((byte, index) => data[offset + index] === byte);
+}
+
+/**
+ * Recognises a file's type from its first bytes.
+ *
+ * @param {Buffer} data
+ * @returns {string | null} One of UPLOAD_MIME_TYPES, or null when the content is none of them.
+ */
+export function sniffMimeType(data) {
+    const match = SIGNATURES.find(signature => startsWith(data, signature.bytes) && (!signature.at8 || startsWith(data, signature.at8, 8)));
+    return match ? match.mimeType : null;
+}
+
+/**
+ * The MIME type for a file name's extension, e.g. 'photo.JPG' -> 'image/jpeg'.
+ *
+ * @param {string} name
+ * @returns {string | null}
+ */
+export function mimeTypeFromName(name) {
+    const extension = /\.([a-z0-9]+)$/i.exec(name)?.[1]?.toLowerCase();
+    return EXTENSIONS[extension] ?? null;
+}
+
+/**
+ * The usual file extension for a MIME type, e.g. 'image/jpeg' -> 'jpg'.
+ *
+ * @param {string} mimeType
+ * @returns {string | undefined}
+ */
+export function extensionFor(mimeType) {
+    return Object.keys(EXTENSIONS).find(extension => EXTENSIONS[extension] === mimeType);
+}
+
+// Reads a response body of at most `maxBytes`, giving up as soon as it grows past that, whether or
+// not the server announced its length.
+async function readBody(response, maxBytes) {
+    if (!response.body) {
+        return Buffer.alloc(0);
+    }
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > maxBytes) {
+            // Leaving the loop early cancels the stream, which aborts the download.
+            throw new Error(`Media file is larger than ${maxBytes} bytes`);
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks, size);
+}
+
+/**
+ * Downloads a stored media file. Its type is taken from its content when recognised, else from
+ * the response's Content-Type, else from the key's extension.
+ *
+ * @param {string} key - The media key.
+ * @param {object} context - Per-call context (credentials, and the call's abort signal) for the backend.
+ * @param {{ maxBytes: number }} options - Larger files are rejected; the download stops as soon as
+ *        it is known to be too large.
+ * @returns {Promise<{ url: string, mimeType: string, data: Buffer }>}
+ * @throws {Error} When the download fails or the file is larger than `maxBytes`.
+ */
+export async function downloadMedia(key, context, { maxBytes }) {
+    const url = await getMedia(key, context);
+    const timeout = AbortSignal.timeout(getConfig().timeouts.downloadMs);
+    const response = await fetch(url, { signal: context.signal ? AbortSignal.any([timeout, context.signal]) : timeout });
+    if (!response.ok) {
+        throw new Error(`Failed to download media: ${response.statusText}`);
+    }
+    if (Number(response.headers.get('content-length')) > maxBytes) {
+        await response.body?.cancel();
+        throw new Error(`Media file is larger than ${maxBytes} bytes`);
+    }
+    const data = await readBody(response, maxBytes);
+    const declared = (response.headers.get('content-type') || '').split(';')[0].trim();
+    const mimeType = sniffMimeType(data)
+        || (declared && declared !== 'application/octet-stream' ? declared : null)
+        || mimeTypeFromName(key)
+        || 'application/octet-stream';
+    return { url, mimeType, data };
+}
@@ -0,0 +1,246 @@
+// utils/mediaTools.js
+// The getMedia and uploadMedia tools. Downloads and type detection live in utils/media.js;
+// registered in APP_TOOLS (utils/tools.js).
+import fs from 'fs/promises';
+import path from 'path';
+import { addFieldVersion, fieldList, getCvFields, getMedia, uploadMedia } from './backendApi.js';
+import { MEDIA_PROPERTIES, getFieldData, validateFieldData } from './fieldTypes.js';
+import { ID_PATTERN } from './schemaValidation.js';
+import { INLINE_IMAGE_TYPES, UPLOAD_MIME_TYPES, downloadMedia, extensionFor, mimeTypeFromName, sniffMimeType } from './media.js';
+import { mediaResourceUri } from './resources.js';
+import { notifyCvChanged } from './cvEvents.js';
+import { ANY_USER, SCOPES } from './authorization.js';
+
+// Base64 grows a file by a third, and the whole result has to fit in the model's context.
+const MAX_INLINE_SIZE = 5 * 1024 * 1024;
+export const MAX_UPLOAD_SIZE = 10 * 1024 * 1024;
+
+async function handleGetMedia(args, context) {
+    const { key, inline = false } = args;
+
+    try {
+        if (!inline) {
+            const url = await getMedia(key, context);
+            return {
+                content: [{
+                    type: "text",
+                    text: url
+                }],
+                structuredContent: { key, url }
+            };
+        }
+
+        const { url, mimeType, data } = await downloadMedia(key, context, { maxBytes: MAX_INLINE_SIZE });
+        const block = INLINE_IMAGE_TYPES.includes(mimeType)
+            ? { type: "image", data: data.toString('base64'), mimeType }
+            : { type: "resource", resource: { uri: mediaResourceUri(key), mimeType, blob: data.toString('base64') } };
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `${key} (${mimeType}, ${data.length} bytes). Download URL, valid for a limited time: ${url}`
+                },
+                block
+            ],
+            structuredContent: { key, url, mimeType, size: data.length }
+        };
+    } catch (error) {
+        throw new Error(`Failed to get media: ${error.message}`, { cause: error });
+    }
+}
+
+async function readUpload({ data, filePath }, context) {
+    if (filePath) {
+        // Same rule as importCv: over HTTP the path would be on the server's disk.
+        if (context.transport === 'http') {
+            throw new Error('filePath is only supported by the local stdio server; send the file as base64 data instead');
+        }
+        const stats = await fs.stat(filePath);
+        if (stats.size > MAX_UPLOAD_SIZE) {
+            throw new Error(`File is larger than ${MAX_UPLOAD_SIZE} bytes`);
+        }
+        return await fs.readFile(filePath);
+    }
+    if (typeof data !== 'string') {
+        throw new Error('Either data or filePath is required');
+    }
+    const buffer = Buffer.from(data, 'base64');
+    if (buffer.length > MAX_UPLOAD_SIZE) {
+        throw new Error(`File is larger than ${MAX_UPLOAD_SIZE} bytes`);
+    }
+    return buffer;
+}
+
+// The file's type from its content, which must agree with the declared type and file name if given.
+function checkFileType(buffer, { mimeType, filename }) {
+    if (buffer.length === 0) {
+        throw new Error('File is empty');
+    }
+    const detected = sniffMimeType(buffer);
+    if (!detected) {
+        throw new Error(`Unsupported file type; upload one of: ${UPLOAD_MIME_TYPES.join(', ')}`);
+    }
+    if (mimeType && mimeType !== detected) {
+        throw new Error(`File content is ${detected}, not ${mimeType}`);
+    }
+    const fromName = filename && mimeTypeFromName(filename);
+    if (fromName && fromName !== detected) {
+        throw new Error(`File content is ${detected}, which does not match the name ${filename}`);
+    }
+    return detected;
+}
+
+// The field to attach an upload to and its media property, checked before anything is uploaded.
+async function findAttachTarget({ cvId, fieldId }, context) {
+    const fields = fieldList(await getCvFields(cvId, context));
+    const field = fields.find(candidate => String(candidate.id) === String(fieldId));
+    if (!field) {
+        throw new Error(`Field ${fieldId} not found in CV ${cvId}`);
+    }
+    const property = MEDIA_PROPERTIES[field.field_type];
+    if (!property) {
+        throw new Error(`Fields of type ${field.field_type} cannot hold media; attach to one of type: ${Object.keys(MEDIA_PROPERTIES).join(', ')}`);
+    }
+    const errors = validateFieldData(field.field_type, { ...getFieldData(field), [property]: 'media-key' });
+    if (errors.length > 0) {
+        throw new Error(`Field ${fieldId} is invalid, fix it with updateField first: ${errors.join('; ')}`);
+    }
+    return { cvId, field, property };
+}
+
+// Stores the key in the field's media property as a new version of the field.
+async function attachToField(key, { cvId, field, property }, context) {
+    const data = { ...getFieldData(field), [property]: key };
+    const version = await addFieldVersion(field.id, { data }, context);
+    notifyCvChanged({ cvId, fieldId: field.id });
+    return { cvId, fieldId: String(field.id), property, ...(version?.id !== undefined && { versionId: version.id }) };
+}
+
+async function handleUploadMedia(args, context) {
+    const { filePath, attachTo } = args;
+
+    try {
+        const buffer = await readUpload(args, context);
+        const mimeType = checkFileType(buffer, args);
+        const filename = args.filename || (filePath ? path.basename(filePath) : `upload.${extensionFor(mimeType)}`);
+        const target = attachTo && await findAttachTarget(attachTo, context);
+
+        const media = await uploadMedia({ filename, contentType: mimeType, data: buffer }, context);
+        if (!media?.key) {
+            throw new Error('Backend did not return a media key');
+        }
+        // The file is stored even if attaching fails; the key is in the error so it can be attached later.
+        let attachedTo;
+        if (target) {
+            try {
+                attachedTo = await attachToField(media.key, target, context);
+            } catch (error) {
+                throw new Error(`Uploaded as '${media.key}', but could not attach it: ${error.message}`, { cause: error });
+            }
+        }
+
+        const summary = `Uploaded ${filename} (${mimeType}, ${buffer.length} bytes) as media key '${media.key}'`;
+        return {
+            content: [{
+                type: "text",
+                text: attachedTo
+                    ? `${summary} and attached it to field ${attachedTo.fieldId} (${attachedTo.property}).`
+                    : `${summary}.`
+            }],
+            structuredContent: {
+                key: media.key,
+                filename,
+                mimeType,
+                size: buffer.length,
+                ...(attachedTo && { attachedTo })
+            }
+        };
+    } catch (error) {
+        throw new Error(`Failed to upload media: ${error.message}`, { cause: error });
+    }
+}
+
+export const MEDIA_TOOLS = [
+  {
+    name: "getMedia",
+    description: "Gets a secure time-limited URL for media files stored in the system. With inline, also returns the file itself: images as image content, other files (e.g. PDFs) as an embedded resource.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        key: {
+          type: "string",
+          description: "The media key from field details (e.g., 'uploads/user-id/file-id.png')"
+        },
+        inline: {
+          type: "boolean",
+          description: `Also return the file's content, up to ${MAX_INLINE_SIZE / 1024 / 1024} MB (optional, defaults to false).`
+        }
+      },
+      required: ["key"],
+      additionalProperties: false
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        key: { type: "string" },
+        url: { type: "string", description: "Time-limited download URL." },
+        mimeType: { type: "string", description: "The file's type (inline only)." },
+        size: { type: "integer", minimum: 0, description: "The file's size in bytes (inline only)." }
+      },
+      required: ["key", "url"]
+    },
+    requiredRoles: ANY_USER,
+    requiredScopes: [SCOPES.read],
+    handler: handleGetMedia
+  },
+  {
+    name: "uploadMedia",
+    description: `Uploads an image (PNG, JPEG, GIF, WebP) or PDF of up to ${MAX_UPLOAD_SIZE / 1024 / 1024} MB to media storage and returns its media key. With attachTo, also stores the key in a field, e.g. a certificate scan in a certification's media_key, as a new version of the field.`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        data: { type: "string", contentEncoding: "base64", description: "The file, base64-encoded." },
+        filePath: { type: "string", description: "Path of the file to upload instead of data (local stdio server only)." },
+        filename: { type: "string", minLength: 1, description: "File name to store (optional, defaults to the file path's name)." },
+        mimeType: { type: "string", enum: UPLOAD_MIME_TYPES, description: "The file's type (optional); checked against its content." },
+        attachTo: {
+          type: "object",
+          properties: {
+            cvId: { type: "string", pattern: ID_PATTERN, description: "The CV the field belongs to." },
+            fieldId: { type: "string", pattern: ID_PATTERN, description: `The field, of type ${Object.keys(MEDIA_PROPERTIES).join(' or ')}.` }
+          },
+          required: ["cvId", "fieldId"],
+          additionalProperties: false,
+          description: "Field to attach the uploaded file to (optional)."
+        }
+      },
+      additionalProperties: false
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        key: { type: "string", description: "The media key, for getMedia and field data." },
+        filename: { type: "string" },
+        mimeType: { type: "string" },
+        size: { type: "integer", minimum: 0 },
+        attachedTo: {
+          type: "object",
+          properties: {
+            cvId: { type: "string" },
+            fieldId: { type: "string" },
+            property: { type: "string", description: "The field data property that now holds the key." },
+            versionId: { type: ["string", "number"], description: "The field version that was created." }
+          },
+          required: ["cvId", "fieldId", "property"]
+        }
+      },
+      required: ["key", "filename", "mimeType", "size"]
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false },
+    // Uploading up to MAX_UPLOAD_SIZE.
+    timeoutMs: 2 * 60 * 1000,
+    requiredRoles: ANY_USER,
+    requiredScopes: [SCOPES.write],
+    handler: handleUploadMedia
+  }
+];
@@ -0,0 +1,523 @@
+// utils/mockBackend.js
+// A stand-in for the Droste CV backend, for demos, development and testing without one. It serves
+// the endpoints utils/backendApi.js calls (CVs, versioned fields, media, search, auth and the
+// /action/* endpoints of utils/backendActions.js) from a JSON fixture file, keeping changes in
+// memory until the process exits. It runs as a real HTTP server on a free local port, so the
+// backend client (credentials, caching, ETags, retries) behaves exactly as against the real backend.
+//
+// Turned on with `--mock-backend` or DROSTE_CV_MOCK_BACKEND=1; DROSTE_CV_MOCK_FIXTURES names a
+// fixture file other than fixtures/mock-backend.json. Log in with a fixture user's API key
+// (DROSTE_CV_API_KEY defaults to the first user's) or email and password.
+import express from 'express';
+import fs from 'fs';
+import { createHash, createHmac, randomBytes } from 'crypto';
+import { fileURLToPath } from 'url';
+import { validateFieldData } from './fieldTypes.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('mock-backend');
+
+export const DEFAULT_FIXTURES_FILE = fileURLToPath(new URL('../fixtures/mock-backend.json', import.meta.url));
+
+const MEDIA_URL_TTL_MS = 15 * 60 * 1000;
+const MAX_BODY_SIZE = '20mb';
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// ---- state ----
+
+/**
+ * Builds the in-memory state from fixtures: { users, cvs, media }, where each CV lists its fields
+ * and each field its versions, oldest first (see fixtures/mock-backend.json).
+ */
+function loadState(fixtures) {
+    const state = {
+        users: new Map(),
+        tokens: new Map(),     // bearer token -> user ID
+        cvs: new Map(),
+        fields: new Map(),
+        versions: new Map(),   // field ID -> versions, oldest first
+        media: new Map(),
+        nextId: 1000
+    };
+
+    for (const user of fixtures.users || []) {
+        state.users.set(user.id, { id: user.id, name: user.name, email: user.email, password: user.password, roles: user.roles || ['user'] });
+        if (user.apiKey) state.tokens.set(user.apiKey, user.id);
+    }
+    for (const cv of fixtures.cvs || []) {
+        state.cvs.set(cv.id, {
+            id: cv.id,
+            owner_id: cv.ownerId,
+            title: cv.title,
+            archived: Boolean(cv.archived),
+            created_at: cv.createdAt,
+            updated_at: cv.updatedAt || cv.createdAt
+        });
+        (cv.fields || []).forEach((field, index) => {
+            state.fields.set(field.id, {
+                id: field.id,
+                cv_id: cv.id,
+                name: field.name,
+                field_type: field.fieldType,
+                display_order: index,
+                created_at: field.versions[0].createdAt
+            });
+            state.versions.set(field.id, field.versions.map((version, versionIndex) => ({
+                id: `${field.id}-v${versionIndex + 1}`,
+                field_id: field.id,
+                version_number: versionIndex + 1,
+                name: field.name,
+                data: version.data,
+                created_at: version.createdAt,
+                is_current: versionIndex === field.versions.length - 1
+            })));
+        });
+    }
+    for (const item of fixtures.media || []) {
+        state.media.set(item.key, { owner_id: item.ownerId, content_type: item.contentType, data: Buffer.from(item.base64, 'base64') });
+    }
+    return state;
+}
+
+function newId(state, prefix) {
+    return `${prefix}-${state.nextId++}`;
+}
+
+function now() {
+    return new Date().toISOString();
+}
+
+function currentVersion(state, fieldId) {
+    const versions = state.versions.get(fieldId);
+    return versions.find(version => version.is_current) || versions[versions.length - 1];
+}
+
+function fieldRecord(state, field) {
+    const version = currentVersion(state, field.id);
+    return {
+        ...field,
+        name: version.name ?? field.name,
+        data: version.data,
+        current_version: { id: version.id, version_number: version.version_number, created_at: version.created_at }
+    };
+}
+
+function cvFields(state, cvId) {
+    return [...state.fields.values()]
+        .filter(field => field.cv_id === cvId)
+        .sort((a, b) => a.display_order - b.display_order);
+}
+
+function touch(cv) {
+    cv.updated_at = now();
+}
+
+// ---- access ----
+
+function authenticate(state, req) {
+    const token = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '')?.[1];
+    const user = token && state.users.get(state.tokens.get(token));
+    if (!user) {
+        throw new HttpError(401, 'Missing or invalid credentials');
+    }
+    return user;
+}
+
+function isAdmin(user) {
+    return user.roles.includes('admin');
+}
+
+// CVs are only visible to their owner; administrators see every CV.
+function findCv(state, user, cvId) {
+    const cv = state.cvs.get(cvId);
+    if (!cv || (cv.owner_id !== user.id && !isAdmin(user))) {
+        throw new HttpError(404, `CV ${cvId} not found`);
+    }
+    return cv;
+}
+
+function findField(state, user, fieldId) {
+    const field = state.fields.get(fieldId);
+    if (!field) {
+        throw new HttpError(404, `Field ${fieldId} not found`);
+    }
+    findCv(state, user, field.cv_id);
+    return field;
+}
+
+function requireString(value, name) {
+    if (typeof value !== 'string' || !value.trim()) {
+        throw new HttpError(422, `${name} is required`);
+    }
+    return value;
+}
+
+function requireFieldData(fieldType, data) {
+    const errors = validateFieldData(fieldType, data);
+    if (errors.length > 0) {
+        throw new HttpError(422, errors.join('; '));
+    }
+    return data;
+}
+
+// ---- search ----
+
+function words(text) {
+    return text.toLowerCase().match(/[\p{L}\p{N}+#.]+/gu)?.map(word => word.replace(/\.+$/, '')).filter(Boolean) || [];
+}
+
+function textOf(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return Object.values(value).map(textOf).join(' ');
+    return String(value);
+}
+
+function inDateRange(field, data, { from, to } = {}) {
+    if (!from && !to) {
+        return true;
+    }
+    const start = data.start_date ?? data.issue_date;
+    if (!start) {
+        return false;
+    }
+    const end = data.end_date ?? (field.field_type === 'job' ? now().slice(0, 10) : start);
+    return (!from || end >= from) && (!to || start <= to);
+}
+
+// A field matches when any query word starts one of its words; the score is the share of query words
+// it has, those in the field's name counting double.
+function search(state, cvs, { query, fieldType, dateRange }, { withOwner }) {
+    const queryWords = words(requireString(query, 'query'));
+    const results = [];
+    for (const cv of cvs) {
+        const matches = [];
+        for (const field of cvFields(state, cv.id)) {
+            const record = fieldRecord(state, field);
+            if (fieldType && fieldType !== 'all' && record.field_type !== fieldType) continue;
+            if (!inDateRange(record, record.data, dateRange)) continue;
+            const nameWords = words(record.name || '');
+            const dataWords = words(textOf(record.data));
+            const hits = queryWords.map(word =>
+                (nameWords.some(candidate => candidate.startsWith(word)) ? 2 : 0) +
+                (dataWords.some(candidate => candidate.startsWith(word)) ? 1 : 0));
+            if (hits.every(hit => hit === 0)) continue;
+            matches.push({
+                fieldId: record.id,
+                fieldName: record.name,
+                fieldType: record.field_type,
+                relevanceScore: hits.reduce((sum, hit) => sum + hit, 0) / (3 * queryWords.length),
+                data: record.data
+            });
+        }
+        if (matches.length > 0) {
+            matches.sort((a, b) => b.relevanceScore - a.relevanceScore);
+            results.push({ cvId: cv.id, cvTitle: cv.title, ...(withOwner && { ownerId: cv.owner_id }), matches });
+        }
+    }
+    return results.sort((a, b) => b.matches[0].relevanceScore - a.matches[0].relevanceScore);
+}
+
+// ---- actions (utils/backendActions.js) ----
+
+function duplicateCv(state, user, { cvId, title }) {
+    const source = findCv(state, user, requireString(cvId, 'cvId'));
+    const copy = { ...source, id: newId(state, 'cv'), owner_id: user.id, title: title || `Copy of ${source.title}`, archived: false, created_at: now(), updated_at: now() };
+    state.cvs.set(copy.id, copy);
+    for (const field of cvFields(state, source.id)) {
+        const fieldId = newId(state, 'field');
+        state.fields.set(fieldId, { ...field, id: fieldId, cv_id: copy.id, created_at: now() });
+        const version = currentVersion(state, field.id);
+        state.versions.set(fieldId, [{ ...version, id: `${fieldId}-v1`, field_id: fieldId, version_number: 1, created_at: now(), is_current: true }]);
+    }
+    return { id: copy.id, title: copy.title };
+}
+
+function setArchived(archived) {
+    return (state, user, { cvId }) => {
+        const cv = findCv(state, user, requireString(cvId, 'cvId'));
+        cv.archived = archived;
+        touch(cv);
+        return { id: cv.id, archived };
+    };
+}
+
+function deleteCv(state, user, { cvId }) {
+    const cv = findCv(state, user, requireString(cvId, 'cvId'));
+    for (const field of cvFields(state, cv.id)) {
+        state.fields.delete(field.id);
+        state.versions.delete(field.id);
+    }
+    state.cvs.delete(cv.id);
+    return { id: cv.id, deleted: true };
+}
+
+function purgeFieldHistory(state, user, { fieldId, keepLatest = 1 }) {
+    const field = findField(state, user, requireString(fieldId, 'fieldId'));
+    const versions = state.versions.get(field.id);
+    const kept = versions.slice(-Math.max(1, keepLatest));
+    state.versions.set(field.id, kept);
+    return { fieldId: field.id, purged: versions.length - kept.length, kept: kept.length };
+}
+
+const ACTIONS = {
+    duplicateCv,
+    archiveCv: setArchived(true),
+    unarchiveCv: setArchived(false),
+    deleteCv,
+    purgeFieldHistory,
+    reindexSearch: state => ({ indexed: state.cvs.size })
+};
+
+// ---- HTTP ----
+
+// Sends JSON with an ETag, answering 304 when the client already has this version.
+function sendJson(req, res, body, status = 200) {
+    if (req.method === 'GET') {
+        const etag = `"${createHash('sha1').update(JSON.stringify(body)).digest('hex').slice(0, 20)}"`;
+        res.set('ETag', etag);
+        if (req.headers['if-none-match'] === etag) {
+            return res.status(304).end();
+        }
+    }
+    res.status(status).json(body);
+}
+
+function createApp(state) {
+    const app = express();
+    const secret = randomBytes(16).toString('hex');
+    const sign = (key, expires) => createHmac('sha256', secret).update(`${key}:${expires}`).digest('hex');
+
+    app.use(express.json({ limit: MAX_BODY_SIZE }));
+
+    // Wraps a handler that returns the response body, turning HttpErrors into JSON error responses.
+    const route = (handler, status = 200) => (req, res) => {
+        try {
+            const body = handler(req, res);
+            if (body === undefined) {
+                res.status(204).end();
+            } else {
+                sendJson(req, res, body, status);
+            }
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                log.error('Mock backend handler failed', { error });
+            }
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    };
+    const withUser = (handler, status) => route((req, res) => handler(req, authenticate(state, req), res), status);
+
+    app.post('/api/auth/login', route(req => {
+        const { email, password } = req.body || {};
+        const user = [...state.users.values()].find(candidate => candidate.email === email && candidate.password === password);
+        if (!user) {
+            throw new HttpError(401, 'Invalid email or password');
+        }
+        const accessToken = `mock-${randomBytes(16).toString('hex')}`;
+        state.tokens.set(accessToken, user.id);
+        return { accessToken, user: { id: user.id, email: user.email, name: user.name, roles: user.roles } };
+    }));
+
+    app.get('/api/auth/me', withUser((req, user) => ({ id: user.id, email: user.email, name: user.name, roles: user.roles })));
+
+    app.get('/api/cvs', withUser((req, user) => [...state.cvs.values()]
+        .filter(cv => cv.owner_id === user.id && !cv.archived)
+        .map(({ id, title, created_at, updated_at }) => ({ id, title, created_at, updated_at, field_count: cvFields(state, id).length }))));
+
+    app.post('/api/cvs', withUser((req, user) => {
+        const cv = { id: newId(state, 'cv'), owner_id: user.id, title: requireString(req.body?.title, 'title'), archived: false, created_at: now(), updated_at: now() };
+        state.cvs.set(cv.id, cv);
+        return cv;
+    }, 201));
+
+    app.get('/api/cvs/:cvId/fields', withUser((req, user) =>
+        cvFields(state, findCv(state, user, req.params.cvId).id).map(field => fieldRecord(state, field))));
+
+    app.post('/api/cvs/:cvId/fields', withUser((req, user) => {
+        const cv = findCv(state, user, req.params.cvId);
+        const { name, field_type: fieldType, data, display_order: displayOrder } = req.body || {};
+        requireFieldData(fieldType, data);
+        const field = {
+            id: newId(state, 'field'),
+            cv_id: cv.id,
+            name: requireString(name, 'name'),
+            field_type: fieldType,
+            display_order: Number.isInteger(displayOrder) ? displayOrder : cvFields(state, cv.id).length,
+            created_at: now()
+        };
+        state.fields.set(field.id, field);
+        state.versions.set(field.id, [{ id: `${field.id}-v1`, field_id: field.id, version_number: 1, name: field.name, data, created_at: field.created_at, is_current: true }]);
+        touch(cv);
+        return fieldRecord(state, field);
+    }, 201));
+
+    app.patch('/api/cvs/:cvId/fields/order', withUser((req, user) => {
+        const cv = findCv(state, user, req.params.cvId);
+        const order = req.body?.fields;
+        if (!Array.isArray(order)) {
+            throw new HttpError(422, 'fields must be a list of { id, display_order }');
+        }
+        for (const { id, display_order: displayOrder } of order) {
+            const field = state.fields.get(String(id));
+            if (!field || field.cv_id !== cv.id) {
+                throw new HttpError(422, `Field ${id} does not belong to CV ${cv.id}`);
+            }
+            field.display_order = displayOrder;
+        }
+        touch(cv);
+        return cvFields(state, cv.id).map(field => fieldRecord(state, field));
+    }));
+
+    app.get('/api/fields/:fieldId/versions', withUser((req, user) =>
+        state.versions.get(findField(state, user, req.params.fieldId).id).slice().reverse()));
+
+    // A new version becomes the current one; earlier versions are kept.
+    app.post('/api/fields/:fieldId/versions', withUser((req, user) => {
+        const field = findField(state, user, req.params.fieldId);
+        const { data, name, restored_from_version_id: restoredFrom } = req.body || {};
+        const versions = state.versions.get(field.id);
+        versions.forEach(version => { version.is_current = false; });
+        const previous = versions[versions.length - 1];
+        const version = {
+            id: `${field.id}-v${previous.version_number + 1}`,
+            field_id: field.id,
+            version_number: previous.version_number + 1,
+            name: name ?? previous.name,
+            data: requireFieldData(field.field_type, data),
+            created_at: now(),
+            is_current: true,
+            ...(restoredFrom !== undefined && { restored_from_version_id: restoredFrom })
+        };
+        versions.push(version);
+        touch(state.cvs.get(field.cv_id));
+        return version;
+    }, 201));
+
+    app.delete('/api/fields/:fieldId', withUser((req, user) => {
+        const field = findField(state, user, req.params.fieldId);
+        state.fields.delete(field.id);
+        state.versions.delete(field.id);
+        touch(state.cvs.get(field.cv_id));
+    }));
+
+    app.get('/api/media/secure-url', withUser((req, user) => {
+        const key = requireString(req.query.key, 'key');
+        const item = state.media.get(key);
+        if (!item || (item.owner_id !== user.id && !isAdmin(user))) {
+            throw new HttpError(404, `Media ${key} not found`);
+        }
+        const expires = Date.now() + MEDIA_URL_TTL_MS;
+        const url = new URL(`/media/${encodeURI(key)}`, `${req.protocol}://${req.headers.host}`);
+        url.searchParams.set('expires', String(expires));
+        url.searchParams.set('signature', sign(key, expires));
+        return { url: url.toString(), expires_at: new Date(expires).toISOString() };
+    }));
+
+    app.post('/api/media', withUser((req, user) => {
+        const { filename, content_type: contentType, data } = req.body || {};
+        const safeName = requireString(filename, 'filename').replace(/[^\w.-]+/g, '-');
+        const key = `uploads/${user.id}/${newId(state, 'file')}-${safeName}`;
+        const buffer = Buffer.from(requireString(data, 'data'), 'base64');
+        state.media.set(key, { owner_id: user.id, content_type: contentType || 'application/octet-stream', data: buffer });
+        return { key, content_type: contentType, size: buffer.length };
+    }, 201));
+
+    // The signed, time-limited download URLs handed out above; no credentials needed.
+    app.get('/media/*key', (req, res) => {
+        const key = req.params.key.join('/');
+        const expires = Number(req.query.expires);
+        if (!(expires > Date.now()) || req.query.signature !== sign(key, expires) || !state.media.has(key)) {
+            return res.status(403).json({ error: 'Link is invalid or has expired' });
+        }
+        const item = state.media.get(key);
+        res.type(item.content_type).send(item.data);
+    });
+
+    app.post('/api/search/cvs', withUser((req, user) =>
+        search(state, [...state.cvs.values()].filter(cv => cv.owner_id === user.id && !cv.archived), req.body || {}, { withOwner: false })));
+
+    app.post('/api/admin/search/cvs', withUser((req, user) => {
+        if (!isAdmin(user)) {
+            throw new HttpError(403, 'Administrators only');
+        }
+        return search(state, [...state.cvs.values()], req.body || {}, { withOwner: true });
+    }));
+
+    app.post('/action/:name', withUser((req, user) => {
+        const action = Object.hasOwn(ACTIONS, req.params.name) && ACTIONS[req.params.name];
+        if (!action) {
+            throw new HttpError(404, `Unknown action ${req.params.name}`);
+        }
+        if (!isAdmin(user)) {
+            throw new HttpError(403, 'Administrators only');
+        }
+        return action(state, user, req.body || {});
+    }));
+
+    app.use((req, res) => {
+        res.status(404).json({ error: `No mock for ${req.method} ${req.path}` });
+    });
+
+    return app;
+}
+
+/**
+ * Starts the mock backend on a free port of the loopback interface.
+ *
+ * @param {{ fixturesFile?: string }} [options]
+ * @returns {Promise<{ url: string, apiKey: string | undefined, close: () => Promise<void> }>} The
+ *          backend URL and the API key of the first fixture user.
+ * @throws {Error} When the fixture file cannot be read.
+ */
+export async function startMockBackend({ fixturesFile = DEFAULT_FIXTURES_FILE } = {}) {
+    let fixtures;
+    try {
+        fixtures = JSON.parse(fs.readFileSync(fixturesFile, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read mock backend fixtures ${fixturesFile}: ${error.message}`, { cause: error });
+    }
+    const state = loadState(fixtures);
+    const server = createApp(state).listen(0, '127.0.0.1');
+    await new Promise((resolve, reject) => {
+        server.once('listening', resolve);
+        server.once('error', reject);
+    });
+    // Do not keep the process alive on its own account.
+    server.unref();
+
+    const url = `http://127.0.0.1:${server.address().port}`;
+    log.info('Mock backend started', { url, fixturesFile, users: state.users.size, cvs: state.cvs.size });
+    return {
+        url,
+        apiKey: fixtures.users?.[0]?.apiKey,
+        close: () => new Promise(resolve => server.close(() => resolve()))
+    };
+}
+
+/**
+ * Starts the mock backend when asked to with `--mock-backend` or DROSTE_CV_MOCK_BACKEND, and points
+ * the configuration at it through DROSTE_CV_BACKEND_URL (and DROSTE_CV_API_KEY, unless set).
+ * Must run before the configuration is first loaded.
+ *
+ * @param {string[]} [argv] - Command-line arguments (defaults to process.argv).
+ * @param {object} [env] - Environment variables (defaults to process.env); updated in place.
+ * @returns {Promise<{ url: string } | null>} The mock backend, or null when it was not requested.
+ */
+export async function startMockBackendIfRequested(argv = process.argv, env = process.env) {
+    const requested = argv.includes('--mock-backend') || ['1', 'true'].includes(env.DROSTE_CV_MOCK_BACKEND);
+    if (!requested) {
+        return null;
+    }
+    const mock = await startMockBackend({ fixturesFile: env.DROSTE_CV_MOCK_FIXTURES || DEFAULT_FIXTURES_FILE });
+    env.DROSTE_CV_BACKEND_URL = mock.url;
+    if (!env.DROSTE_CV_API_KEY && mock.apiKey) {
+        env.DROSTE_CV_API_KEY = mock.apiKey;
+    }
+    return mock;
+}
@@ -0,0 +1,182 @@
+// utils/openApi.js
+// The OpenAPI document of the REST facade (utils/restApi.js), generated from the tool registry so
+// that it always matches the tools the server offers. Tool input and output schemas are JSON
+// Schema, which OpenAPI 3.1 uses as is. Served at /openapi.json by mcp_http_server.js.
+import { ANY_USER } from './authorization.js';
+import { SERVER_INFO } from './mcpServer.js';
+
+const ERROR_SCHEMA = {
+  type: "object",
+  properties: {
+    error: {
+      type: "object",
+      properties: {
+        type: {
+          type: "string",
+          description: "invalid_arguments, forbidden, not_found, auth, validation, rate_limited, backend_down, backend_error, invalid_output, timeout, invalid_request, too_large or tool_error."
+        },
+        message: { type: "string" },
+        hint: { type: "string", description: "What to do next." },
+        issues: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: { path: { type: "string" }, message: { type: "string" } },
+            required: ["path", "message"]
+          },
+          description: "Every invalid argument (invalid_arguments only)."
+        }
+      },
+      required: ["type", "message"]
+    }
+  },
+  required: ["error"]
+};
+
+// What tools without an outputSchema return: their MCP content blocks.
+const CONTENT_SCHEMA = {
+  type: "object",
+  properties: {
+    content: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { type: { type: "string" }, text: { type: "string" } },
+        required: ["type"]
+      }
+    }
+  },
+  required: ["content"]
+};
+
+const TOOL_LIST_SCHEMA = {
+  type: "object",
+  properties: {
+    tools: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          description: { type: "string" },
+          inputSchema: { type: "object" },
+          outputSchema: { type: "object" },
+          annotations: { type: "object" }
+        },
+        required: ["name", "inputSchema"]
+      }
+    }
+  },
+  required: ["tools"]
+};
+
+const ERROR_RESPONSES = {
+  400: "The body is not valid JSON, or the arguments do not match the tool's input schema.",
+  401: "Missing or invalid credentials.",
+  403: "The caller lacks a role or scope the tool requires, or the backend refused the request.",
+  404: "No such tool, or the backend could not find a referenced CV, field or file.",
+  413: "The request body is too large.",
+  422: "The tool or the backend could not process the arguments.",
+  429: "Rate limit or tool quota exceeded; see the Retry-After header.",
+  500: "The tool returned a result that does not match its output schema.",
+  502: "The CV backend is unavailable or failed.",
+  504: "The tool did not finish within its timeout."
+};
+
+function errorResponses(statuses) {
+    return Object.fromEntries(statuses.map(status => [status, { $ref: `#/components/responses/Error${status}` }]));
+}
+
+// The first sentence of a tool description, as the operation summary.
+function summarize(description = '') {
+    return /^.*?[.!?](?=\s|$)/.exec(description)?.[0] || description;
+}
+
+function securitySchemes(authStrategies) {
+    const schemes = {};
+    if (authStrategies.includes('apiKey')) {
+        schemes.apiKey = { type: "apiKey", in: "header", name: "X-API-Key", description: "A Droste CV API key." };
+    }
+    if (authStrategies.includes('apiKey') || authStrategies.includes('oauth')) {
+        schemes.bearer = {
+            type: "http",
+            scheme: "bearer",
+            // With oauth enabled, bearer tokens are only ever OAuth tokens (utils/auth.js).
+            description: authStrategies.includes('oauth') ? "An OAuth access token." : "A Droste CV API key."
+        };
+    }
+    return schemes;
+}
+
+function toOperation(tool) {
+    const { requiredRoles = ANY_USER, requiredScopes = [] } = tool;
+    const hasArguments = Object.keys(tool.inputSchema.properties || {}).length > 0;
+    return {
+        operationId: tool.name,
+        summary: summarize(tool.description),
+        description: tool.description,
+        ...(hasArguments
+            ? { requestBody: { required: (tool.inputSchema.required || []).length > 0, content: { "application/json": { schema: tool.inputSchema } } } }
+            : {}),
+        responses: {
+            200: {
+                description: tool.outputSchema ? "The tool's structured result." : "The tool's content blocks.",
+                content: { "application/json": { schema: tool.outputSchema || CONTENT_SCHEMA } }
+            },
+            ...errorResponses(Object.keys(ERROR_RESPONSES))
+        },
+        "x-required-roles": requiredRoles,
+        ...(requiredScopes.length > 0 && { "x-required-scopes": requiredScopes }),
+        // Lets GPT Actions ask the user before running tools that change data.
+        "x-openai-isConsequential": !tool.annotations?.readOnlyHint
+    };
+}
+
+/**
+ * Builds the OpenAPI 3.1 document of the REST facade: one POST operation per tool, taking the
+ * tool's arguments as the JSON body and answering with its structuredContent.
+ *
+ * @param {object[]} tools - The registry entries the facade serves.
+ * @param {object} options
+ * @param {string} options.serverUrl - The URL the facade is mounted at (the MCP endpoint).
+ * @param {string[]} options.authStrategies - The credentials the facade accepts, see utils/auth.js.
+ * @returns {object} The OpenAPI document.
+ */
+export function buildOpenApiDocument(tools, { serverUrl, authStrategies }) {
+    const schemes = securitySchemes(authStrategies);
+    const paths = {
+        "/tools": {
+            get: {
+                operationId: "listTools",
+                summary: "Lists the tools the caller may call.",
+                responses: {
+                    200: { description: "The tools, as MCP tool definitions.", content: { "application/json": { schema: TOOL_LIST_SCHEMA } } },
+                    ...errorResponses(['401', '429'])
+                }
+            }
+        }
+    };
+    for (const tool of tools) {
+        paths[`/tools/${tool.name}`] = { post: toOperation(tool) };
+    }
+
+    return {
+        openapi: "3.1.0",
+        info: {
+            title: "Droste CV tools",
+            version: SERVER_INFO.version,
+            description: `The tools of the ${SERVER_INFO.name} MCP server as plain HTTP endpoints. Each takes the tool's arguments as a JSON body and returns its structured result.`
+        },
+        servers: [{ url: serverUrl }],
+        paths,
+        components: {
+            schemas: { Error: ERROR_SCHEMA },
+            responses: Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([status, description]) => [
+                `Error${status}`,
+                { description, content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } }
+            ])),
+            securitySchemes: schemes
+        },
+        security: Object.keys(schemes).map(name => ({ [name]: [] }))
+    };
+}
@@ -0,0 +1,148 @@
+// utils/pdfDocument.js
+// Minimal PDF 1.4 writer for text documents, so exports can be rendered without a browser or
+// native dependencies. Uses the standard Helvetica fonts (no embedding) with WinAnsi encoding.
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 56;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+// Helvetica's average glyph width relative to the font size; good enough for line wrapping.
+const AVERAGE_GLYPH_WIDTH = 0.5;
+
+const STYLES = {
+    title: { font: 'F2', size: 20, spaceBefore: 0, spaceAfter: 10 },
+    heading: { font: 'F2', size: 13, spaceBefore: 16, spaceAfter: 6 },
+    subheading: { font: 'F2', size: 11, spaceBefore: 8, spaceAfter: 2 },
+    meta: { font: 'F3', size: 9, spaceBefore: 0, spaceAfter: 4 },
+    body: { font: 'F1', size: 10, spaceBefore: 0, spaceAfter: 6 },
+    bullet: { font: 'F1', size: 10, spaceBefore: 0, spaceAfter: 2, prefix: '• ' }
+};
+
+// Characters outside Latin-1 that WinAnsiEncoding can still represent.
+const WIN_ANSI = {
+    '•': 0x95, '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92,
+    '“': 0x93, '”': 0x94, '…': 0x85, '€': 0x80
+};
+
+function toWinAnsi(text) {
+    let encoded = '';
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (WIN_ANSI[char]) {
+            encoded += String.fromCharCode(WIN_ANSI[char]);
+        } else if (code < 256) {
+            encoded += char;
+        } else {
+            encoded += '?';
+        }
+    }
+    return encoded;
+}
+
+function escapePdfString(text) {
+    return text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+}
+
+function wrapLine(text, maxChars) {
+    const lines = [];
+    let current = '';
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        if (current && current.length + 1 + word.length > maxChars) {
+            lines.push(current);
+            current = '';
+        }
+        // Words longer than a whole line are hard-broken.
+        let rest = word;
+        while (rest.length > maxChars) {
+            if (current) {
+                lines.push(current);
+                current = '';
+            }
+            lines.push(rest.slice(0, maxChars));
+            rest = rest.slice(maxChars);
+        }
+        current = current ? `${current} ${rest}` : rest;
+    }
+    if (current) lines.push(current);
+    return lines;
+}
+
+function layoutPages(blocks) {
+    const pages = [[]];
+    let y = PAGE_HEIGHT - MARGIN;
+
+    for (const block of blocks) {
+        const style = STYLES[block.style] || STYLES.body;
+        const lineHeight = style.size * 1.3;
+        const prefix = style.prefix || '';
+        const maxChars = Math.floor(CONTENT_WIDTH / (style.size * AVERAGE_GLYPH_WIDTH)) - prefix.length;
+
+        y -= style.spaceBefore;
+        const paragraphs = String(block.text).split('\n');
+        paragraphs.forEach((paragraph, paragraphIndex) => {
+            wrapLine(paragraph, maxChars).forEach((line, lineIndex) => {
+                if (y - lineHeight < MARGIN) {
+                    pages.push([]);
+                    y = PAGE_HEIGHT - MARGIN;
+                }
+                y -= lineHeight;
+                const indent = paragraphIndex === 0 && lineIndex === 0 ? prefix : ' '.repeat(prefix.length);
+                pages[pages.length - 1].push({ font: style.font, size: style.size, y, text: indent + line });
+            });
+        });
+        y -= style.spaceAfter;
+    }
+
+    return pages;
+}
+
+/**
+ * Renders styled text blocks (see buildCvBlocks in utils/cvRenderers.js) to a PDF.
+ *
+ * @param {{ style: string, text: string }[]} blocks - Blocks to render, in order.
+ * @param {{ title?: string }} [options] - Document metadata.
+ * @returns {Buffer} The PDF file.
+ */
+export function renderPdf(blocks, { title = 'Document' } = {}) {
+    const pages = layoutPages(blocks);
+    const objects = [];
+    const addObject = (body) => {
+        objects.push(body);
+        return objects.length;
+    };
+
+    const catalogId = addObject(null); // filled in once the page tree exists
+    const pagesId = addObject(null);
+    const fontIds = {
+        F1: addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'),
+        F2: addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'),
+        F3: addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Oblique /Encoding /WinAnsiEncoding >>')
+    };
+    const fontResources = Object.entries(fontIds).map(([name, id]) => `/${name} ${id} 0 R`).join(' ');
+
+    const pageIds = pages.map(lines => {
+        const stream = lines
+            .map(line => `BT /${line.font} ${line.size} Tf ${MARGIN} ${line.y.toFixed(2)} Td (${escapePdfString(toWinAnsi(line.text))}) Tj ET`)
+            .join('\n');
+        const contentId = addObject(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+        return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    const infoId = addObject(`<< /Title (${escapePdfString(toWinAnsi(title))}) /Producer (droste-cv-mcp) >>`);
+
+    let pdf = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+    const offsets = [];
+    objects.forEach((body, index) => {
+        offsets.push(Buffer.byteLength(pdf, 'latin1'));
+        pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    });
+
+    const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+}
@@ -0,0 +1,42 @@
+// utils/progress.js
+// Progress notifications (MCP `notifications/progress`) for long-running tools. A client asks for
+// them by sending a progressToken in the request's _meta; handlers then report through
+// `context.reportProgress`.
+import { createLogger } from './logger.js';
+
+const log = createLogger('progress');
+
+/**
+ * Returns a function that reports a tool call's progress to the calling client, or null when the
+ * client did not ask for progress.
+ *
+ * @param {object} request - The tools/call request.
+ * @param {object} extra - The request handler's `extra` argument.
+ * @returns {((progress: number, total?: number, message?: string) => void) | null} Reports that
+ *          `progress` of `total` units of work (if known) are done. Progress that does not increase
+ *          is not sent.
+ */
+export function createProgressReporter(request, extra) {
+    const progressToken = request.params?._meta?.progressToken;
+    if (progressToken === undefined) {
+        return null;
+    }
+    let last = -Infinity;
+    return (progress, total, message) => {
+        if (progress <= last) {
+            return;
+        }
+        last = progress;
+        extra.sendNotification({
+            method: 'notifications/progress',
+            params: {
+                progressToken,
+                progress,
+                ...(total !== undefined && { total }),
+                ...(message && { message })
+            }
+        }).catch(error => {
+            log.warning('Failed to send progress notification', { error });
+        });
+    };
+}
@@ -0,0 +1,167 @@
+// utils/prompts.js
+// Parameterised prompts for common CV workflows, served through prompts/list and prompts/get.
+// Each prompt embeds the relevant CV fields as resources (cv://{cvId}/fields/{fieldId}) followed
+// by the instructions, so every client gets the same, consistent prompt.
+import { GetPromptRequestSchema, ListPromptsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { getCv } from './backendApi.js';
+import { groupFieldsIntoSections } from './cvRenderers.js';
+import { cvResourceUri, fieldResourceUri } from './resources.js';
+import { ANY_USER, SCOPES, assertAllowed, getCaller, isAllowed } from './authorization.js';
+
+// Every prompt embeds a CV, so prompts need what the read tools need (utils/authorization.js).
+const PROMPT_ACCESS = { requiredRoles: ANY_USER, requiredScopes: [SCOPES.read] };
+
+const CV_ID_ARGUMENT = { name: "cvId", description: "The CV ID (see getCvOverview).", required: true };
+const JOB_DESCRIPTION_ARGUMENT = { name: "jobDescription", description: "The full text of the job posting.", required: true };
+
+export const PROMPTS = [
+  {
+    name: "tailorCvToJob",
+    description: "Tailor a CV to a job description: what to emphasise, reword, add or drop.",
+    arguments: [CV_ID_ARGUMENT, JOB_DESCRIPTION_ARGUMENT],
+    fieldTypes: null, // all fields
+    buildInstructions: ({ cvId, jobDescription }) => `Tailor CV ${cvId} (its fields are attached above) to the job description below.
+
+1. List the requirements of the posting (skills, certifications, years of experience, domain).
+2. For each requirement, point to the CV field that supports it, or say that it is missing.
+3. Propose concrete rewording for the job and skill fields that best match, keeping every claim truthful to the CV.
+4. Suggest which fields to move up with reorderFields, and which are irrelevant for this application.
+
+Do not change anything yet. Once the user approves a change, apply it with updateField (a new version is created, so it can be undone with restoreFieldVersion).
+
+Job description:
+"""
+${jobDescription}
+"""`
+  },
+  {
+    name: "summariseCareerForRecruiter",
+    description: "Summarise a career in a short recruiter-facing profile.",
+    arguments: [
+      CV_ID_ARGUMENT,
+      { name: "targetRole", description: "The kind of role the summary is aimed at (optional).", required: false }
+    ],
+    fieldTypes: ["job", "education", "certification", "skill"],
+    buildInstructions: ({ cvId, targetRole }) => `Write a recruiter-facing career summary from CV ${cvId} (its fields are attached above)${targetRole ? ` for a ${targetRole} role` : ''}.
+
+- Start with a two-sentence headline: seniority, years of experience and core domain.
+- Follow with 3-5 bullet points of the strongest, most concrete achievements, citing company and dates.
+- End with the key skills and certifications as one comma-separated line.
+- Stay under 200 words and only use facts from the attached fields.`
+  },
+  {
+    name: "writeCoverLetter",
+    description: "Write a cover letter for a job, grounded in a CV.",
+    arguments: [
+      CV_ID_ARGUMENT,
+      JOB_DESCRIPTION_ARGUMENT,
+      { name: "company", description: "The hiring company, if not obvious from the posting (optional).", required: false },
+      { name: "tone", description: "Tone of the letter, e.g. 'formal' or 'warm' (optional).", required: false }
+    ],
+    fieldTypes: ["job", "skill", "certification", "education"],
+    buildInstructions: ({ cvId, jobDescription, company, tone }) => `Write a cover letter${company ? ` to ${company}` : ''} for the job description below, based on CV ${cvId} (its fields are attached above).
+
+- Keep it to about 300 words in a ${tone || 'professional'} tone.
+- Open with why this role, then connect two or three concrete experiences from the CV to the most important requirements.
+- Only mention experience, skills and certifications that appear in the attached fields.
+
+Job description:
+"""
+${jobDescription}
+"""`
+  },
+  {
+    name: "auditCv",
+    description: "Audit a CV for gaps, inconsistencies and weak entries.",
+    arguments: [CV_ID_ARGUMENT],
+    fieldTypes: null,
+    buildInstructions: ({ cvId }) => `Audit CV ${cvId} (its fields are attached above) and report:
+
+1. Gaps: periods of more than three months between jobs, and sections that are missing or empty.
+2. Inconsistencies: overlapping or impossible dates, end dates before start dates, current positions with an end date, expired certifications, skills claimed without any supporting job.
+3. Weak entries: job descriptions without measurable results, vague skills, missing dates or locations.
+
+Reference every finding by field name and field ID, and order them by severity. Suggest a fix for each; apply fixes with updateField only after the user agrees.`
+  }
+];
+
+function toPromptDefinition(prompt) {
+    return {
+        name: prompt.name,
+        description: prompt.description,
+        arguments: prompt.arguments
+    };
+}
+
+/**
+ * Builds the messages of a prompt: one embedded resource per relevant field, then the instructions.
+ *
+ * @param {object} prompt - An entry of PROMPTS.
+ * @param {Record<string, string>} args - The prompt arguments.
+ * @param {object} context - Per-call context (credentials) for the backend.
+ * @returns {Promise<object[]>} PromptMessage list.
+ */
+export async function buildPromptMessages(prompt, args, context) {
+    const cv = await getCv(args.cvId, context);
+    const fields = groupFieldsIntoSections(cv.fields)
+        .flatMap(section => section.fields)
+        .filter(field => !prompt.fieldTypes || prompt.fieldTypes.includes(field.field_type));
+
+    const { fields: _fields, ...cvMetadata } = cv;
+    const messages = [
+        {
+            role: "user",
+            content: {
+                type: "resource",
+                resource: { uri: cvResourceUri(cv.id), mimeType: "application/json", text: JSON.stringify(cvMetadata, null, 2) }
+            }
+        },
+        ...fields.map(field => ({
+            role: "user",
+            content: {
+                type: "resource",
+                resource: { uri: fieldResourceUri(cv.id, field.id), mimeType: "application/json", text: JSON.stringify(field, null, 2) }
+            }
+        }))
+    ];
+
+    messages.push({
+        role: "user",
+        content: { type: "text", text: prompt.buildInstructions(args) }
+    });
+    return messages;
+}
+
+/**
+ * Installs the prompts/list and prompts/get handlers. Requires the `prompts` capability.
+ *
+ * @param {import('@modelcontextprotocol/sdk/server/index.js').Server} server
+ * @param {object} options
+ * @param {(request: object, extra: object) => object} [options.getContext] - Builds the per-call context.
+ */
+export function registerPrompts(server, { getContext = () => ({}) }) {
+    const promptsByName = new Map(PROMPTS.map(prompt => [prompt.name, prompt]));
+
+    server.setRequestHandler(ListPromptsRequestSchema, async (request, extra) => ({
+        prompts: isAllowed(PROMPT_ACCESS, getCaller(getContext(request, extra))) ? PROMPTS.map(toPromptDefinition) : []
+    }));
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request, extra) => {
+        const { name, arguments: args = {} } = request.params;
+        const prompt = promptsByName.get(name);
+        if (!prompt) {
+            throw new Error(`Unknown prompt: ${name}`);
+        }
+        const context = getContext(request, extra);
+        assertAllowed({ ...PROMPT_ACCESS, name }, getCaller(context), 'Prompt');
+        const missing = prompt.arguments.filter(argument => argument.required && !args[argument.name]);
+        if (missing.length > 0) {
+            throw new Error(`Missing required arguments for ${name}: ${missing.map(argument => argument.name).join(', ')}`);
+        }
+
+        return {
+            description: prompt.description,
+            messages: await buildPromptMessages(prompt, args, context)
+        };
+    });
+}
@@ -0,0 +1,140 @@
+// utils/rateLimiter.js
+// Throttling for the HTTP server (mcp_http_server.js): request limits per IP address and per
+// credential, and per-tool quotas per credential, all from the `rateLimits` config group.
+// Limits are token buckets: each key may spend `limit` requests per `windowMs`, refilled gradually,
+// so a client that stays under the average rate is never blocked by a burst it made earlier.
+// Refused requests get 429 with Retry-After.
+import { createHash } from 'crypto';
+import { getConfig } from './config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('rate-limit');
+
+// Buckets are dropped once full again (an absent bucket is a full one); pruned when there are many.
+const PRUNE_THRESHOLD = 10000;
+
+/**
+ * Creates a token-bucket limiter. A limit of 0 allows everything.
+ *
+ * @param {{ limit: number, windowMs: number }} options
+ * @returns {{ take: (key: string, count?: number) => { allowed: boolean, retryAfterMs: number } }}
+ */
+export function createRateLimiter({ limit, windowMs }) {
+    const buckets = new Map();
+    const refillPerMs = limit / windowMs;
+
+    function level(bucket, now) {
+        return Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    }
+
+    function prune(now) {
+        for (const [key, bucket] of buckets) {
+            if (level(bucket, now) >= limit) {
+                buckets.delete(key);
+            }
+        }
+    }
+
+    function take(key, count = 1) {
+        if (limit === 0) {
+            return { allowed: true, retryAfterMs: 0 };
+        }
+        const now = Date.now();
+        const bucket = buckets.get(key) || { tokens: limit, updatedAt: now };
+        const tokens = level(bucket, now);
+
+        if (tokens < count) {
+            return { allowed: false, retryAfterMs: Math.ceil((Math.min(count, limit) - tokens) / refillPerMs) };
+        }
+        buckets.set(key, { tokens: tokens - count, updatedAt: now });
+        if (buckets.size > PRUNE_THRESHOLD) {
+            prune(now);
+        }
+        return { allowed: true, retryAfterMs: 0 };
+    }
+
+    return { take };
+}
+
+// The credential a request was authenticated with, hashed; unauthenticated requests count per IP.
+function callerKey(req) {
+    if (req.auth?.token) {
+        return `token:${createHash('sha256').update(req.auth.token).digest('hex').slice(0, 32)}`;
+    }
+    return `ip:${req.ip}`;
+}
+
+// How many calls of each tool a request makes: one for a REST call (/mcp/tools/:toolName, see
+// utils/restApi.js), else the tools/call messages in its JSON-RPC message or batch.
+function countToolCalls(req) {
+    if (req.params?.toolName) {
+        return new Map([[req.params.toolName, 1]]);
+    }
+    const counts = new Map();
+    for (const message of Array.isArray(req.body) ? req.body : [req.body]) {
+        if (message?.method === 'tools/call' && typeof message.params?.name === 'string') {
+            counts.set(message.params.name, (counts.get(message.params.name) || 0) + 1);
+        }
+    }
+    return counts;
+}
+
+function sendRateLimited(res, message, retryAfterMs) {
+    res.set('Retry-After', String(Math.max(1, Math.ceil(retryAfterMs / 1000))));
+    res.status(429).json({
+        jsonrpc: "2.0",
+        error: { code: -32000, message, data: { retryAfterMs } },
+        id: null
+    });
+}
+
+/**
+ * Express middleware limiting requests per IP address. Mount it before authentication so that
+ * failed authentication attempts count too.
+ *
+ * @returns {import('express').RequestHandler}
+ */
+export function createIpRateLimit() {
+    const { windowMs, perIp } = getConfig().rateLimits;
+    const limiter = createRateLimiter({ limit: perIp, windowMs });
+
+    return (req, res, next) => {
+        const { allowed, retryAfterMs } = limiter.take(`ip:${req.ip}`);
+        if (!allowed) {
+            log.warning('IP rate limit exceeded', { ip: req.ip, retryAfterMs });
+            return sendRateLimited(res, `Too many requests from this address; retry in ${Math.ceil(retryAfterMs / 1000)}s`, retryAfterMs);
+        }
+        next();
+    };
+}
+
+/**
+ * Express middleware limiting requests per credential and tool calls per credential and tool.
+ * Mount it after authentication, which sets req.auth.
+ *
+ * @returns {import('express').RequestHandler}
+ */
+export function createCallerRateLimit() {
+    const { windowMs, perToken, toolQuotas } = getConfig().rateLimits;
+    const limiter = createRateLimiter({ limit: perToken, windowMs });
+    const toolLimiters = new Map(Object.entries(toolQuotas)
+        .map(([tool, limit]) => [tool, createRateLimiter({ limit, windowMs })]));
+
+    return (req, res, next) => {
+        const key = callerKey(req);
+        const request = limiter.take(key);
+        if (!request.allowed) {
+            log.warning('Rate limit exceeded', { clientId: req.auth?.clientId, retryAfterMs: request.retryAfterMs });
+            return sendRateLimited(res, `Rate limit exceeded; retry in ${Math.ceil(request.retryAfterMs / 1000)}s`, request.retryAfterMs);
+        }
+
+        for (const [tool, count] of countToolCalls(req)) {
+            const quota = toolLimiters.get(tool)?.take(key, count);
+            if (quota && !quota.allowed) {
+                log.warning('Tool quota exceeded', { tool, clientId: req.auth?.clientId, retryAfterMs: quota.retryAfterMs });
+                return sendRateLimited(res, `Quota for ${tool} exceeded (${toolQuotas[tool]} calls per ${windowMs / 1000}s); retry in ${Math.ceil(quota.retryAfterMs / 1000)}s`, quota.retryAfterMs);
+            }
+        }
+        next();
+    };
+}
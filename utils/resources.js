@@ -0,0 +1,287 @@
+// utils/resources.js
+// Exposes CVs, fields and media as MCP resources:
+//   cv://{cvId}                    the CV with all of its fields
+//   cv://{cvId}/fields/{fieldId}   one field with its version history
+//   media://{key}                  a stored media file
+// Subscribers get notifications/resources/updated when a CV or field changes, either through this
+// server's tools (utils/cvEvents.js) or, for changes made elsewhere, by periodically re-reading
+// subscribed resources.
+import { createHash } from 'crypto';
+import {
+    ListResourcesRequestSchema,
+    ListResourceTemplatesRequestSchema,
+    ReadResourceRequestSchema,
+    SubscribeRequestSchema,
+    UnsubscribeRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
+import { cvList, fieldList, getCv, getCvOverview, getCvFields, getFieldVersions } from './backendApi.js';
+import { cvEvents } from './cvEvents.js';
+import { downloadMedia } from './media.js';
+import { EXPORT_FORMATS, HTML_TEMPLATES, renderCv } from './cvRenderers.js';
+import { ANY_USER, SCOPES, assertAllowed, getCaller } from './authorization.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('resources');
+
+const POLL_INTERVAL_MS = Number(process.env.RESOURCE_POLL_INTERVAL_MS ?? 60000);
+const MAX_MEDIA_RESOURCE_SIZE = 10 * 1024 * 1024;
+
+// Resources expose what the read tools return, so they need the same roles and scopes (utils/authorization.js).
+const RESOURCE_ACCESS = { requiredRoles: ANY_USER, requiredScopes: [SCOPES.read] };
+
+function assertMayRead(name, context) {
+    assertAllowed({ ...RESOURCE_ACCESS, name }, getCaller(context), 'Resource');
+}
+
+export const RESOURCE_TEMPLATES = [
+    {
+        uriTemplate: 'cv://{cvId}',
+        name: 'CV',
+        description: 'A CV with all of its fields.',
+        mimeType: 'application/json'
+    },
+    {
+        uriTemplate: 'cv://{cvId}/fields/{fieldId}',
+        name: 'CV field',
+        description: 'A single CV field with its version history.',
+        mimeType: 'application/json'
+    },
+    {
+        uriTemplate: 'cv://{cvId}/export/{format}{?template}',
+        name: 'CV export',
+        description: `A CV rendered like exportCv does. format is one of: ${Object.keys(EXPORT_FORMATS).join(', ')}; template picks the look of html exports.`
+    },
+    {
+        uriTemplate: 'media://{key}',
+        name: 'Media file',
+        description: "A stored media file, such as a profile photo or a certificate scan. The key is the media key from field details."
+    }
+];
+
+/**
+ * Parses a resource URI served by this module.
+ *
+ * @param {string} uri
+ * @returns {{ type: 'cv', cvId: string } | { type: 'field', cvId: string, fieldId: string } |
+ *           { type: 'export', cvId: string, format: string, template?: string } | { type: 'media', key: string }}
+ */
+export function parseResourceUri(uri) {
+    let match;
+    if ((match = uri.match(/^cv:\/\/([^/]+)$/))) {
+        return { type: 'cv', cvId: decodeURIComponent(match[1]) };
+    }
+    if ((match = uri.match(/^cv:\/\/([^/]+)\/fields\/([^/]+)$/))) {
+        return { type: 'field', cvId: decodeURIComponent(match[1]), fieldId: decodeURIComponent(match[2]) };
+    }
+    if ((match = uri.match(/^cv:\/\/([^/]+)\/export\/([^/?]+)(?:\?template=([^&]+))?$/))) {
+        const format = decodeURIComponent(match[2]);
+        const template = match[3] && decodeURIComponent(match[3]);
+        if (EXPORT_FORMATS[format] && (!template || (format === 'html' && HTML_TEMPLATES[template]))) {
+            return { type: 'export', cvId: decodeURIComponent(match[1]), format, template };
+        }
+    }
+    if ((match = uri.match(/^media:\/\/(.+)$/))) {
+        return { type: 'media', key: decodeURIComponent(match[1]) };
+    }
+    throw new Error(`Unknown resource URI: ${uri}`);
+}
+
+export function cvResourceUri(cvId) {
+    return `cv://${encodeURIComponent(cvId)}`;
+}
+
+export function fieldResourceUri(cvId, fieldId) {
+    return `cv://${encodeURIComponent(cvId)}/fields/${encodeURIComponent(fieldId)}`;
+}
+
+export function exportResourceUri(cvId, format, template) {
+    const query = format === 'html' && template ? `?template=${encodeURIComponent(template)}` : '';
+    return `cv://${encodeURIComponent(cvId)}/export/${encodeURIComponent(format)}${query}`;
+}
+
+export function mediaResourceUri(key) {
+    return `media://${encodeURI(key)}`;
+}
+
+function jsonContents(uri, data) {
+    return [{ uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }];
+}
+
+async function readExport(uri, { cvId, format, template }, context) {
+    const rendered = renderCv(await getCv(cvId, context), format, { template, owner: context.currentUser });
+    const { mimeType } = EXPORT_FORMATS[format];
+    return [Buffer.isBuffer(rendered)
+        ? { uri, mimeType, blob: rendered.toString('base64') }
+        : { uri, mimeType, text: rendered }];
+}
+
+async function readMedia(uri, key, context) {
+    const { mimeType, data } = await downloadMedia(key, context, { maxBytes: MAX_MEDIA_RESOURCE_SIZE });
+    return [{ uri, mimeType, blob: data.toString('base64') }];
+}
+
+/**
+ * Reads a resource.
+ *
+ * @param {string} uri - A cv:// or media:// URI.
+ * @param {object} context - Per-call context (credentials) for the backend.
+ * @returns {Promise<object[]>} The `contents` of a resources/read result.
+ * @throws {AuthorizationError} When the caller may not read CVs.
+ */
+export async function readResource(uri, context) {
+    assertMayRead(uri, context);
+    const target = parseResourceUri(uri);
+
+    if (target.type === 'cv') {
+        return jsonContents(uri, await getCv(target.cvId, context));
+    }
+    if (target.type === 'field') {
+        const fieldData = await getCvFields(target.cvId, context);
+        const fields = fieldList(fieldData);
+        const field = fields.find(candidate => String(candidate.id) === target.fieldId);
+        if (!field) {
+            throw new Error(`Field ${target.fieldId} not found in CV ${target.cvId}`);
+        }
+        const versions = await getFieldVersions(target.fieldId, context);
+        return jsonContents(uri, { ...field, versions });
+    }
+    if (target.type === 'export') {
+        return await readExport(uri, target, context);
+    }
+    return await readMedia(uri, target.key, context);
+}
+
+function fingerprint(contents) {
+    return createHash('sha256').update(JSON.stringify(contents)).digest('hex');
+}
+
+/**
+ * Installs the resources/* handlers on an MCP server. Requires the `resources` capability
+ * with `subscribe` and `listChanged` (see utils/mcpServer.js).
+ *
+ * @param {import('@modelcontextprotocol/sdk/server/index.js').Server} server
+ * @param {object} options
+ * @param {(request: object, extra: object) => object} [options.getContext] - Builds the per-call context.
+ */
+export function registerResources(server, { getContext = () => ({}) }) {
+    // uri -> { context, fingerprint, fieldIds } for this session's subscriptions
+    const subscriptions = new Map();
+    let pollTimer = null;
+
+    const sendUpdated = (uri) => {
+        server.sendResourceUpdated({ uri }).catch(error => {
+            log.warning('Failed to send resource update', { uri, error });
+        });
+    };
+
+    const onCvChanged = ({ cvId, fieldId }) => {
+        for (const uri of subscriptions.keys()) {
+            const target = parseResourceUri(uri);
+            // Field changes also update the CV resource and exports that contain the field. A change
+            // announced with only a fieldId is matched against CVs whose last read included that field;
+            // exports do not list their fields, so polling picks those up.
+            const affected =
+                (['cv', 'export'].includes(target.type) && (target.cvId === cvId || (fieldId && subscriptions.get(uri).fieldIds?.has(fieldId)))) ||
+                (target.type === 'field' && (target.fieldId === fieldId || (!fieldId && target.cvId === cvId)));
+            if (affected) {
+                sendUpdated(uri);
+            }
+        }
+    };
+    const onCvListChanged = () => {
+        server.sendResourceListChanged().catch(error => {
+            log.warning('Failed to send resource list change', { error });
+        });
+    };
+
+    const remember = (uri, context, contents) => {
+        const fieldIds = parseResourceUri(uri).type === 'cv'
+            ? new Set(JSON.parse(contents[0].text).fields.map(field => String(field.id)))
+            : undefined;
+        subscriptions.set(uri, { context, fingerprint: fingerprint(contents), fieldIds });
+    };
+
+    // Picks up changes made outside this server (web app, other sessions).
+    const poll = async () => {
+        for (const [uri, subscription] of subscriptions) {
+            try {
+                const contents = await readResource(uri, subscription.context);
+                if (!subscriptions.has(uri)) continue;
+                const previous = subscription.fingerprint;
+                remember(uri, subscription.context, contents);
+                if (fingerprint(contents) !== previous) {
+                    sendUpdated(uri);
+                }
+            } catch (error) {
+                log.warning('Failed to poll subscribed resource', { uri, error });
+            }
+        }
+    };
+
+    const updatePolling = () => {
+        if (subscriptions.size > 0 && !pollTimer && POLL_INTERVAL_MS > 0) {
+            pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+            pollTimer.unref();
+        } else if (subscriptions.size === 0 && pollTimer) {
+            clearInterval(pollTimer);
+            pollTimer = null;
+        }
+    };
+
+    // Only sessions that actually connected listen for changes.
+    const previousOnInitialized = server.oninitialized;
+    server.oninitialized = () => {
+        cvEvents.on('cvChanged', onCvChanged);
+        cvEvents.on('cvListChanged', onCvListChanged);
+        previousOnInitialized?.();
+    };
+    const previousOnClose = server.onclose;
+    server.onclose = () => {
+        cvEvents.off('cvChanged', onCvChanged);
+        cvEvents.off('cvListChanged', onCvListChanged);
+        subscriptions.clear();
+        updatePolling();
+        previousOnClose?.();
+    };
+
+    server.setRequestHandler(ListResourcesRequestSchema, async (request, extra) => {
+        const context = getContext(request, extra);
+        assertMayRead('cv://', context);
+        const overview = await getCvOverview(context);
+        const cvs = cvList(overview);
+        return {
+            resources: cvs.map(cv => ({
+                uri: cvResourceUri(cv.id),
+                name: cv.title || `CV ${cv.id}`,
+                description: `CV '${cv.title || cv.id}' with all of its fields.`,
+                mimeType: 'application/json'
+            }))
+        };
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+        resourceTemplates: RESOURCE_TEMPLATES
+    }));
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => ({
+        contents: await readResource(request.params.uri, getContext(request, extra))
+    }));
+
+    server.setRequestHandler(SubscribeRequestSchema, async (request, extra) => {
+        const { uri } = request.params;
+        if (parseResourceUri(uri).type === 'media') {
+            throw new Error('Media resources do not change and cannot be subscribed to');
+        }
+        // Reading up front checks the caller may see the resource and records its current state.
+        const context = getContext(request, extra);
+        remember(uri, context, await readResource(uri, context));
+        updatePolling();
+        return {};
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+        subscriptions.delete(request.params.uri);
+        updatePolling();
+        return {};
+    });
+}
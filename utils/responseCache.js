@@ -0,0 +1,182 @@
+// utils/responseCache.js
+// In-memory cache for backend GET responses, used by backendRequest (utils/backendClient.js).
+// Entries are scoped to the credentials they were fetched with, so one user's data is never
+// served to another. Fresh entries are served directly; expired entries that carry an ETag are
+// revalidated with If-None-Match. Writes invalidate every entry they can affect, for all users.
+import { createHash } from 'crypto';
+import { getConfig } from './config.js';
+
+// Cacheable endpoints. `ttlSetting` names the TTL in the `cache` config group.
+const CACHED_ENDPOINTS = [
+    { name: 'cvs', pattern: /^\/api\/cvs$/, ttlSetting: 'cvsTtlMs' },
+    { name: 'fields', pattern: /^\/api\/cvs\/([^/?]+)\/fields$/, ttlSetting: 'fieldsTtlMs' },
+    { name: 'versions', pattern: /^\/api\/fields\/([^/?]+)\/versions$/, ttlSetting: 'versionsTtlMs' }
+];
+
+// POSTs that read or touch no CV data, so they invalidate nothing.
+const NON_MUTATING_WRITES = [/^\/api\/search\//, /^\/api\/admin\/search\//, /^\/api\/auth\//, /^\/api\/media$/];
+
+// key -> { endpoint, path, scope, body, etag, expiresAt }; Map order doubles as LRU order.
+const entries = new Map();
+
+const stats = {
+    hits: 0,
+    misses: 0,
+    revalidated: 0,
+    invalidated: 0,
+    evicted: 0,
+    byEndpoint: Object.fromEntries(CACHED_ENDPOINTS.map(endpoint => [endpoint.name, { hits: 0, misses: 0, revalidated: 0 }]))
+};
+
+function findEndpoint(path) {
+    return CACHED_ENDPOINTS.find(endpoint => endpoint.pattern.test(path));
+}
+
+function ttlFor(endpoint) {
+    return getConfig().cache[endpoint.ttlSetting];
+}
+
+/**
+ * The cache scope for a bearer token: a hash, so tokens are never kept as map keys.
+ * Requests without credentials are not cached.
+ */
+export function cacheScope(token) {
+    return token ? createHash('sha256').update(token).digest('hex').slice(0, 32) : null;
+}
+
+/**
+ * Looks up a GET request. Returns null for uncacheable requests, otherwise the cache key and
+ * the entry (if any) with whether it is still fresh.
+ *
+ * @param {string} path - Endpoint path.
+ * @param {string | null} scope - From cacheScope().
+ * @returns {{ key: string, entry?: object, fresh: boolean } | null}
+ */
+export function lookup(path, scope) {
+    const endpoint = findEndpoint(path);
+    if (!endpoint || !scope || ttlFor(endpoint) === 0) {
+        return null;
+    }
+    const key = `${scope}:${path}`;
+    const entry = entries.get(key);
+    const fresh = Boolean(entry) && entry.expiresAt > Date.now();
+
+    if (fresh) {
+        stats.hits++;
+        stats.byEndpoint[endpoint.name].hits++;
+        // Most recently used goes last.
+        entries.delete(key);
+        entries.set(key, entry);
+    } else {
+        stats.misses++;
+        stats.byEndpoint[endpoint.name].misses++;
+    }
+    return { key, entry, fresh };
+}
+
+/**
+ * Stores a successful GET response, unless the backend marked it `no-store`.
+ */
+export function store(key, path, body, headers) {
+    const endpoint = findEndpoint(path);
+    if (/no-store/i.test(headers.get('cache-control') || '')) {
+        return;
+    }
+    entries.delete(key);
+    entries.set(key, {
+        endpoint: endpoint.name,
+        path,
+        body,
+        etag: headers.get('etag') || undefined,
+        expiresAt: Date.now() + ttlFor(endpoint)
+    });
+
+    const { maxEntries } = getConfig().cache;
+    while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+        stats.evicted++;
+    }
+}
+
+/**
+ * Marks an expired entry fresh again after the backend answered 304 Not Modified.
+ */
+export function revalidated(key) {
+    const entry = entries.get(key);
+    entry.expiresAt = Date.now() + ttlFor(findEndpoint(entry.path));
+    stats.revalidated++;
+    stats.byEndpoint[entry.endpoint].revalidated++;
+    return entry;
+}
+
+function remove(predicate) {
+    for (const [key, entry] of entries) {
+        if (predicate(entry)) {
+            entries.delete(key);
+            stats.invalidated++;
+        }
+    }
+}
+
+// Whether a cached field list contains the given field.
+function listsField(entry, fieldId) {
+    const fields = Array.isArray(entry.body) ? entry.body : entry.body?.fields || [];
+    return fields.some(field => String(field.id) === String(fieldId));
+}
+
+/**
+ * Drops every cached response a successful write may have changed, for all users: other users
+ * (e.g. admins, or the same person with another token) may have the same CV cached.
+ *
+ * @param {string} method - HTTP method of the write.
+ * @param {string} path - Endpoint path of the write.
+ */
+export function invalidateAfterWrite(method, path) {
+    if (NON_MUTATING_WRITES.some(pattern => pattern.test(path))) {
+        return;
+    }
+
+    let match;
+    if (path === '/api/cvs') {
+        remove(entry => entry.endpoint === 'cvs');
+    } else if ((match = path.match(/^\/api\/cvs\/([^/?]+)/))) {
+        const cvFieldsPath = `/api/cvs/${match[1]}/fields`;
+        remove(entry => entry.endpoint === 'cvs' || entry.path === cvFieldsPath);
+    } else if ((match = path.match(/^\/api\/fields\/([^/?]+)/))) {
+        // The field's CV is not part of the path; find it through the cached field lists.
+        const fieldId = decodeURIComponent(match[1]);
+        remove(entry =>
+            entry.endpoint === 'cvs' ||
+            entry.path === `/api/fields/${match[1]}/versions` ||
+            (entry.endpoint === 'fields' && listsField(entry, fieldId))
+        );
+    } else {
+        // Backend actions and unknown writes may touch any CV.
+        remove(() => true);
+    }
+}
+
+/**
+ * Drops every cached response.
+ */
+export function clearCache() {
+    remove(() => true);
+}
+
+/**
+ * Hit/miss counters since startup, overall and per endpoint.
+ */
+export function getCacheStats() {
+    const lookups = stats.hits + stats.misses;
+    return {
+        entries: entries.size,
+        maxEntries: getConfig().cache.maxEntries,
+        hits: stats.hits,
+        misses: stats.misses,
+        hitRate: lookups > 0 ? Math.round(stats.hits / lookups * 1000) / 1000 : null,
+        revalidated: stats.revalidated,
+        invalidated: stats.invalidated,
+        evicted: stats.evicted,
+        byEndpoint: structuredClone(stats.byEndpoint)
+    };
+}
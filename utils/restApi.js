@@ -0,0 +1,103 @@
+// utils/restApi.js
+// Every tool as a plain HTTP endpoint, for clients that do not speak MCP (GPT Actions, scripts):
+// POST /mcp/tools/{toolName} with the arguments as the JSON body answers with the tool's
+// structuredContent, and GET /mcp/tools lists the tools the caller may call. Calls run through the
+// same checks, logging and auditing as MCP tool calls (executeToolCall in utils/tools.js). Every
+// request brings its own credentials, so tools that need an MCP session are left out. The OpenAPI
+// document describing these endpoints is generated by utils/openApi.js.
+import express from 'express';
+import { executeToolCall, findTypedError, getToolsForTransport, toToolDefinition } from './tools.js';
+import { getCaller, isAllowed } from './authorization.js';
+
+// HTTP status per error type (see findTypedError); other failures are reported by the tool itself.
+const STATUS_BY_ERROR_TYPE = {
+    invalid_arguments: 400,
+    forbidden: 403,
+    not_found: 404,
+    validation: 422,
+    rate_limited: 429,
+    invalid_output: 500,
+    backend_down: 502,
+    backend_error: 502,
+    timeout: 504
+};
+
+/**
+ * The registry entries the REST facade serves.
+ *
+ * @returns {object[]}
+ */
+export function getRestTools() {
+    return getToolsForTransport('http').filter(tool => !tool.requiresSession);
+}
+
+function sendError(res, status, error, details = {}) {
+    res.status(status).json({ error: { type: 'tool_error', message: error.message, ...details } });
+}
+
+function sendFailure(res, failure) {
+    const details = findTypedError(failure);
+    if (!details) {
+        return sendError(res, 422, failure);
+    }
+    // Backend auth errors keep their status: 401 for rejected credentials, 403 for refusals.
+    const status = details.type === 'auth' ? details.status || 401 : STATUS_BY_ERROR_TYPE[details.type] || 502;
+    if (details.retryAfterMs) {
+        res.set('Retry-After', String(Math.ceil(details.retryAfterMs / 1000)));
+    }
+    sendError(res, status, failure, details.toJSON());
+}
+
+/**
+ * Creates the router serving the REST facade; mount it at the MCP endpoint.
+ *
+ * @param {object} options
+ * @param {import('express').RequestHandler} options.authenticate - Authentication middleware that
+ *        rejects requests without credentials (utils/auth.js).
+ * @param {import('express').RequestHandler} options.rateLimit - Per-caller rate limit and tool quotas
+ *        (utils/rateLimiter.js).
+ * @param {(req: import('express').Request) => object} options.getContext - Builds the per-call context
+ *        handed to tool handlers from the authenticated request.
+ * @returns {import('express').Router}
+ */
+export function createRestRouter({ authenticate, rateLimit, getContext }) {
+    const tools = getRestTools();
+    const toolsByName = new Map(tools.map(tool => [tool.name, tool]));
+    const router = express.Router();
+
+    router.get('/tools', authenticate, rateLimit, (req, res) => {
+        const caller = getCaller(getContext(req));
+        res.json({ tools: tools.filter(tool => isAllowed(tool, caller)).map(toToolDefinition) });
+    });
+
+    router.post('/tools/:toolName', authenticate, rateLimit, async (req, res) => {
+        const { toolName } = req.params;
+        const tool = toolsByName.get(toolName);
+        if (!tool) {
+            return sendError(res, 404, new Error(`Unknown tool: ${toolName}`), { type: 'not_found' });
+        }
+
+        // A client that disconnects cancels its call.
+        const disconnected = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) {
+                disconnected.abort('client disconnected');
+            }
+        });
+
+        // There is no client to ask the user, so destructive backend actions are refused.
+        const { result, failure } = await executeToolCall(tool, toolName, req.body ?? {}, getContext(req), {
+            transport: 'http',
+            signal: disconnected.signal
+        });
+        if (disconnected.signal.aborted) {
+            return;
+        }
+        if (failure) {
+            return sendFailure(res, failure);
+        }
+        res.json(result.structuredContent ?? { content: result.content });
+    });
+
+    return router;
+}
@@ -0,0 +1,146 @@
+// utils/schemaValidation.js
+// JSON Schema validation for tool arguments, tool results (structuredContent) and field data.
+// Uses Ajv, the validator the MCP SDK client itself checks structuredContent with, so server and
+// client agree on what is valid. Every problem is reported, each with the path it applies to.
+import Ajv from 'ajv';
+
+const ajv = new Ajv({ allErrors: true, jsonPointers: true, format: 'full' });
+
+// Compiled validators, keyed by schema object. Registry schemas are module constants.
+const validators = new WeakMap();
+
+const FORMAT_MESSAGES = {
+    date: 'must be a date in YYYY-MM-DD format',
+    'date-time': 'must be an ISO 8601 date and time',
+    uri: 'must be a URL',
+    email: 'must be an email address'
+};
+
+/**
+ * A value that does not match its schema. `issues` lists every problem as { path, message }.
+ */
+export class SchemaValidationError extends Error {
+    constructor(message, { type = 'invalid_arguments', issues = [] } = {}) {
+        super(message);
+        this.name = 'SchemaValidationError';
+        this.type = type;
+        this.issues = issues;
+    }
+
+    toJSON() {
+        return { type: this.type, issues: this.issues };
+    }
+}
+
+function getValidator(schema) {
+    let validate = validators.get(schema);
+    if (!validate) {
+        validate = ajv.compile(schema);
+        validators.set(schema, validate);
+    }
+    return validate;
+}
+
+// '/dateRange/from' -> 'dateRange.from', '/fieldIds/2' -> 'fieldIds[2]'.
+function formatPath(pointer, rootName) {
+    const segments = pointer.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+    return segments.reduce((path, segment) => {
+        if (/^\d+$/.test(segment)) {
+            return `${path}[${segment}]`;
+        }
+        return path ? `${path}.${segment}` : segment;
+    }, rootName);
+}
+
+function describeError(error, rootName) {
+    const path = formatPath(error.dataPath, rootName);
+    const child = name => (path ? `${path}.${name}` : name);
+    const { params } = error;
+
+    switch (error.keyword) {
+        case 'required':
+            return { path: child(params.missingProperty), message: 'is required' };
+        case 'additionalProperties':
+            return { path: child(params.additionalProperty), message: 'is not an allowed property' };
+        case 'type':
+            return { path, message: `must be of type ${params.type.replace(/,/g, ' or ')}` };
+        case 'enum':
+            return { path, message: `must be one of: ${params.allowedValues.join(', ')}` };
+        case 'const':
+            return { path, message: `must be ${JSON.stringify(params.allowedValue)}` };
+        case 'format':
+            return { path, message: FORMAT_MESSAGES[params.format] || `must be a valid ${params.format}` };
+        case 'minLength':
+            return { path, message: params.limit === 1 ? 'must not be empty' : `must be at least ${params.limit} characters long` };
+        case 'pattern':
+            return { path, message: `must match the pattern ${params.pattern}` };
+        case 'maxLength':
+            return { path, message: `must be at most ${params.limit} characters long` };
+        case 'minimum':
+        case 'maximum':
+        case 'exclusiveMinimum':
+        case 'exclusiveMaximum':
+            return { path, message: `must be ${params.comparison} ${params.limit}` };
+        case 'minItems':
+            return { path, message: `must contain at least ${params.limit} item${params.limit === 1 ? '' : 's'}` };
+        case 'maxItems':
+            return { path, message: `must contain at most ${params.limit} items` };
+        case 'uniqueItems':
+            return { path, message: 'must not contain duplicates' };
+        case 'anyOf':
+        case 'oneOf':
+            return { path, message: 'does not match any of the allowed shapes' };
+        default:
+            return { path, message: error.message };
+    }
+}
+
+/**
+ * Validates a value against a JSON Schema.
+ *
+ * @param {object} schema - The JSON Schema (draft-07).
+ * @param {any} value - The value to check.
+ * @param {string} [rootName] - Prefix for reported paths, e.g. 'data' gives 'data.title'.
+ * @returns {{ path: string, message: string }[]} Every problem found; empty when the value is valid.
+ */
+export function validateAgainstSchema(schema, value, rootName = '') {
+    const validate = getValidator(schema);
+    if (validate(value)) {
+        return [];
+    }
+
+    const seen = new Set();
+    return validate.errors
+        // An `if`/`then` failure is already reported through the errors of its `then` branch.
+        .filter(error => error.keyword !== 'if')
+        .map(error => describeError(error, rootName))
+        .map(issue => ({ ...issue, path: issue.path || rootName || '(root)' }))
+        .filter(issue => {
+            const key = `${issue.path} ${issue.message}`;
+            return seen.has(key) ? false : seen.add(key);
+        });
+}
+
+/**
+ * Formats issues as one line: "cvId is required; type must be one of: job, skill".
+ *
+ * @param {{ path: string, message: string }[]} issues
+ * @returns {string}
+ */
+export function formatIssues(issues) {
+    return issues.map(issue => `${issue.path} ${issue.message}`).join('; ');
+}
+
+// Output schema of a record passed through from the backend (a CV, field or version): an object
+// with an ID; its other properties are up to the backend.
+export const BACKEND_RECORD_SCHEMA = {
+  type: "object",
+  properties: {
+    id: { type: ["string", "number"] }
+  },
+  required: ["id"]
+};
+
+// A CV, field or version ID in tool arguments. IDs end up in backend URL paths, so only letters,
+// digits, "-" and "_" are accepted.
+export const ID_PATTERN = "^[A-Za-z0-9_-]{1,128}$";
@@ -0,0 +1,333 @@
+// utils/searchIndex.js
+// Local full-text index of the caller's CV fields, used by searchCvs (utils/searchTools.js) when the
+// backend search is unavailable, or instead of it, depending on `search.localIndex` (utils/config.js).
+// There is one index per credential, built from getCvOverview and getCvFields and kept up to date
+// per CV: edits made through this server's tools (utils/cvEvents.js) mark their CV for re-reading,
+// and CVs changed elsewhere are re-read once they are older than `search.indexMaxAgeMs`.
+// Ranking is BM25. Query words the index does not contain match indexed words within a small edit
+// distance, at a lower weight, so typos still find something.
+import { cvList, fieldList, getCvFields, getCvOverview } from './backendApi.js';
+import { getApiKey } from './backendClient.js';
+import { cvEvents } from './cvEvents.js';
+import { getFieldData } from './fieldTypes.js';
+import { getConfig } from './config.js';
+import { cacheScope } from './responseCache.js';
+import { fieldText } from './searchQuery.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('search-index');
+
+// BM25 parameters: term frequency saturation and document length normalisation.
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:[+#]+|(?:\.[\p{L}\p{N}]+)+)?/gu;
+
+// scope -> index; Map order doubles as LRU order.
+const indexes = new Map();
+
+/**
+ * Splits text into lowercase index terms, keeping "c++", "c#" and "node.js" whole.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    return text.toLowerCase().match(TOKEN_PATTERN) || [];
+}
+
+// Edits allowed for a fuzzy match: none for short words, where one edit makes another word.
+function maxEditsFor(term) {
+    if (term.length <= 3) return 0;
+    return term.length <= 6 ? 1 : 2;
+}
+
+// Levenshtein distance, or Infinity once it exceeds `limit`.
+function editDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) {
+        return Infinity;
+    }
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMinimum = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            rowMinimum = Math.min(rowMinimum, current[j]);
+        }
+        if (rowMinimum > limit) {
+            return Infinity;
+        }
+        previous = current;
+    }
+    return previous[b.length] <= limit ? previous[b.length] : Infinity;
+}
+
+function createIndex() {
+    return {
+        docs: new Map(),        // `${cvId}/${fieldId}` -> { key, cvId, fieldId, fieldName, fieldType, data, length, termFrequencies }
+        postings: new Map(),    // term -> Set of doc keys
+        totalLength: 0,
+        cvs: new Map(),         // cvId -> { title, docKeys, refreshedAt, stale }
+        listRefreshedAt: 0,
+        listStale: true,
+        refreshing: null
+    };
+}
+
+function addDoc(index, doc) {
+    index.docs.set(doc.key, doc);
+    index.totalLength += doc.length;
+    for (const term of doc.termFrequencies.keys()) {
+        if (!index.postings.has(term)) {
+            index.postings.set(term, new Set());
+        }
+        index.postings.get(term).add(doc.key);
+    }
+}
+
+function removeDoc(index, key) {
+    const doc = index.docs.get(key);
+    index.docs.delete(key);
+    index.totalLength -= doc.length;
+    for (const term of doc.termFrequencies.keys()) {
+        const postings = index.postings.get(term);
+        postings.delete(key);
+        if (postings.size === 0) {
+            index.postings.delete(term);
+        }
+    }
+}
+
+function removeCv(index, cvId) {
+    for (const key of index.cvs.get(cvId)?.docKeys || []) {
+        removeDoc(index, key);
+    }
+    index.cvs.delete(cvId);
+}
+
+function toDoc(cvId, field) {
+    const data = getFieldData(field);
+    const terms = tokenize(fieldText({ fieldName: field.name, data }));
+    const termFrequencies = new Map();
+    for (const term of terms) {
+        termFrequencies.set(term, (termFrequencies.get(term) || 0) + 1);
+    }
+    return {
+        key: `${cvId}/${field.id}`,
+        cvId,
+        fieldId: String(field.id),
+        fieldName: field.name,
+        fieldType: field.field_type,
+        data,
+        length: terms.length,
+        termFrequencies
+    };
+}
+
+async function refreshCv(index, cvId, context) {
+    const fields = fieldList(await getCvFields(cvId, context));
+    const entry = index.cvs.get(cvId);
+    // The CV may have been removed from the overview while its fields were loading.
+    if (!entry) {
+        return;
+    }
+    for (const key of entry.docKeys) {
+        removeDoc(index, key);
+    }
+    const docs = fields.map(field => toDoc(cvId, field));
+    docs.forEach(doc => addDoc(index, doc));
+    Object.assign(entry, { docKeys: docs.map(doc => doc.key), refreshedAt: Date.now(), stale: false });
+}
+
+// Re-reads the CV list when it is stale, then every CV that is. A CV that cannot be read keeps
+// its previous contents; the returned count says how many could not be brought up to date.
+async function refreshIndex(index, context) {
+    const { indexMaxAgeMs } = getConfig().search;
+    const expired = refreshedAt => Date.now() - refreshedAt > indexMaxAgeMs;
+
+    if (index.listStale || expired(index.listRefreshedAt)) {
+        const cvs = cvList(await getCvOverview(context));
+        const ids = new Set(cvs.map(cv => String(cv.id)));
+        for (const cvId of index.cvs.keys()) {
+            if (!ids.has(cvId)) removeCv(index, cvId);
+        }
+        for (const cv of cvs) {
+            const entry = index.cvs.get(String(cv.id));
+            if (entry) {
+                entry.title = cv.title;
+            } else {
+                index.cvs.set(String(cv.id), { title: cv.title, docKeys: [], refreshedAt: 0, stale: true });
+            }
+        }
+        Object.assign(index, { listRefreshedAt: Date.now(), listStale: false });
+    }
+
+    const outdated = [...index.cvs].filter(([, entry]) => entry.stale || expired(entry.refreshedAt)).map(([cvId]) => cvId);
+    const outcomes = await Promise.allSettled(outdated.map(cvId => refreshCv(index, cvId, context)));
+    const failed = outcomes.filter(outcome => outcome.status === 'rejected');
+    if (failed.length > 0) {
+        log.warning('Could not refresh every CV in the search index', { failed: failed.length, error: failed[0].reason.message });
+    }
+    return failed.length;
+}
+
+function getIndex(context) {
+    const scope = cacheScope(getApiKey(context));
+    let index = indexes.get(scope);
+    if (index) {
+        indexes.delete(scope);
+    } else {
+        index = createIndex();
+    }
+    indexes.set(scope, index);
+    for (const oldest of indexes.keys()) {
+        if (indexes.size <= getConfig().search.maxIndexes) break;
+        indexes.delete(oldest);
+    }
+    return index;
+}
+
+// Concurrent calls share one refresh, so it does not stop when the call that started it is cancelled.
+// Once built, an index that cannot be refreshed is still searched.
+async function ensureFresh(index, context) {
+    index.refreshing ??= refreshIndex(index, { ...context, signal: undefined }).finally(() => {
+        index.refreshing = null;
+    });
+    try {
+        return { complete: (await index.refreshing) === 0 };
+    } catch (error) {
+        if (index.listRefreshedAt === 0) {
+            throw error;
+        }
+        log.warning('Could not refresh the search index; searching its previous contents', { error: error.message });
+        return { complete: false };
+    }
+}
+
+/**
+ * Brings the caller's index up to date, building it on first use.
+ *
+ * @param {object} context - The per-call context; its credentials are used to read the CVs.
+ * @returns {Promise<{ complete: boolean }>} `complete` is false when some CVs could not be re-read
+ *          and are searched as they were last indexed.
+ * @throws {BackendError} When the CV list cannot be read and the index has never been built.
+ */
+export async function refreshLocalIndex(context) {
+    return await ensureFresh(getIndex(context), context);
+}
+
+// The indexed terms a query word stands for, each with its weight: the word itself, the words it
+// is a prefix of (for "word*"), or else the words within its edit distance.
+function expandWord(index, word, prefix) {
+    if (prefix) {
+        return [...index.postings.keys()].filter(term => term.startsWith(word)).map(term => ({ term, weight: 1 }));
+    }
+    if (index.postings.has(word)) {
+        return [{ term: word, weight: 1 }];
+    }
+    const limit = maxEditsFor(word);
+    if (limit === 0) {
+        return [];
+    }
+    return [...index.postings.keys()]
+        .map(term => ({ term, distance: editDistance(word, term, limit) }))
+        .filter(({ distance }) => distance !== Infinity)
+        .map(({ term, distance }) => ({ term, weight: 1 / (1 + distance) }));
+}
+
+function matchesFilters(doc, { type, dateRange }) {
+    if (type && type !== 'all' && doc.fieldType !== type) {
+        return false;
+    }
+    if (!dateRange) {
+        return true;
+    }
+    const { start_date: startDate, end_date: endDate, issue_date: issueDate } = doc.data;
+    const start = startDate ?? issueDate;
+    if (!start) {
+        return false;
+    }
+    // Jobs without an end date are ongoing.
+    const end = endDate ?? (doc.fieldType === 'job' ? new Date().toISOString().slice(0, 10) : start);
+    return (!dateRange.from || end >= dateRange.from) && (!dateRange.to || start <= dateRange.to);
+}
+
+/**
+ * Searches the caller's local index, refreshing it first.
+ *
+ * @param {ReturnType<import('./searchQuery.js').parseSearchQuery>} query - The parsed query; each
+ *        word of its terms and phrases adds to a field's score.
+ * @param {{ type?: string, dateRange?: { from?: string, to?: string } }} filters
+ * @param {object} context - The per-call context.
+ * @returns {Promise<{ cvs: object[], complete: boolean }>} Matches grouped by CV in the shape of the
+ *          backend search response, scores scaled so the best match is 1. `complete` is false when
+ *          the index may be out of date.
+ */
+export async function searchLocalIndex(query, filters, context) {
+    const index = getIndex(context);
+    const { complete } = await ensureFresh(index, context);
+    const averageLength = index.totalLength / Math.max(1, index.docs.size);
+
+    const words = query.terms.flatMap(term => {
+        const prefix = term.type === 'term' && term.value.endsWith('*');
+        return tokenize(term.value).map(word => ({ word, prefix }));
+    });
+
+    const scores = new Map();
+    for (const { word, prefix } of words) {
+        // A query word counts once per field, through its best-scoring expansion.
+        const best = new Map();
+        for (const { term, weight } of expandWord(index, word, prefix)) {
+            const postings = index.postings.get(term);
+            const idf = Math.log(1 + (index.docs.size - postings.size + 0.5) / (postings.size + 0.5));
+            for (const key of postings) {
+                const doc = index.docs.get(key);
+                const frequency = doc.termFrequencies.get(term);
+                const score = weight * idf * frequency * (BM25_K1 + 1) /
+                    (frequency + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / averageLength));
+                best.set(key, Math.max(best.get(key) || 0, score));
+            }
+        }
+        for (const [key, score] of best) {
+            scores.set(key, (scores.get(key) || 0) + score);
+        }
+    }
+
+    const ranked = [...scores]
+        .map(([key, score]) => ({ doc: index.docs.get(key), score }))
+        .filter(({ doc }) => matchesFilters(doc, filters))
+        .sort((a, b) => b.score - a.score);
+    const topScore = ranked[0]?.score || 1;
+
+    const cvs = new Map();
+    for (const { doc, score } of ranked) {
+        if (!cvs.has(doc.cvId)) {
+            cvs.set(doc.cvId, { cvId: doc.cvId, cvTitle: index.cvs.get(doc.cvId)?.title ?? null, matches: [] });
+        }
+        cvs.get(doc.cvId).matches.push({
+            fieldId: doc.fieldId,
+            fieldName: doc.fieldName,
+            fieldType: doc.fieldType,
+            relevanceScore: score / topScore,
+            data: doc.data
+        });
+    }
+    return { cvs: [...cvs.values()], complete };
+}
+
+// Edits through this server's tools mark the CV for re-reading in every index that has it.
+cvEvents.on('cvChanged', ({ cvId, fieldId }) => {
+    for (const index of indexes.values()) {
+        const owner = cvId ?? [...index.docs.values()].find(doc => doc.fieldId === fieldId)?.cvId;
+        const entry = owner && index.cvs.get(owner);
+        if (entry) {
+            entry.stale = true;
+        }
+    }
+});
+
+cvEvents.on('cvListChanged', () => {
+    for (const index of indexes.values()) {
+        index.listStale = true;
+    }
+});
@@ -0,0 +1,345 @@
+// utils/searchQuery.js
+// Query syntax and result shaping for the search tools (utils/searchTools.js). The backend does the
+// full-text search; this module parses boolean and phrase queries, then filters, sorts, pages,
+// counts and highlights the matches the backend returned. No backend calls.
+//
+// Query syntax: words, "exact phrases", AND (implied between terms), OR, NOT or -term, parentheses
+// and prefix* wildcards. Operators must be upper case, so "research and development" is three words.
+import { SchemaValidationError } from './schemaValidation.js';
+
+export const SEARCH_SORTS = ['relevance', 'date_desc', 'date_asc'];
+
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+const TOKEN_PATTERN = /"([^"]*)"?|[()]|-(?=[^\s-])|[^\s()"]+/g;
+const WORD_CHAR = '[\\p{L}\\p{N}+#]';
+
+// Snippets longer than this are cut to a window around the first hit.
+const MAX_SNIPPET_LENGTH = 160;
+const SNIPPET_CONTEXT = 60;
+const MAX_HIGHLIGHTS_PER_MATCH = 3;
+export const HIGHLIGHT_MARK = '**';
+
+// Sorts ongoing jobs (no end_date) before everything that has ended.
+const ONGOING = '9999-12-31';
+
+function queryError(message) {
+    return new SchemaValidationError(`Invalid search query: query ${message}`, {
+        issues: [{ path: 'query', message }]
+    });
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function tokenize(query) {
+    const tokens = [];
+    for (const [text, phrase] of query.matchAll(TOKEN_PATTERN)) {
+        if (phrase !== undefined) {
+            if (phrase.trim()) tokens.push({ kind: 'phrase', value: phrase.trim() });
+        } else if (text === '(' || text === ')' || text === '-' || OPERATORS.has(text)) {
+            tokens.push({ kind: text });
+        } else if (/[\p{L}\p{N}]/u.test(text)) {
+            tokens.push({ kind: 'term', value: text });
+        }
+    }
+    return tokens;
+}
+
+// Recursive descent: or := and ('OR' and)*; and := unary ('AND'? unary)*;
+// unary := ('NOT' | '-') unary | primary; primary := '(' or ')' | term | phrase.
+function parseTokens(tokens) {
+    let position = 0;
+    const peek = () => tokens[position]?.kind;
+
+    function parseOr() {
+        const children = [parseAnd()];
+        while (peek() === 'OR') {
+            position++;
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    function parseAnd() {
+        const children = [parseUnary()];
+        while (peek() !== undefined && peek() !== 'OR' && peek() !== ')') {
+            if (peek() === 'AND') position++;
+            children.push(parseUnary());
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    function parseUnary() {
+        if (peek() === 'NOT' || peek() === '-') {
+            position++;
+            return { type: 'not', child: parseUnary() };
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = tokens[position++];
+        if (!token) {
+            throw queryError('ends where a search term was expected');
+        }
+        if (token.kind === '(') {
+            const node = parseOr();
+            if (peek() !== ')') {
+                throw queryError("has an unclosed '('");
+            }
+            position++;
+            return node;
+        }
+        if (token.kind === 'term' || token.kind === 'phrase') {
+            return { type: token.kind, value: token.value, pattern: termPattern(token) };
+        }
+        throw queryError(`has '${token.kind}' where a search term was expected`);
+    }
+
+    const root = parseOr();
+    if (position < tokens.length) {
+        throw queryError("has an unmatched ')'");
+    }
+    return root;
+}
+
+// Case-insensitive, on word boundaries; "cert*" matches any word starting with "cert", and the words
+// of a phrase may be separated by any punctuation or whitespace.
+function termPattern({ kind, value }) {
+    let source;
+    if (kind === 'phrase') {
+        source = value.split(/\s+/).map(escapeRegExp).join('[^\\p{L}\\p{N}]+');
+    } else if (value.length > 1 && value.endsWith('*')) {
+        source = `${escapeRegExp(value.slice(0, -1))}${WORD_CHAR}*`;
+    } else {
+        source = escapeRegExp(value);
+    }
+    return new RegExp(`(?<!${WORD_CHAR})${source}(?!${WORD_CHAR})`, 'giu');
+}
+
+// The term and phrase nodes that must be present (i.e. not under a NOT).
+function positiveTerms(node) {
+    switch (node.type) {
+        case 'term':
+        case 'phrase':
+            return [node];
+        case 'not':
+            return [];
+        default:
+            return node.children.flatMap(positiveTerms);
+    }
+}
+
+function evaluate(node, text) {
+    switch (node.type) {
+        case 'term':
+        case 'phrase':
+            return text.search(node.pattern) !== -1;
+        case 'not':
+            return !evaluate(node.child, text);
+        case 'and':
+            return node.children.every(child => evaluate(child, text));
+        default:
+            return node.children.some(child => evaluate(child, text));
+    }
+}
+
+/**
+ * Parses a search query.
+ *
+ * @param {string} query - The query as the user wrote it.
+ * @returns {{ root: object, terms: object[], plain: boolean, backendQuery: string }} `plain` is true
+ *          for a query of bare words, which the backend's relevance search handles on its own.
+ *          `backendQuery` is what to send to the backend: the query itself when plain, otherwise
+ *          the words it must contain.
+ * @throws {SchemaValidationError} When the query is empty, malformed or only excludes terms.
+ */
+export function parseSearchQuery(query) {
+    const tokens = tokenize(query);
+    if (tokens.length === 0) {
+        throw queryError('must contain a search term');
+    }
+    const root = parseTokens(tokens);
+    const terms = positiveTerms(root);
+    if (terms.length === 0) {
+        throw queryError('must contain a term that is not excluded with NOT');
+    }
+    const plain = tokens.every(token => token.kind === 'term' && !token.value.endsWith('*'));
+    return {
+        root,
+        terms,
+        plain,
+        backendQuery: plain ? query.trim() : terms.map(term => term.value.replace(/\*$/, '')).join(' ')
+    };
+}
+
+// Every string and number in a field's data, with its path: 'description', 'skills[1]', 'address.city'.
+function textLeaves(value, path = '') {
+    if (typeof value === 'string' || typeof value === 'number') {
+        return [{ path, text: String(value) }];
+    }
+    if (Array.isArray(value)) {
+        return value.flatMap((item, index) => textLeaves(item, `${path}[${index}]`));
+    }
+    if (value && typeof value === 'object') {
+        return Object.entries(value).flatMap(([key, item]) => textLeaves(item, path ? `${path}.${key}` : key));
+    }
+    return [];
+}
+
+/**
+ * What a query is evaluated against: a field's name and every value in its data, one per line.
+ *
+ * @param {{ fieldName?: string, data?: object }} match - A search match or field.
+ * @returns {string}
+ */
+export function fieldText(match) {
+    return [match.fieldName, ...textLeaves(match.data).map(leaf => leaf.text)].filter(Boolean).join('\n');
+}
+
+function hitRanges(text, terms) {
+    const ranges = terms
+        .flatMap(term => [...text.matchAll(term.pattern)].filter(hit => hit[0]).map(hit => [hit.index, hit.index + hit[0].length]))
+        .sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const range of ranges) {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push(range);
+        }
+    }
+    return merged;
+}
+
+// The text with its hits marked, cut to a window around the first hit when long; null without hits.
+function highlightText(text, terms) {
+    const ranges = hitRanges(text, terms);
+    if (ranges.length === 0) {
+        return null;
+    }
+
+    let start = 0;
+    let end = text.length;
+    if (text.length > MAX_SNIPPET_LENGTH) {
+        start = Math.max(0, ranges[0][0] - SNIPPET_CONTEXT);
+        end = Math.min(text.length, Math.max(start + MAX_SNIPPET_LENGTH, ranges[0][1]));
+    }
+
+    let snippet = start > 0 ? '…' : '';
+    let cursor = start;
+    for (const [hitStart, hitEnd] of ranges) {
+        const from = Math.max(hitStart, cursor);
+        const to = Math.min(hitEnd, end);
+        if (from >= to) continue;
+        snippet += `${text.slice(cursor, from)}${HIGHLIGHT_MARK}${text.slice(from, to)}${HIGHLIGHT_MARK}`;
+        cursor = to;
+    }
+    return snippet + text.slice(cursor, end) + (end < text.length ? '…' : '');
+}
+
+/**
+ * Marks where a query's terms occur in a field's data.
+ *
+ * @param {object} data - The field data.
+ * @param {ReturnType<typeof parseSearchQuery>} query
+ * @returns {{ path: string, snippet: string }[]} Up to three snippets, hits wrapped in `**`.
+ */
+export function highlightMatches(data, query) {
+    return textLeaves(data)
+        .map(({ path, text }) => ({ path, snippet: highlightText(text, query.terms) }))
+        .filter(highlight => highlight.snippet !== null)
+        .slice(0, MAX_HIGHLIGHTS_PER_MATCH);
+}
+
+// The date a match is sorted by: when it ended, or was issued or started; ongoing jobs come first.
+function matchDate(match) {
+    const data = match.data ?? {};
+    if (data.end_date) return data.end_date;
+    if (data.start_date && match.fieldType === 'job') return ONGOING;
+    return data.issue_date ?? data.start_date ?? null;
+}
+
+function byRelevance(a, b) {
+    return (b.match.relevanceScore ?? -Infinity) - (a.match.relevanceScore ?? -Infinity);
+}
+
+// Matches without a date sort last in both directions.
+function byDate(direction) {
+    return (a, b) => {
+        if (a.date === b.date) return byRelevance(a, b);
+        if (a.date === null) return 1;
+        if (b.date === null) return -1;
+        return a.date < b.date ? -direction : direction;
+    };
+}
+
+const COMPARATORS = {
+    relevance: byRelevance,
+    date_desc: byDate(-1),
+    date_asc: byDate(1)
+};
+
+/**
+ * Filters backend search results by a query's boolean structure, sorts them, counts facets and
+ * returns one page of them grouped by CV. Plain queries are not filtered again: the backend matches
+ * them more loosely (stemming, synonyms) than the local term patterns would.
+ *
+ * @param {object[]} cvs - Backend results: { cvId, cvTitle, ownerId?, matches: [{ fieldName, fieldType, relevanceScore, data }] }.
+ * @param {ReturnType<typeof parseSearchQuery>} query
+ * @param {{ sort: string, offset: number, limit: number }} options
+ * @returns {{ totalResults: number, cvsWithMatches: number, facets: object, results: object[], hasMore: boolean }}
+ */
+export function refineSearchResults(cvs, query, { sort, offset, limit }) {
+    const entries = cvs
+        .flatMap(cv => (cv.matches || []).map(match => ({ cv, match })))
+        .filter(({ cv, match }) => query.plain || evaluate(query.root, fieldText(match)))
+        .map(entry => ({ ...entry, date: matchDate(entry.match) }));
+    // Array.prototype.sort is stable, so ties keep the backend's order.
+    entries.sort(COMPARATORS[sort]);
+
+    const fieldTypeCounts = {};
+    const cvCounts = new Map();
+    for (const { cv, match } of entries) {
+        fieldTypeCounts[match.fieldType] = (fieldTypeCounts[match.fieldType] || 0) + 1;
+        const facet = cvCounts.get(cv.cvId) || { cvId: cv.cvId, cvTitle: cv.cvTitle, count: 0 };
+        facet.count++;
+        cvCounts.set(cv.cvId, facet);
+    }
+
+    const results = new Map();
+    for (const { cv, match } of entries.slice(offset, offset + limit)) {
+        if (!results.has(cv.cvId)) {
+            results.set(cv.cvId, {
+                cvTitle: cv.cvTitle,
+                cvId: cv.cvId,
+                ...(cv.ownerId !== undefined && { ownerId: cv.ownerId }),
+                matchCount: cvCounts.get(cv.cvId).count,
+                matches: []
+            });
+        }
+        results.get(cv.cvId).matches.push({
+            ...(match.fieldId !== undefined && { fieldId: match.fieldId }),
+            fieldName: match.fieldName,
+            fieldType: match.fieldType,
+            relevanceScore: typeof match.relevanceScore === 'number'
+                ? Math.round(match.relevanceScore * 1000) / 1000
+                : undefined,
+            highlights: highlightMatches(match.data, query),
+            data: match.data
+        });
+    }
+
+    return {
+        totalResults: entries.length,
+        cvsWithMatches: cvCounts.size,
+        facets: {
+            fieldType: fieldTypeCounts,
+            cv: [...cvCounts.values()].sort((a, b) => b.count - a.count)
+        },
+        results: [...results.values()],
+        hasMore: offset + limit < entries.length
+    };
+}
@@ -0,0 +1,287 @@
+// utils/searchTools.js
+// The searchCvs and searchAllCvs tools. The backend finds the matches; filtering by boolean queries,
+// sorting, paging, facets and highlighting happen locally (utils/searchQuery.js). searchCvs can
+// search a local index of the caller's CVs instead (utils/searchIndex.js), see `search.localIndex`
+// in utils/config.js. Registered in APP_TOOLS (utils/tools.js).
+import { createHash } from 'crypto';
+import { searchCvs, searchAllCvs } from './backendApi.js';
+import { BackendUnavailableError, findBackendError } from './backendClient.js';
+import { getConfig } from './config.js';
+import { SchemaValidationError } from './schemaValidation.js';
+import { SEARCH_SORTS, parseSearchQuery, refineSearchResults } from './searchQuery.js';
+import { refreshLocalIndex, searchLocalIndex } from './searchIndex.js';
+import { ADMIN_ONLY, ANY_USER, SCOPES } from './authorization.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('search');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// A cursor is the offset of the next page plus a fingerprint of the search it belongs to, so that a
+// cursor from one search cannot silently page through another.
+function searchFingerprint({ query, type, dateRange, sort }) {
+    return createHash('sha256').update(JSON.stringify([query, type, dateRange, sort])).digest('hex').slice(0, 16);
+}
+
+function encodeCursor(offset, fingerprint) {
+    return Buffer.from(JSON.stringify({ offset, search: fingerprint })).toString('base64url');
+}
+
+function decodeCursor(cursor, fingerprint) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch {
+        decoded = null;
+    }
+    if (!Number.isInteger(decoded?.offset) || decoded.offset < 0) {
+        throw new SchemaValidationError('Invalid arguments: cursor is not a cursor returned by this tool', {
+            issues: [{ path: 'cursor', message: 'is not a cursor returned by this tool' }]
+        });
+    }
+    if (decoded.search !== fingerprint) {
+        throw new SchemaValidationError('Invalid arguments: cursor belongs to a different search; repeat the search without a cursor', {
+            issues: [{ path: 'cursor', message: 'belongs to a different search' }]
+        });
+    }
+    return decoded.offset;
+}
+
+// Matches from the backend search or the local index, per `search.localIndex`. In fallback mode the
+// backend gets a shorter timeout, and each successful search keeps the index warm for when it fails.
+async function findMatches(search, parsed, { type, dateRange }, context, { localIndex }) {
+    const { localIndex: mode, backendTimeoutMs } = getConfig().search;
+    if (!localIndex || mode === 'off') {
+        const data = await search(parsed.backendQuery, type, dateRange, context);
+        return { source: 'backend', cvs: data };
+    }
+    if (mode === 'always') {
+        return { source: 'localIndex', ...(await searchLocalIndex(parsed, { type, dateRange }, context)) };
+    }
+
+    let data;
+    try {
+        data = await search(parsed.backendQuery, type, dateRange, context, { timeoutMs: backendTimeoutMs });
+    } catch (error) {
+        if (!(findBackendError(error) instanceof BackendUnavailableError)) {
+            throw error;
+        }
+        log.warning('Backend search unavailable; searching the local index', { error: error.message });
+        try {
+            return { source: 'localIndex', ...(await searchLocalIndex(parsed, { type, dateRange }, context)) };
+        } catch (indexError) {
+            throw new Error(`${error.message}; the local index could not be built either (${indexError.message})`, { cause: error });
+        }
+    }
+    refreshLocalIndex(context).catch(error => {
+        log.warning('Failed to refresh the local search index', { error: error.message });
+    });
+    return { source: 'backend', cvs: data };
+}
+
+// Shared by searchCvs and searchAllCvs, which differ in the backend endpoint and in whether the
+// local index may stand in for it.
+async function runSearch(search, args, context, { localIndex = false } = {}) {
+    const { query, type, dateRange, sort = 'relevance', limit = DEFAULT_LIMIT, cursor } = args;
+    const parsed = parseSearchQuery(query);
+    const fingerprint = searchFingerprint({ query, type, dateRange, sort });
+    const offset = cursor ? decodeCursor(cursor, fingerprint) : 0;
+
+    try {
+        const { source, cvs, complete = true } = await findMatches(search, parsed, args, context, { localIndex });
+        const page = refineSearchResults(Array.isArray(cvs) ? cvs : [], parsed, { sort, offset, limit });
+        const notice = source === 'localIndex'
+            ? `Results come from the local search index${complete ? '' : ', which may be out of date'}.`
+            : undefined;
+
+        // Format results for better readability
+        let formattedResults;
+
+        if (page.totalResults > 0) {
+            formattedResults = {
+                searchQuery: query,
+                source,
+                ...(notice && { notice }),
+                sort,
+                totalResults: page.totalResults,
+                cvsWithMatches: page.cvsWithMatches,
+                returnedResults: page.results.reduce((sum, cv) => sum + cv.matches.length, 0),
+                ...(page.hasMore && { nextCursor: encodeCursor(offset + limit, fingerprint) }),
+                facets: page.facets,
+                results: page.results
+            };
+        } else {
+            formattedResults = {
+                searchQuery: query,
+                source,
+                ...(notice && { notice }),
+                totalResults: 0,
+                message: "No matches found for your search query."
+            };
+        }
+
+        return {
+            content: [{
+                type: "text",
+                text: JSON.stringify(formattedResults, null, 2)
+            }],
+            structuredContent: formattedResults
+        };
+    } catch (error) {
+        throw new Error(`Search failed: ${error.message}`, { cause: error });
+    }
+}
+
+async function handleSearchCvs(args, context) {
+    return await runSearch(searchCvs, args, context, { localIndex: true });
+}
+
+async function handleSearchAllCvs(args, context) {
+    return await runSearch(searchAllCvs, args, context);
+}
+
+const SEARCH_INPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    query: {
+      type: "string",
+      minLength: 1,
+      description: "Search query (e.g., 'AWS certifications', 'Mercedes', 'Python skills'). Supports \"exact phrases\", AND, OR, NOT or -term, parentheses and prefix* wildcards, e.g. '(Python OR Go) AND \"team lead\" -intern'."
+    },
+    type: {
+      type: "string",
+      enum: ["job", "skill", "certification", "education", "all"],
+      description: "Filter by field type (optional)"
+    },
+    dateRange: {
+      type: "object",
+      properties: {
+        from: { type: "string", format: "date" },
+        to: { type: "string", format: "date" }
+      },
+      additionalProperties: false,
+      description: "Filter by date range (optional)"
+    },
+    sort: {
+      type: "string",
+      enum: SEARCH_SORTS,
+      description: "Order of the matches: relevance (default), date_desc (most recent first, ongoing jobs on top) or date_asc."
+    },
+    limit: {
+      type: "integer",
+      minimum: 1,
+      maximum: MAX_LIMIT,
+      description: `Maximum number of matches to return (optional, defaults to ${DEFAULT_LIMIT}).`
+    },
+    cursor: {
+      type: "string",
+      description: "nextCursor from a previous call with the same query, type, dateRange and sort, to get the next page (optional)."
+    }
+  },
+  required: ["query"],
+  additionalProperties: false
+};
+
+const SEARCH_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    searchQuery: { type: "string" },
+    source: {
+      type: "string",
+      enum: ["backend", "localIndex"],
+      description: "Where the matches come from: the backend search or this server's local index of your CVs."
+    },
+    notice: { type: "string" },
+    sort: { type: "string", enum: SEARCH_SORTS },
+    totalResults: { type: "integer", minimum: 0, description: "Matches across all pages." },
+    cvsWithMatches: { type: "integer", minimum: 0 },
+    returnedResults: { type: "integer", minimum: 0, description: "Matches on this page." },
+    nextCursor: { type: "string", description: "Pass as cursor to get the next page; absent on the last page." },
+    message: { type: "string" },
+    facets: {
+      type: "object",
+      properties: {
+        fieldType: {
+          type: "object",
+          additionalProperties: { type: "integer", minimum: 0 },
+          description: "Number of matches per field type."
+        },
+        cv: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              cvId: { type: ["string", "number"] },
+              cvTitle: { type: ["string", "null"] },
+              count: { type: "integer", minimum: 0 }
+            },
+            required: ["cvId", "count"]
+          },
+          description: "Number of matches per CV, most first."
+        }
+      },
+      required: ["fieldType", "cv"]
+    },
+    results: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          cvTitle: { type: ["string", "null"] },
+          cvId: { type: ["string", "number"] },
+          ownerId: { type: ["string", "number"], description: "The CV's owner (searchAllCvs only)." },
+          matchCount: { type: "integer", minimum: 0, description: "Matches in this CV across all pages." },
+          matches: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                fieldId: { type: ["string", "number"] },
+                fieldName: { type: ["string", "null"] },
+                fieldType: { type: "string" },
+                relevanceScore: { type: "number" },
+                highlights: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      path: { type: "string", description: "Where in data the snippet comes from, e.g. 'description'." },
+                      snippet: { type: "string", description: "The matching text, hits wrapped in **." }
+                    },
+                    required: ["path", "snippet"]
+                  }
+                },
+                data: {}
+              }
+            }
+          }
+        },
+        required: ["cvId", "matchCount", "matches"]
+      }
+    }
+  },
+  required: ["searchQuery", "totalResults"]
+};
+
+export const SEARCH_TOOLS = [
+  {
+    name: "searchCvs",
+    description: "Search across all of your CVs for specific information like companies, skills, certifications, etc. Returns one page of matches with highlighted snippets and counts per field type and CV; use nextCursor for more.",
+    inputSchema: SEARCH_INPUT_SCHEMA,
+    outputSchema: SEARCH_OUTPUT_SCHEMA,
+    requiredRoles: ANY_USER,
+    requiredScopes: [SCOPES.read],
+    handler: handleSearchCvs
+  },
+  {
+    name: "searchAllCvs",
+    description: "Searches the CVs of every user (administrators only). Results include the ID of each CV's owner. Takes the same query syntax, sorting and paging as searchCvs.",
+    inputSchema: SEARCH_INPUT_SCHEMA,
+    outputSchema: SEARCH_OUTPUT_SCHEMA,
+    annotations: { readOnlyHint: true },
+    requiredRoles: ADMIN_ONLY,
+    requiredScopes: [SCOPES.admin],
+    handler: handleSearchAllCvs
+  }
+];
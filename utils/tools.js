@@ -0,0 +1,733 @@
+// utils/tools.js
+// Single tool registry shared by the stdio server (mcp_core.js) and the HTTP wrapper (mcp_http_server.js).
+// Each tool declares its name, schema, handler and metadata once; both transports build their
+// ListTools/CallTool handlers from this list via registerTools().
+import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import {
+    fieldList,
+    getCvFields,
+    getFieldVersions,
+    triggerBackendAction,
+    login
+} from './backendApi.js';
+import { findBackendError } from './backendClient.js';
+import { BACKEND_RECORD_SCHEMA, ID_PATTERN, SchemaValidationError, formatIssues, validateAgainstSchema } from './schemaValidation.js';
+import { getCacheStats } from './responseCache.js';
+import { BACKEND_ACTIONS, BACKEND_ACTION_NAMES, findBackendAction } from './backendActions.js';
+import { ADMIN_ONLY, ANY_USER, SCOPES, AuthorizationError, assertAllowed, getCaller, isAllowed } from './authorization.js';
+import { createElicitor } from './elicitation.js';
+import { createProgressReporter } from './progress.js';
+import { ToolCancelledError, ToolTimeoutError, createCallSignal, raceWithSignal } from './cancellation.js';
+import { getConfig } from './config.js';
+import { createLogger } from './logger.js';
+import { recordToolCall } from './auditLog.js';
+import { CV_EDITING_TOOLS } from './cvEditingTools.js';
+import { FIELD_VERSION_TOOLS } from './fieldVersionTools.js';
+import { EXPORT_TOOLS } from './exportTools.js';
+import { IMPORT_TOOLS } from './importTools.js';
+import { JOB_MATCH_TOOLS } from './jobMatchTools.js';
+import { MEDIA_TOOLS } from './mediaTools.js';
+import { SEARCH_TOOLS } from './searchTools.js';
+import { OVERVIEW_DEPTHS, loadCvOverview } from './cvOverview.js';
+
+export const TRANSPORTS = ['stdio', 'http'];
+
+const log = createLogger('tools');
+
+// Handler functions. Each receives the tool arguments and the per-call context built by the transport.
+async function handleLogin(args, context) {
+    const { email, password } = args;
+
+    try {
+        const data = await login(email, password);
+        const accessToken = data.accessToken || data.token;
+        if (!accessToken) {
+            throw new Error('Backend did not return an access token');
+        }
+        if (!context.session) {
+            throw new Error('This transport has no server-side session to log into');
+        }
+        // Stored server-side only; the auth middleware forwards it on later calls in this MCP session.
+        context.session.accessToken = accessToken;
+        context.session.user = data.user;
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `Logged in as ${email}.`
+                }
+            ],
+            structuredContent: { email, ...(data.user && { user: data.user }) }
+        };
+    } catch (error) {
+        throw new Error(`Failed to log in: ${error.message}`, { cause: error });
+    }
+}
+
+async function handleGetCvOverview(args, context) {
+    const { depth = 'fields', versionsPerField = 3 } = args;
+
+    try {
+        const { cvs, failures } = await loadCvOverview(context, { depth, versionsPerField, onProgress: context.reportProgress });
+        const overview = { depth, cvs, ...(failures > 0 && { failures }) };
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify(overview, null, 2)
+                }
+            ],
+            structuredContent: overview
+        };
+    } catch (error) {
+        throw new Error(`Failed to get CV overview: ${error.message}`, { cause: error });
+    }
+}
+
+async function handleGetCvFields(args, context) {
+    const { cvId } = args;
+
+    try {
+        const data = await getCvFields(cvId, context);
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify(data, null, 2)
+                }
+            ],
+            structuredContent: { cvId, fields: fieldList(data) }
+        };
+    } catch (error) {
+        throw new Error(`Failed to get CV fields: ${error.message}`, { cause: error });
+    }
+}
+
+async function handleGetFieldVersions(args, context) {
+    const { fieldId } = args;
+
+    try {
+        const data = await getFieldVersions(fieldId, context);
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify(data, null, 2)
+                }
+            ],
+            structuredContent: { fieldId, versions: Array.isArray(data) ? data : data.versions || [] }
+        };
+    } catch (error) {
+        throw new Error(`Failed to get field versions: ${error.message}`, { cause: error });
+    }
+}
+
+async function handleListBackendActions(args, context) {
+    const caller = getCaller(context);
+    const actions = BACKEND_ACTIONS
+        .filter(action => isAllowed(action, caller))
+        .map(({ name, description, payloadSchema, requiredRoles, requiredScopes, destructive }) => ({
+            name,
+            description,
+            destructive,
+            requiredRoles,
+            requiredScopes,
+            payloadSchema
+        }));
+    return {
+        content: [{
+            type: "text",
+            text: JSON.stringify({ actions }, null, 2)
+        }],
+        structuredContent: { actions }
+    };
+}
+
+// How long the backend may take to run an action. The tool's own timeout also covers waiting for
+// the user to confirm a destructive action.
+const BACKEND_ACTION_TIMEOUT_MS = 5 * 60 * 1000;
+
+const CONFIRMATION_SCHEMA = {
+  type: "object",
+  properties: {
+    confirm: { type: "boolean", title: "Run this action", description: "It cannot be undone." }
+  },
+  required: ["confirm"]
+};
+
+/**
+ * Asks the user to confirm a destructive action through elicitation. Nothing the model sends can
+ * stand in for the user's answer, so without elicitation (clients that lack it, the REST facade)
+ * destructive actions are refused.
+ *
+ * @returns {Promise<boolean>} Whether the user agreed.
+ * @throws {AuthorizationError} When the client cannot ask the user.
+ */
+async function confirmDestructiveAction(action, payload, context) {
+    if (!context.elicit) {
+        throw new AuthorizationError(`'${action.name}' is destructive and this client cannot ask the user to confirm it`, {
+            hint: 'Run it from an MCP client that supports elicitation.'
+        });
+    }
+    const answer = await context.elicit(
+        `Run '${action.name}'? ${action.description}\nPayload: ${JSON.stringify(payload)}`,
+        CONFIRMATION_SCHEMA
+    );
+    return answer.action === 'accept' && answer.content?.confirm === true;
+}
+
+async function handleTriggerBackendAction(args, context) {
+    const { actionName, payload = {} } = args;
+    const action = findBackendAction(actionName);
+
+    const issues = validateAgainstSchema(action.payloadSchema, payload, 'payload');
+    if (issues.length > 0) {
+        throw new SchemaValidationError(`Invalid payload for ${actionName}: ${formatIssues(issues)}`, { issues });
+    }
+
+    assertAllowed(action, getCaller(context), 'Action');
+
+    if (action.destructive && !(await confirmDestructiveAction(action, payload, context))) {
+        return {
+            content: [{
+                type: "text",
+                text: `Action '${actionName}' was not run: the user did not confirm it.`
+            }],
+            structuredContent: { actionName, status: "cancelled", result: null }
+        };
+    }
+
+    try {
+        context.reportProgress?.(0, 1, `Running ${actionName}`);
+        const data = await triggerBackendAction(actionName, payload, context, { timeoutMs: BACKEND_ACTION_TIMEOUT_MS });
+        context.reportProgress?.(1, 1, `${actionName} completed`);
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `Action '${actionName}' completed successfully:\n${JSON.stringify(data, null, 2)}`
+                }
+            ],
+            structuredContent: { actionName, status: "completed", result: data ?? null }
+        };
+    } catch (error) {
+        throw new Error(`Failed to trigger action: ${error.message}`, { cause: error });
+    }
+}
+
+async function handleGetCacheStats() {
+    const stats = getCacheStats();
+    return {
+        content: [{
+            type: "text",
+            text: JSON.stringify(stats, null, 2)
+        }],
+        structuredContent: stats
+    };
+}
+
+async function handleTestTool(args) {
+    const message = args.message || "Test successful!";
+    return {
+        content: [
+            {
+                type: "text",
+                text: message
+            }
+        ],
+        structuredContent: { message }
+    };
+}
+
+// The registry. `transports` lists where a tool is offered; it defaults to every transport.
+// `requiresSession` tools need an MCP session, so the REST facade (utils/restApi.js) leaves them out.
+// `timeoutMs` (optional) is how long a call may run, for tools that need more or less than `timeouts.toolMs`.
+// Handlers get `context.signal`, to pass on to anything slow that is not a backend request, and
+// `context.reportProgress` (null unless the client asked for progress).
+// `annotations` (optional) are MCP tool hints such as destructiveHint.
+// `requiredRoles` and `requiredScopes` decide who sees and may call a tool (utils/authorization.js).
+// Arguments are validated against `inputSchema` before the handler runs, so handlers only check
+// what a schema cannot express. A tool with an `outputSchema` must return matching `structuredContent`.
+export const APP_TOOLS = [
+  {
+    name: "loginToMcp",
+    description: "Logs the current session into the MCP server to enable access to protected tools.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        email: { type: "string", description: "User's email address." },
+        password: { type: "string", description: "User's password." }
+      },
+      required: ["email", "password"],
+      additionalProperties: false
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        email: { type: "string" },
+        user: { type: "object", description: "The backend user, when the backend returns it." }
+      },
+      required: ["email"]
+    },
+    requiredRoles: [],
+    requiredScopes: [],
+    handler: handleLogin,
+    transports: ["http"],
+    requiresSession: true
+  },
+  {
+    name: "getCvOverview",
+    description: "Fetches an overview of the user's CVs and their fields, in one call. A CV whose fields could not be fetched has error_fetching_fields instead of fields; the other CVs are still returned.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        depth: {
+          type: "string",
+          enum: OVERVIEW_DEPTHS,
+          description: "How much to fetch: 'cvs' (the CVs only), 'fields' (default, each CV with its fields) or 'versions' (also each field's latest versions)."
+        },
+        versionsPerField: {
+          type: "integer",
+          minimum: 1,
+          maximum: 20,
+          description: "With depth 'versions', how many of each field's latest versions to include (optional, defaults to 3)."
+        }
+      },
+      required: [],
+      additionalProperties: false
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        depth: { type: "string", enum: OVERVIEW_DEPTHS },
+        cvs: {
+          type: "array",
+          items: {
+            ...BACKEND_RECORD_SCHEMA,
+            properties: {
+              ...BACKEND_RECORD_SCHEMA.properties,
+              fields: {
+                type: "array",
+                items: {
+                  ...BACKEND_RECORD_SCHEMA,
+                  properties: {
+                    ...BACKEND_RECORD_SCHEMA.properties,
+                    versions: { type: "array", items: BACKEND_RECORD_SCHEMA, description: "Newest first (depth 'versions')." },
+                    error_fetching_versions: { type: "string", description: "Why the versions could not be fetched." }
+                  }
+                }
+              },
+              error_fetching_fields: { type: "string", description: "Why the fields could not be fetched." }
+            }
+          }
+        },
+        failures: { type: "integer", minimum: 1, description: "Number of CVs and fields whose details could not be fetched; absent when there were none." }
+      },
+      required: ["depth", "cvs"]
+    },
+    annotations: { readOnlyHint: true },
+    // One request per CV, and per field at depth 'versions'.
+    timeoutMs: 2 * 60 * 1000,
+    requiredRoles: ANY_USER,
+    requiredScopes: [SCOPES.read],
+    handler: handleGetCvOverview
+  },
+  {
+    name: "getCvFields",
+    description: "Fetches all fields for a specific CV by CV ID.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        cvId: { type: "string", pattern: ID_PATTERN, description: "The CV ID to get fields for." }
+      },
+      required: ["cvId"],
+      additionalProperties: false
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        cvId: { type: "string" },
+        fields: { type: "array", items: BACKEND_RECORD_SCHEMA }
+      },
+      required: ["cvId", "fields"]
+    },
+    requiredRoles: ANY_USER,
+    requiredScopes: [SCOPES.read],
+    handler: handleGetCvFields
+  },
+  {
+    name: "getFieldVersions",
+    description: "Fetches all versions for a specific field by field ID.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        fieldId: { type: "string", pattern: ID_PATTERN, description: "The field ID to get versions for." }
+      },
+      required: ["fieldId"],
+      additionalProperties: false
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        fieldId: { type: "string" },
+        versions: { type: "array", items: BACKEND_RECORD_SCHEMA }
+      },
+      required: ["fieldId", "versions"]
+    },
+    requiredRoles: ANY_USER,
+    requiredScopes: [SCOPES.read],
+    handler: handleGetFieldVersions
+  },
+  ...MEDIA_TOOLS,
+  ...SEARCH_TOOLS,
+  {
+    name: "listBackendActions",
+    description: "Lists the backend actions you may run with triggerBackendAction, with their payload schemas, the roles and scopes they require and whether they are destructive.",
+    inputSchema: {
+      type: "object",
+      properties: {},
+      required: [],
+      additionalProperties: false
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        actions: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              name: { type: "string" },
+              description: { type: "string" },
+              destructive: { type: "boolean" },
+              requiredRoles: { type: "array", items: { type: "string" } },
+              requiredScopes: { type: "array", items: { type: "string" } },
+              payloadSchema: { type: "object" }
+            },
+            required: ["name", "description", "destructive", "requiredRoles", "requiredScopes", "payloadSchema"]
+          }
+        }
+      },
+      required: ["actions"]
+    },
+    annotations: { readOnlyHint: true },
+    requiredRoles: ADMIN_ONLY,
+    requiredScopes: [SCOPES.admin],
+    handler: handleListBackendActions
+  },
+  {
+    name: "triggerBackendAction",
+    description: `Runs one of the backend's allow-listed actions: ${BACKEND_ACTION_NAMES.join(", ")}. See listBackendActions for what each does and its payload. Destructive actions only run after the user confirms them, which needs a client that supports elicitation.`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        actionName: { type: "string", enum: BACKEND_ACTION_NAMES, description: "The name of the action to perform." },
+        payload: { type: "object", description: "Data payload for the action, as described by its payloadSchema." }
+      },
+      required: ["actionName"],
+      additionalProperties: false
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        actionName: { type: "string" },
+        status: { type: "string", enum: ["completed", "cancelled"] },
+        result: { description: "The backend's response to the action; null when it was not run." }
+      },
+      required: ["actionName", "status", "result"]
+    },
+    annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false },
+    timeoutMs: 2 * BACKEND_ACTION_TIMEOUT_MS,
+    requiredRoles: ADMIN_ONLY,
+    requiredScopes: [SCOPES.admin],
+    handler: handleTriggerBackendAction
+  },
+  ...CV_EDITING_TOOLS,
+  ...FIELD_VERSION_TOOLS,
+  ...EXPORT_TOOLS,
+  ...IMPORT_TOOLS,
+  ...JOB_MATCH_TOOLS,
+  {
+    name: "getCacheStats",
+    description: "Returns hit/miss statistics of the server's cache of CV, field and version reads.",
+    inputSchema: {
+      type: "object",
+      properties: {},
+      required: [],
+      additionalProperties: false
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        entries: { type: "integer", minimum: 0 },
+        maxEntries: { type: "integer", minimum: 0 },
+        hits: { type: "integer", minimum: 0 },
+        misses: { type: "integer", minimum: 0 },
+        hitRate: { type: ["number", "null"], description: "Share of lookups served from the cache; null before the first lookup." },
+        revalidated: { type: "integer", minimum: 0 },
+        invalidated: { type: "integer", minimum: 0 },
+        evicted: { type: "integer", minimum: 0 },
+        byEndpoint: {
+          type: "object",
+          additionalProperties: {
+            type: "object",
+            properties: {
+              hits: { type: "integer" },
+              misses: { type: "integer" },
+              revalidated: { type: "integer" }
+            }
+          }
+        }
+      },
+      required: ["entries", "hits", "misses", "hitRate", "byEndpoint"]
+    },
+    annotations: { readOnlyHint: true },
+    requiredRoles: ADMIN_ONLY,
+    requiredScopes: [SCOPES.admin],
+    handler: handleGetCacheStats
+  },
+  {
+    name: "testTool",
+    description: "A simple test tool that just returns a message",
+    inputSchema: {
+      type: "object",
+      properties: {
+        message: { type: "string", description: "Test message" }
+      },
+      required: [],
+      additionalProperties: false
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        message: { type: "string" }
+      },
+      required: ["message"]
+    },
+    requiredRoles: ANY_USER,
+    requiredScopes: [],
+    handler: handleTestTool
+  }
+];
+
+/**
+ * Returns the tools offered on the given transport.
+ *
+ * @param {'stdio' | 'http'} transport - The transport the server is running on.
+ * @returns {object[]} Registry entries available on that transport.
+ */
+export function getToolsForTransport(transport) {
+    return APP_TOOLS.filter(tool => (tool.transports || TRANSPORTS).includes(transport));
+}
+
+/**
+ * Strips registry-only metadata so the entry matches the MCP `Tool` shape.
+ *
+ * @param {object} tool - A registry entry.
+ * @returns {{ name: string, description: string, inputSchema: object, outputSchema?: object, annotations?: object }}
+ */
+export function toToolDefinition(tool) {
+    return {
+        name: tool.name,
+        description: tool.description,
+        inputSchema: tool.inputSchema,
+        ...(tool.outputSchema && { outputSchema: tool.outputSchema }),
+        ...(tool.annotations && { annotations: tool.annotations })
+    };
+}
+
+/**
+ * Checks a call's arguments against the tool's inputSchema.
+ *
+ * @param {object} tool - A registry entry.
+ * @param {object} args - The call's arguments.
+ * @throws {SchemaValidationError} Listing every invalid argument.
+ */
+export function validateToolArguments(tool, args) {
+    const issues = validateAgainstSchema(tool.inputSchema, args);
+    if (issues.length > 0) {
+        throw new SchemaValidationError(`Invalid arguments for ${tool.name}: ${formatIssues(issues)}`, { issues });
+    }
+}
+
+/**
+ * Checks a successful result's structuredContent against the tool's outputSchema, if it has one.
+ * A mismatch is a bug in the tool, reported as an `invalid_output` error rather than sent to the client.
+ *
+ * @param {object} tool - A registry entry.
+ * @param {object} result - The handler's result.
+ * @throws {SchemaValidationError}
+ */
+export function validateToolResult(tool, result) {
+    if (!tool.outputSchema || result.isError) {
+        return;
+    }
+    const issues = result.structuredContent === undefined
+        ? [{ path: 'structuredContent', message: 'is required' }]
+        : validateAgainstSchema(tool.outputSchema, result.structuredContent, 'structuredContent');
+    if (issues.length > 0) {
+        throw new SchemaValidationError(
+            `${tool.name} returned a result that does not match its output schema: ${formatIssues(issues)}`,
+            { type: 'invalid_output', issues }
+        );
+    }
+}
+
+// The error behind a failed call that carries a machine-readable type: a BackendError, or a schema,
+// authorization, timeout or cancellation failure, anywhere in the cause chain.
+export function findTypedError(error) {
+    for (let current = error; current; current = current.cause) {
+        if (current instanceof SchemaValidationError || current instanceof AuthorizationError ||
+            current instanceof ToolTimeoutError || current instanceof ToolCancelledError) {
+            return current;
+        }
+    }
+    return findBackendError(error);
+}
+
+/**
+ * Turns a failed tool call into an MCP error result. Backend failures also get a JSON block with
+ * the error type (auth, not_found, validation, rate_limited, backend_down), whether retrying can help,
+ * a hint on what to do next and the backend's response body. Schema failures get a JSON block with
+ * every invalid path, authorization failures one with the `forbidden` type and a hint.
+ *
+ * @param {Error} error - The error thrown by the tool handler.
+ * @returns {{ content: object[], isError: true }}
+ */
+export function toErrorResult(error) {
+    const content = [{ type: "text", text: `Error: ${error.message}` }];
+    const details = findTypedError(error);
+    if (details) {
+        content.push({ type: "text", text: JSON.stringify({ error: details.toJSON() }, null, 2) });
+    }
+    return { content, isError: true };
+}
+
+/**
+ * Runs a tool call: checks that the caller may use the tool and that the arguments are valid, runs
+ * the handler, checks its result, then logs and audits the call. Shared by the MCP CallTool handler
+ * and the REST facade (utils/restApi.js).
+ *
+ * The handler gets `context.signal`, which aborts when the call exceeds the tool's `timeoutMs`
+ * (default `timeouts.toolMs`) or the caller cancels it; the call then ends with a ToolTimeoutError
+ * or ToolCancelledError even if the handler has not returned yet.
+ *
+ * @param {object | undefined} tool - The registry entry, or undefined when no tool has that name.
+ * @param {string} name - The name the caller asked for.
+ * @param {object} args - The call's arguments.
+ * @param {object} context - The per-call context handed to the handler.
+ * @param {{ transport: 'stdio' | 'http', signal?: AbortSignal }} options - `signal` aborts when the
+ *        caller cancels the call.
+ * @returns {Promise<{ result: object, failure?: Error }>} The MCP result, an error result when the
+ *          call failed; `failure` is the error behind it.
+ */
+export async function executeToolCall(tool, name, args, context, { transport, signal }) {
+    const startedAt = Date.now();
+    log.info('Tool call', { tool: name });
+    log.debug('Tool call arguments', { tool: name, args });
+
+    let result;
+    let failure;
+    let call;
+    try {
+        if (!tool) {
+            throw new Error(`Unknown tool: ${name}`);
+        }
+        assertAllowed(tool, getCaller(context), 'Tool');
+        validateToolArguments(tool, args);
+
+        call = createCallSignal(name, { timeoutMs: tool.timeoutMs ?? getConfig().timeouts.toolMs, signal });
+        const { reportProgress } = context;
+        const callContext = {
+            ...context,
+            signal: call.signal,
+            // Nothing is reported for a call that has already ended.
+            reportProgress: reportProgress && ((...progress) => {
+                if (!call.signal.aborted) {
+                    reportProgress(...progress);
+                }
+            })
+        };
+        result = await raceWithSignal(tool.handler(args, callContext), call.signal);
+        validateToolResult(tool, result);
+        if (result.isError) {
+            failure = new Error(result.content?.find(block => block.type === 'text')?.text || `${name} failed`);
+        }
+    } catch (error) {
+        failure = error;
+        result = toErrorResult(error);
+        if (error instanceof SchemaValidationError && error.type === 'invalid_output') {
+            log.error('Tool returned invalid structured content', { tool: name, issues: error.issues });
+        } else if (error instanceof AuthorizationError) {
+            log.warning('Tool call refused', { tool: name, reason: error.message });
+        } else if (error instanceof ToolTimeoutError) {
+            log.warning('Tool call timed out', { tool: name, timeoutMs: error.timeoutMs });
+        }
+    } finally {
+        call?.dispose();
+    }
+
+    const durationMs = Date.now() - startedAt;
+    const outcome = failure ? 'error' : 'success';
+    const errorType = failure && findTypedError(failure)?.type;
+    log.info('Tool call finished', { tool: name, outcome, durationMs, ...(errorType && { errorType }) });
+    recordToolCall({
+        tool: name,
+        args,
+        context,
+        transport,
+        outcome,
+        error: failure?.message,
+        errorType,
+        durationMs
+    });
+    return { result, failure };
+}
+
+/**
+ * Installs the ListTools and CallTool handlers on an MCP server.
+ *
+ * @param {import('@modelcontextprotocol/sdk/server/index.js').Server} server - The MCP server.
+ * @param {object} options
+ * @param {'stdio' | 'http'} options.transport - Which transport's tools to expose.
+ * @param {(request: object, extra: object) => object} [options.getContext] - Builds the per-call context
+ *                                                                            handed to each tool handler.
+ *                                                                            Handlers also get `context.elicit`
+ *                                                                            when the client supports elicitation.
+ */
+export function registerTools(server, { transport, getContext = () => ({}) }) {
+    const tools = getToolsForTransport(transport);
+    const toolsByName = new Map(tools.map(tool => [tool.name, tool]));
+
+    // Callers only see the tools they may call.
+    server.setRequestHandler(ListToolsRequestSchema, async (request, extra) => {
+        const caller = getCaller(getContext(request, extra));
+        const visibleTools = tools.filter(tool => isAllowed(tool, caller));
+        log.debug('List tools request', { tools: visibleTools.length, roles: caller.roles });
+        return {
+            tools: visibleTools.map(toToolDefinition),
+        };
+    });
+
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+        const { name, arguments: args = {} } = request.params;
+        const context = {
+            ...getContext(request, extra),
+            elicit: createElicitor(server, extra),
+            reportProgress: createProgressReporter(request, extra)
+        };
+        // extra.signal aborts when the client sends notifications/cancelled for this request.
+        const { result, failure } = await executeToolCall(toolsByName.get(name), name, args, context, { transport, signal: extra.signal });
+        if (name === 'loginToMcp' && !failure) {
+            // The caller's roles changed, and with them the tools it may see.
+            server.sendToolListChanged().catch(error => {
+                log.warning('Failed to send tool list change', { error });
+            });
+        }
+        return result;
+    });
+}
@@ -0,0 +1,99 @@
+// utils/zipReader.js
+// Reads the entries of a ZIP archive held in memory (stored and deflated entries only,
+// which covers data exports such as LinkedIn's). No streaming, no ZIP64.
+import zlib from 'zlib';
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+function findEndOfCentralDirectory(buffer) {
+    // The record is 22 bytes plus a comment of up to 65535 bytes at the very end of the file.
+    const stop = Math.max(0, buffer.length - 22 - 0xffff);
+    for (let offset = buffer.length - 22; offset >= stop; offset--) {
+        if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+            return offset;
+        }
+    }
+    throw new Error('Not a ZIP archive (end of central directory not found)');
+}
+
+function tooLarge(maxTotalSize) {
+    return new Error(`ZIP archive is larger than ${maxTotalSize} bytes when extracted`);
+}
+
+// Inflates at most `limit` bytes; anything that would inflate to more is rejected as too large.
+function inflate(data, limit, maxTotalSize) {
+    try {
+        // maxOutputLength must be at least 1; an entry that inflates to anything at all is then too large.
+        return zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, limit) });
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw tooLarge(maxTotalSize);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Extracts every file of a ZIP archive.
+ *
+ * @param {Buffer} buffer - The whole archive.
+ * @param {{ maxTotalSize?: number }} [options] - Limit on the total uncompressed size, to guard against zip bombs.
+ * @returns {Map<string, Buffer>} File contents keyed by their path inside the archive. Directories are skipped.
+ */
+export function readZip(buffer, { maxTotalSize = 50 * 1024 * 1024 } = {}) {
+    const end = findEndOfCentralDirectory(buffer);
+    const entryCount = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+
+    const files = new Map();
+    let totalSize = 0;
+
+    for (let index = 0; index < entryCount; index++) {
+        if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+            throw new Error('Corrupt ZIP archive (bad central directory entry)');
+        }
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const uncompressedSize = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localHeaderOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) {
+            continue;
+        }
+        // The declared size only allows an early exit: it can be forged, so the limit is enforced
+        // on what is actually extracted.
+        const remaining = maxTotalSize - totalSize;
+        if (uncompressedSize > remaining) {
+            throw tooLarge(maxTotalSize);
+        }
+
+        if (buffer.readUInt32LE(localHeaderOffset) !== LOCAL_FILE_HEADER) {
+            throw new Error(`Corrupt ZIP archive (bad local header for ${name})`);
+        }
+        const dataStart = localHeaderOffset + 30 + buffer.readUInt16LE(localHeaderOffset + 26) + buffer.readUInt16LE(localHeaderOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        let content;
+        if (method === 0) {
+            content = Buffer.from(data);
+        } else if (method === 8) {
+            content = inflate(data, remaining, maxTotalSize);
+        } else {
+            throw new Error(`Unsupported compression method ${method} for ${name}`);
+        }
+        totalSize += content.length;
+        if (totalSize > maxTotalSize) {
+            throw tooLarge(maxTotalSize);
+        }
+        files.set(name, content);
+    }
+
+    return files;
+}